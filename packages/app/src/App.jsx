@@ -1,29 +1,38 @@
-import { cartStore, productStore, uiStore } from "./stores";
 import { router } from "./router";
-import { HomePage, NotFoundPage, ProductDetailPage } from "./pages";
-import { useEffect, useState } from "react";
+import { lazy, Suspense, useSyncExternalStore } from "react";
+
+// 페이지는 처음 방문할 때 별도 청크로 불러옵니다.
+const HomePage = lazy(() => import("./pages/HomePage.jsx").then((module) => ({ default: module.HomePage })));
+const ProductDetailPage = lazy(() =>
+  import("./pages/ProductDetailPage.jsx").then((module) => ({ default: module.ProductDetailPage })),
+);
+const NotFoundPage = lazy(() =>
+  import("./pages/NotFoundPage.jsx").then((module) => ({ default: module.NotFoundPage })),
+);
+
+const pageFallback = (
+  <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+  </div>
+);
 
 // 홈 페이지 (상품 목록)
 router.addRoute("/", HomePage);
 router.addRoute("/product/:id", ProductDetailPage);
 router.addRoute(".*", NotFoundPage);
 
-const useForceUpdate = () => {
-  const [, setTick] = useState(0);
-  return () => setTick((tick) => tick + 1);
-};
+// 라우트가 바뀔 때만 다시 렌더링하고, 쿼리는 같은 라우트 스냅샷에서 읽어 페이지에 전달합니다.
+// 각 스토어는 값을 읽는 컴포넌트가 직접 구독합니다.
+const subscribeRouter = (fn) => router.subscribe(fn);
+const getRoute = () => router.route;
 
 export function App() {
-  const forceUpdate = useForceUpdate();
-  const PageComponent = router.target;
-
-  useEffect(() => {
-    // 각 Store의 변화를 감지하여 자동 렌더링
-    productStore.subscribe(forceUpdate);
-    cartStore.subscribe(forceUpdate);
-    uiStore.subscribe(forceUpdate);
-    router.subscribe(forceUpdate);
-  }, []);
+  const route = useSyncExternalStore(subscribeRouter, getRoute);
+  const PageComponent = route?.handler;
 
-  return <PageComponent />;
+  return (
+    <Suspense fallback={pageFallback}>
+      <PageComponent query={route.query} />
+    </Suspense>
+  );
 }
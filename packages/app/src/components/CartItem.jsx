@@ -1,18 +1,12 @@
-import { useEffect, useState } from "react";
 import { removeFromCart, toggleCartSelect, updateCartQuantity } from "../services";
 import { PublicImage } from "./PublicImage";
 
 export function CartItem({ id, title, image, price, quantity, selected }) {
-  const [value, setValue] = useState(() => quantity);
-  const subtotal = price * value;
+  const subtotal = price * quantity;
 
-  const changeQuantity = (value) => setValue(Math.max(1, parseInt(value) || 1));
-  const increase = () => changeQuantity(value + 1);
-  const decrease = () => changeQuantity(value - 1);
-
-  useEffect(() => {
-    updateCartQuantity(id, value);
-  }, [id, value]);
+  const changeQuantity = (value) => updateCartQuantity(id, Math.max(1, parseInt(value) || 1));
+  const increase = () => changeQuantity(quantity + 1);
+  const decrease = () => changeQuantity(quantity - 1);
 
   return (
     <div className="flex items-center py-3 border-b border-gray-100 cart-item" data-product-id={id}>
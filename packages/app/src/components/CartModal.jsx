@@ -24,7 +24,7 @@ const checkout = () => {
   });
 };
 
-export function CartModal({ items = [], selectedAll = false, isOpen = false }) {
+export function CartModal({ items = [], selectedAll = false, isOpen = false, closeButtonRef }) {
   const handleEscKey = useAutoCallback((e) => {
     if (e.key === "Escape") {
       const cartModalState = uiStore.getState().cartModal;
@@ -68,7 +68,12 @@ export function CartModal({ items = [], selectedAll = false, isOpen = false }) {
               {items.length > 0 && <span className="text-sm font-normal text-gray-600 ml-1">({items.length})</span>}
             </h2>
 
-            <button id="cart-modal-close-btn" className="text-gray-400 hover:text-gray-600 p-1" onClick={close}>
+            <button
+              id="cart-modal-close-btn"
+              ref={closeButtonRef}
+              className="text-gray-400 hover:text-gray-600 p-1"
+              onClick={close}
+            >
               <PublicImage src="/close-icon.svg" alt="닫기" className="w-6 h-6" />
             </button>
           </div>
@@ -1,3 +1,4 @@
+import { useId, useRef } from "react";
 import { router } from "../router";
 import { productStore } from "../stores";
 import { addToCart as addToCartWithProduct } from "../services";
@@ -20,23 +21,20 @@ const goToHomeWithCurrentCategory = async () => {
 };
 
 // 상품 상세 페이지에서 수량 증가/감소
-const incrementQuantity = () => {
-  const input = document.getElementById("quantity-input");
+const incrementQuantity = (input) => {
   if (input) {
     const max = parseInt(input.getAttribute("max")) || 100;
     input.value = Math.min(max, parseInt(input.value) + 1);
   }
 };
 
-const decrementQuantity = () => {
-  const input = document.getElementById("quantity-input");
+const decrementQuantity = (input) => {
   if (input) {
     input.value = Math.max(1, parseInt(input.value) - 1);
   }
 };
 
-const addToCart = () => {
-  const quantityInput = document.getElementById("quantity-input");
+const addToCart = (quantityInput) => {
   const quantity = quantityInput ? parseInt(quantityInput.value) : 1;
   const productState = productStore.getState();
   const product = productState.currentProduct;
@@ -62,6 +60,8 @@ export function ProductDetail({ product, relatedProducts = [] }) {
   } = product;
 
   const price = Number(lprice);
+  const quantityLabelId = useId();
+  const quantityInputRef = useRef(null);
 
   // 브레드크럼 생성
   const breadcrumbItems = [];
@@ -159,21 +159,28 @@ export function ProductDetail({ product, relatedProducts = [] }) {
             {/* 재고 */}
             <div className="text-sm text-gray-600 mb-4">재고 {stock.toLocaleString()}개</div>
 
-            {/* 설명 */}
-            {description && <div className="text-sm text-gray-700 leading-relaxed mb-6">{description}</div>}
+            {/* 설명: API가 마크업을 포함한 설명을 내려주므로 HTML로 렌더링합니다. */}
+            {description && (
+              <div
+                className="text-sm text-gray-700 leading-relaxed mb-6"
+                dangerouslySetInnerHTML={{ __html: description }}
+              />
+            )}
           </div>
         </div>
 
         {/* 수량 선택 및 액션 */}
         <div className="border-t border-gray-200 p-4">
           <div className="flex items-center justify-between mb-4">
-            <span className="text-sm font-medium text-gray-900">수량</span>
+            <span id={quantityLabelId} className="text-sm font-medium text-gray-900">
+              수량
+            </span>
             <div className="flex items-center">
               <button
                 id="quantity-decrease"
                 className="w-8 h-8 flex items-center justify-center border border-gray-300
                              rounded-l-md bg-gray-50 hover:bg-gray-100"
-                onClick={decrementQuantity}
+                onClick={() => decrementQuantity(quantityInputRef.current)}
               >
                 <PublicImage src="/quantity-minus-icon.svg" alt="수량 감소" className="w-4 h-4" />
               </button>
@@ -181,7 +188,9 @@ export function ProductDetail({ product, relatedProducts = [] }) {
               <input
                 type="number"
                 id="quantity-input"
-                value="1"
+                ref={quantityInputRef}
+                aria-labelledby={quantityLabelId}
+                defaultValue="1"
                 min="1"
                 max={stock}
                 className="w-16 h-8 text-center text-sm border-t border-b border-gray-300
@@ -192,7 +201,7 @@ export function ProductDetail({ product, relatedProducts = [] }) {
                 id="quantity-increase"
                 className="w-8 h-8 flex items-center justify-center border border-gray-300
                              rounded-r-md bg-gray-50 hover:bg-gray-100"
-                onClick={incrementQuantity}
+                onClick={() => incrementQuantity(quantityInputRef.current)}
               >
                 <PublicImage src="/quantity-plus-icon.svg" alt="수량 증가" className="w-4 h-4" />
               </button>
@@ -205,7 +214,7 @@ export function ProductDetail({ product, relatedProducts = [] }) {
             data-product-id={productId}
             className="w-full bg-blue-600 text-white py-3 px-4 rounded-md
                          hover:bg-blue-700 transition-colors font-medium"
-            onClick={addToCart}
+            onClick={() => addToCart(quantityInputRef.current)}
           >
             장바구니 담기
           </button>
@@ -1,3 +1,4 @@
+import { memo } from "react";
 import { ProductCard, ProductCardSkeleton } from "./ProductCard";
 import { loadProducts } from "../services/index.js";
 import { router } from "../router/index.js";
@@ -19,7 +20,7 @@ const goToDetailPage = async (productId) => {
 /**
  * 상품 목록 컴포넌트
  */
-export function ProductList({ products = [], loading = false, error = null, totalCount = 0, hasMore = true }) {
+function ProductListView({ products = [], loading = false, error = null, totalCount = 0, hasMore = true }) {
   // 에러 상태
   if (error) {
     return (
@@ -92,3 +93,6 @@ export function ProductList({ products = [], loading = false, error = null, tota
     </div>
   );
 }
+
+// 검색어를 입력하는 동안의 급한 렌더링에서는 props가 그대로이므로 목록을 다시 그리지 않습니다.
+export const ProductList = memo(ProductListView);
@@ -1,3 +1,4 @@
+import { useId, useTransition } from "react";
 import { searchProducts, setCategory, setLimit, setSort } from "../services/index.js";
 import { PublicImage } from "./PublicImage";
 
@@ -13,14 +14,17 @@ const OPTION_SORTS = [
 ];
 
 // 검색 입력 (Enter 키)
-const handleSearchKeyDown = async (e) => {
+// 목록을 다시 그리는 작업은 전환으로 처리해 입력이 막히지 않게 합니다.
+const handleSearchKeyDown = (e, startTransition) => {
   if (e.key === "Enter") {
     const query = e.target.value.trim();
-    try {
-      await searchProducts(query);
-    } catch (error) {
-      console.error("검색 실패:", error);
-    }
+    startTransition(() => {
+      try {
+        searchProducts(query);
+      } catch (error) {
+        console.error("검색 실패:", error);
+      }
+    });
   }
 };
 
@@ -46,68 +50,86 @@ const handleSortChange = async (e) => {
 };
 
 // 브레드크럼 카테고리 네비게이션
-const handleBreadCrumbClick = async (e) => {
+const handleBreadCrumbClick = (e, startTransition) => {
   const breadcrumbType = e.target.getAttribute("data-breadcrumb");
+  const category1 = e.target.getAttribute("data-category1");
 
-  try {
-    if (breadcrumbType === "reset") {
-      // "전체" 클릭 -> 카테고리 초기화
-      await setCategory({
-        category1: "",
-        category2: "",
-      });
-    } else if (breadcrumbType === "category1") {
-      // 1depth 클릭 -> 2depth 제거하고 1depth만 유지
-      const category1 = e.target.getAttribute("data-category1");
-      await setCategory({
-        category1,
-        category2: "",
-      });
+  startTransition(() => {
+    try {
+      if (breadcrumbType === "reset") {
+        // "전체" 클릭 -> 카테고리 초기화
+        setCategory({
+          category1: "",
+          category2: "",
+        });
+      } else if (breadcrumbType === "category1") {
+        // 1depth 클릭 -> 2depth 제거하고 1depth만 유지
+        setCategory({
+          category1,
+          category2: "",
+        });
+      }
+    } catch (error) {
+      console.error("브레드크럼 네비게이션 실패:", error);
     }
-  } catch (error) {
-    console.error("브레드크럼 네비게이션 실패:", error);
-  }
+  });
 };
 
 // 1depth 카테고리 선택
-const handleMainCategoryClick = async (e) => {
+const handleMainCategoryClick = (e, startTransition) => {
   const category1 = e.target.getAttribute("data-category1");
   if (!category1) return;
 
-  try {
-    await setCategory({
-      category1,
-      category2: "",
-    });
-  } catch (error) {
-    console.error("1depth 카테고리 선택 실패:", error);
-  }
+  startTransition(() => {
+    try {
+      setCategory({
+        category1,
+        category2: "",
+      });
+    } catch (error) {
+      console.error("1depth 카테고리 선택 실패:", error);
+    }
+  });
 };
 
-const handleSubCategoryClick = async (e) => {
+const handleSubCategoryClick = (e, startTransition) => {
   const category1 = e.target.getAttribute("data-category1");
   const category2 = e.target.getAttribute("data-category2");
   if (!category1 || !category2) return;
 
-  try {
-    await setCategory({
-      category1,
-      category2,
-    });
-  } catch (error) {
-    console.error("2depth 카테고리 선택 실패:", error);
-  }
+  startTransition(() => {
+    try {
+      setCategory({
+        category1,
+        category2,
+      });
+    } catch (error) {
+      console.error("2depth 카테고리 선택 실패:", error);
+    }
+  });
 };
 
-export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", category = {}, categories = {} }) {
+export function SearchBar({
+  searchQuery = "",
+  onSearchInput,
+  limit = 20,
+  sort = "price_asc",
+  category = {},
+  categories = {},
+}) {
+  // 검색어나 카테고리로 목록을 다시 그리는 동안에는 이전 목록을 그대로 보여 주고 검색창에 진행 표시를 띄웁니다.
+  const [isPending, startTransition] = useTransition();
+  // e2e 테스트가 찾는 select의 id는 그대로 두고, 레이블 연결에는 인스턴스마다 고유한 id를 사용합니다.
+  const limitLabelId = useId();
+  const sortLabelId = useId();
   const categoryList = Object.keys(categories).length > 0 ? Object.keys(categories) : [];
   const limitOptions = OPTION_LIMITS.map((value) => (
-    <option key={value} value={value} selected={Number(limit) === value}>
+    <option key={value} value={value}>
       {value}개
     </option>
   ));
   const sortOptions = OPTION_SORTS.map(({ value, label }) => (
-    <option key={value} value={value} selected={sort === value}>
+    <option key={value} value={value}>
       {label}
     </option>
   ));
@@ -118,7 +140,7 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
       data-category1={categoryKey}
       className="category1-filter-btn text-left px-3 py-2 text-sm rounded-md border transition-colors
                  bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
-      onClick={handleMainCategoryClick}
+      onClick={(e) => handleMainCategoryClick(e, startTransition)}
     >
       {categoryKey}
     </button>
@@ -136,11 +158,17 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
             value={searchQuery}
             className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg
                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            onKeyDown={handleSearchKeyDown}
+            onChange={(e) => onSearchInput?.(e.target.value)}
+            onKeyDown={(e) => handleSearchKeyDown(e, startTransition)}
           />
           <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
             <PublicImage src="/search-icon.svg" alt="검색" className="h-5 w-5 text-gray-400" />
           </div>
+          {isPending && (
+            <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none search-pending">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -159,7 +187,7 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
                       key="reset"
                       data-breadcrumb="reset"
                       className="text-xs hover:text-blue-800 hover:underline"
-                      onClick={handleBreadCrumbClick}
+                      onClick={(e) => handleBreadCrumbClick(e, startTransition)}
                     >
                       전체
                     </button>
@@ -171,7 +199,7 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
                       data-breadcrumb="category1"
                       data-category1={cat}
                       className="text-xs hover:text-blue-800 hover:underline"
-                      onClick={handleBreadCrumbClick}
+                      onClick={(e) => handleBreadCrumbClick(e, startTransition)}
                     >
                       {cat}
                     </button>
@@ -221,7 +249,7 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
                                    ? "bg-blue-100 border-blue-300 text-blue-800"
                                    : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
                                }`}
-                      onClick={handleSubCategoryClick}
+                      onClick={(e) => handleSubCategoryClick(e, startTransition)}
                     >
                       {category2}
                     </button>
@@ -236,9 +264,13 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
         <div className="flex gap-2 items-center justify-between">
           {/* 페이지당 상품 수 */}
           <div className="flex items-center gap-2">
-            <label className="text-sm text-gray-600">개수:</label>
+            <label id={limitLabelId} className="text-sm text-gray-600">
+              개수:
+            </label>
             <select
               id="limit-select"
+              aria-labelledby={limitLabelId}
+              value={limit}
               className="text-sm border border-gray-300 rounded px-2 py-1 focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
               onChange={handleLimitChange}
             >
@@ -248,9 +280,13 @@ export function SearchBar({ searchQuery = "", limit = 20, sort = "price_asc", ca
 
           {/* 정렬 */}
           <div className="flex items-center gap-2">
-            <label className="text-sm text-gray-600">정렬:</label>
+            <label id={sortLabelId} className="text-sm text-gray-600">
+              정렬:
+            </label>
             <select
               id="sort-select"
+              aria-labelledby={sortLabelId}
+              value={sort}
               className="text-sm border border-gray-300 rounded px-2 py-1
                            focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
               onChange={handleSortChange}
@@ -56,7 +56,7 @@ export class Router {
   }
 
   subscribe(fn) {
-    this.#observer.subscribe(fn);
+    return this.#observer.subscribe(fn);
   }
 
   /**
@@ -83,8 +83,8 @@ export class Router {
     });
   }
 
-  #findRoute(url = window.location.pathname) {
-    const { pathname } = new URL(url, window.location.origin);
+  #findRoute(url = window.location.href) {
+    const { pathname, search } = new URL(url, window.location.origin);
     for (const [routePath, route] of this.#routes) {
       const match = pathname.match(route.regex);
       if (match) {
@@ -97,6 +97,8 @@ export class Router {
         return {
           ...route,
           params,
+          // 라우트와 함께 쿼리도 새로 만들어, 구독하는 컴포넌트가 같은 스냅샷에서 경로와 쿼리를 함께 읽게 합니다.
+          query: Router.parseQuery(search),
           path: routePath,
         };
       }
@@ -1,6 +1,9 @@
 export const createObserver = () => {
   const listeners = new Set();
-  const subscribe = (fn) => listeners.add(fn);
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  };
   const notify = () => listeners.forEach((listener) => listener());
 
   return { subscribe, notify };
@@ -1,4 +1,4 @@
-import { useEffect } from "react";
+import { useDeferredValue, useEffect, useMemo, useState, useSyncExternalStore } from "react";
 import { ProductList, SearchBar } from "../components";
 import { productStore } from "../stores";
 import { router } from "../router";
@@ -40,6 +40,13 @@ const loadNextProducts = async () => {
   }
 };
 
+// 입력 중인 검색어로 이미 불러온 상품을 걸러 미리 보여 줍니다.
+const filterProducts = (products, keyword) => {
+  const normalized = keyword.trim().toLowerCase();
+  if (!normalized) return products;
+  return products.filter((product) => product.title.toLowerCase().includes(normalized));
+};
+
 const registerScrollHandler = () => {
   if (scrollHandlerRegistered) return;
 
@@ -53,13 +60,25 @@ const unregisterScrollHandler = () => {
   scrollHandlerRegistered = false;
 };
 
-export const HomePage = () => {
-  const productState = productStore.getState();
-  const { search: searchQuery, limit, sort, category1, category2 } = router.query;
+export const HomePage = ({ query }) => {
+  const productState = useSyncExternalStore(productStore.subscribe, productStore.getState);
+  const { search: searchQuery, limit, sort, category1, category2 } = query;
   const { products, loading, error, totalCount, categories } = productState;
   const category = { category1, category2 };
   const hasMore = products.length < totalCount;
 
+  // 입력은 바로 반영하고, 100개가 넘는 상품 목록은 늦춘 검색어로 따라오게 해 타이핑이 막히지 않게 합니다.
+  const [keyword, setKeyword] = useState(searchQuery ?? "");
+  const deferredKeyword = useDeferredValue(keyword);
+  const visibleProducts = useMemo(
+    () => (deferredKeyword.trim() === (searchQuery ?? "") ? products : filterProducts(products, deferredKeyword)),
+    [products, deferredKeyword, searchQuery],
+  );
+
+  useEffect(() => {
+    setKeyword(searchQuery ?? "");
+  }, [searchQuery]);
+
   useEffect(() => {
     if (loading) {
       return;
@@ -76,11 +95,24 @@ export const HomePage = () => {
   return (
     <PageWrapper headerLeft={headerLeft}>
       {/* 검색 및 필터 */}
-      <SearchBar searchQuery={searchQuery} category={category} sort={sort} limit={limit} categories={categories} />
+      <SearchBar
+        searchQuery={keyword}
+        onSearchInput={setKeyword}
+        category={category}
+        sort={sort}
+        limit={limit}
+        categories={categories}
+      />
 
       {/* 상품 목록 */}
       <div className="mb-6">
-        <ProductList products={products} loading={loading} error={error} totalCount={totalCount} hasMore={hasMore} />
+        <ProductList
+          products={visibleProducts}
+          loading={loading}
+          error={error}
+          totalCount={totalCount}
+          hasMore={hasMore}
+        />
       </div>
     </PageWrapper>
   );
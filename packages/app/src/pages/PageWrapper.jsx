@@ -1,16 +1,31 @@
-import { useMemo } from "react";
+import { createPortal, flushSync, useMemo, useRef, useSyncExternalStore } from "react";
 import { cartStore, UI_ACTIONS, uiStore } from "../stores";
-import { CartModal, Footer, PublicImage, Toast } from "../components";
+import { CartModal, Footer, Toast } from "../components";
+
+// 버튼의 글자색(currentColor)을 따라 hover 색이 바뀌도록 img 대신 인라인 SVG로 그립니다.
+const cartIcon = (
+  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" role="img" aria-label="장바구니">
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth="2"
+      d="M3 3h2l.4 2M7 13h10l4-8H5.4m2.6 8L6 2H3m4 11v6a1 1 0 001 1h1a1 1 0 001-1v-6M13 13v6a1 1 0 001 1h1a1 1 0 001-1v-6"
+    />
+  </svg>
+);
 
 // 장바구니 모달 열기 핸들러
-const close = () => {
-  uiStore.dispatch({ type: UI_ACTIONS.OPEN_CART_MODAL });
+// 모달을 바로 렌더링한 뒤 닫기 버튼으로 포커스를 옮깁니다.
+const openCartModal = (closeButton) => {
+  flushSync(() => uiStore.dispatch({ type: UI_ACTIONS.OPEN_CART_MODAL }));
+  closeButton.current?.focus();
 };
 
 export const PageWrapper = ({ headerLeft, children }) => {
-  const cart = cartStore.getState();
-  const { cartModal, toast } = uiStore.getState();
+  const cart = useSyncExternalStore(cartStore.subscribe, cartStore.getState);
+  const { cartModal, toast } = useSyncExternalStore(uiStore.subscribe, uiStore.getState);
   const cartSize = cart.items.length;
+  const closeButtonRef = useRef(null);
 
   const cartCount = useMemo(
     () => (
@@ -32,9 +47,9 @@ export const PageWrapper = ({ headerLeft, children }) => {
               <button
                 id="cart-icon-btn"
                 className="relative p-2 text-gray-700 hover:text-gray-900 transition-colors"
-                onClick={close}
+                onClick={() => openCartModal(closeButtonRef)}
               >
-                <PublicImage src="/cart-header-icon.svg" alt="장바구니" className="w-6 h-6" />
+                {cartIcon}
                 {cartSize > 0 && cartCount}
               </button>
             </div>
@@ -44,9 +59,9 @@ export const PageWrapper = ({ headerLeft, children }) => {
 
       <main className="max-w-md mx-auto px-4 py-4">{children}</main>
 
-      <CartModal {...cart} isOpen={cartModal.isOpen} />
+      {createPortal(<CartModal {...cart} isOpen={cartModal.isOpen} closeButtonRef={closeButtonRef} />, document.body)}
 
-      <Toast {...toast} />
+      {createPortal(<Toast {...toast} />, document.body)}
 
       <Footer />
     </div>
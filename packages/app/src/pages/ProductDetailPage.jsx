@@ -1,4 +1,4 @@
-import { useEffect } from "react";
+import { ErrorBoundary, useEffect, useSyncExternalStore } from "react";
 import { productStore } from "../stores";
 import { loadProductDetailForPage } from "../services";
 import { router } from "../router";
@@ -9,7 +9,12 @@ import { ErrorContent, ProductDetail, PublicImage } from "../components";
  * 상품 상세 페이지 컴포넌트
  */
 export const ProductDetailPage = () => {
-  const { currentProduct: product, relatedProducts = [], error, loading } = productStore.getState();
+  const {
+    currentProduct: product,
+    relatedProducts = [],
+    error,
+    loading,
+  } = useSyncExternalStore(productStore.subscribe, productStore.getState);
 
   useEffect(() => {
     loadProductDetailForPage(router.params.id);
@@ -40,7 +45,12 @@ export const ProductDetailPage = () => {
         ) : error || !product ? (
           <ErrorContent error={error} />
         ) : (
-          <ProductDetail product={product} relatedProducts={relatedProducts} />
+          <ErrorBoundary
+            fallback={({ error: renderError }) => <ErrorContent error={renderError?.message} />}
+            resetKeys={[product]}
+          >
+            <ProductDetail product={product} relatedProducts={relatedProducts} />
+          </ErrorBoundary>
         )}
       </div>
     </PageWrapper>
@@ -0,0 +1,173 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useState } from "../core";
+import { getAttributeEntries, normalizeClassName } from "../core/attributes";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * props를 바꿔 가며 다시 렌더링할 수 있는 요소를 렌더링하고, 첫 번째 자식 요소와 props를 바꾸는 함수를 반환합니다.
+ */
+const renderWithProps = <T extends HTMLElement>(tag: string, initialProps: Record<string, unknown>) => {
+  const container = document.createElement("div");
+  let setProps: ((props: Record<string, unknown>) => void) | undefined;
+
+  function Host() {
+    const [props, updateProps] = useState(initialProps);
+    setProps = updateProps;
+    return createElement(tag, props);
+  }
+
+  setup(<Host />, container);
+  return {
+    element: container.firstElementChild as T,
+    rerender: async (props: Record<string, unknown>) => {
+      setProps!(props);
+      await flushMicrotasks();
+    },
+  };
+};
+
+describe("속성 > ", () => {
+  describe("속성 표", () => {
+    it.each([
+      ["className", "card", [["class", "card"]]],
+      ["className", "", []],
+      ["htmlFor", "quantity", [["for", "quantity"]]],
+      ["acceptCharset", "UTF-8", [["accept-charset", "UTF-8"]]],
+      ["tabIndex", 0, [["tabindex", "0"]]],
+      ["maxLength", 10, [["maxlength", "10"]]],
+      ["disabled", true, [["disabled", ""]]],
+      ["disabled", false, []],
+      ["readOnly", true, [["readonly", ""]]],
+      ["checked", true, [["checked", ""]]],
+      ["defaultChecked", true, [["checked", ""]]],
+      ["selected", false, []],
+      ["defaultValue", "3", [["value", "3"]]],
+      ["aria-expanded", false, [["aria-expanded", "false"]]],
+      ["aria-label", "닫기", [["aria-label", "닫기"]]],
+      ["data-product-id", 12, [["data-product-id", "12"]]],
+      ["data-selected", true, [["data-selected", "true"]]],
+      ["data-empty", null, []],
+      ["draggable", false, [["draggable", "false"]]],
+      ["spellCheck", true, [["spellcheck", "true"]]],
+      ["title", undefined, []],
+      ["title", false, []],
+      ["onClick", () => {}, []],
+    ])("%s={%o}는 %j 속성이 된다", (key, value, expected) => {
+      expect(getAttributeEntries("input", { [key]: value })).toEqual(expected);
+    });
+
+    it("SVG 요소의 속성 이름은 대소문자를 유지하고, 표시 속성은 하이픈으로 바꾼다", () => {
+      const svg = "http://www.w3.org/2000/svg";
+      expect(getAttributeEntries("svg", { viewBox: "0 0 24 24", className: "icon" }, svg)).toEqual([
+        ["viewBox", "0 0 24 24"],
+        ["class", "icon"],
+      ]);
+      expect(getAttributeEntries("path", { strokeWidth: 2, xlinkHref: "#a" }, svg)).toEqual([
+        ["stroke-width", "2"],
+        ["xlink:href", "#a"],
+      ]);
+    });
+
+    it("style 객체는 단위가 필요한 숫자에만 px를 붙여 직렬화한다", () => {
+      expect(getAttributeEntries("div", { style: { width: 10, lineHeight: 1.5, margin: 0, "--gap": 4 } })).toEqual([
+        ["style", "width:10px;line-height:1.5;margin:0;--gap:4"],
+      ]);
+      expect(getAttributeEntries("div", { style: { color: null, display: false } })).toEqual([]);
+    });
+
+    it("className 배열과 객체를 공백으로 구분한 문자열로 바꾼다", () => {
+      expect(normalizeClassName(["card", null, false, "", ["shadow", { selected: true }]])).toBe(
+        "card shadow selected",
+      );
+      expect(normalizeClassName({ card: true, disabled: false, selected: 1 })).toBe("card selected");
+      expect(normalizeClassName([false, { hidden: false }])).toBe("");
+    });
+  });
+
+  describe("DOM 갱신", () => {
+    it("style 객체의 숫자에 단위를 붙이고, 사라진 키와 style prop을 제거한다", async () => {
+      const { element, rerender } = renderWithProps("div", {
+        style: { width: 120, opacity: 0.5, zIndex: 3, "--gap": "8px", color: "red" },
+      });
+      expect(element.style.width).toBe("120px");
+      expect(element.style.opacity).toBe("0.5");
+      expect(element.style.zIndex).toBe("3");
+      expect(element.style.getPropertyValue("--gap")).toBe("8px");
+
+      await rerender({ style: { width: 80 } });
+      expect(element.style.width).toBe("80px");
+      expect(element.style.color).toBe("");
+      expect(element.style.getPropertyValue("--gap")).toBe("");
+
+      await rerender({});
+      expect(element.hasAttribute("style")).toBe(false);
+    });
+
+    it("boolean 속성은 값에 따라 추가하고 제거한다", async () => {
+      const { element, rerender } = renderWithProps<HTMLButtonElement>("button", { disabled: true, hidden: true });
+      expect(element.disabled).toBe(true);
+      expect(element.getAttribute("disabled")).toBe("");
+      expect(element.hidden).toBe(true);
+
+      await rerender({ disabled: false });
+      expect(element.disabled).toBe(false);
+      expect(element.hasAttribute("disabled")).toBe(false);
+      expect(element.hasAttribute("hidden")).toBe(false);
+    });
+
+    it("checked와 selected는 DOM 프로퍼티로 반영한다", async () => {
+      const { element, rerender } = renderWithProps<HTMLInputElement>("input", { type: "checkbox", checked: true });
+      expect(element.checked).toBe(true);
+
+      await rerender({ type: "checkbox", checked: false });
+      expect(element.checked).toBe(false);
+
+      const container = document.createElement("div");
+      setup(
+        <select>
+          <option value="10">10개</option>
+          <option value="20" selected>
+            20개
+          </option>
+        </select>,
+        container,
+      );
+      expect(container.querySelector("select")!.value).toBe("20");
+    });
+
+    it("aria-*와 data-*는 false도 문자열로 설정하고, prop이 없어지면 제거한다", async () => {
+      const { element, rerender } = renderWithProps("button", { "aria-expanded": false, "data-count": 0 });
+      expect(element.getAttribute("aria-expanded")).toBe("false");
+      expect(element.getAttribute("data-count")).toBe("0");
+
+      await rerender({ "aria-expanded": true });
+      expect(element.getAttribute("aria-expanded")).toBe("true");
+      expect(element.hasAttribute("data-count")).toBe(false);
+    });
+
+    it("htmlFor는 for 속성으로 설정하고, prop이 없어지면 for 속성을 제거한다", async () => {
+      const { element, rerender } = renderWithProps<HTMLLabelElement>("label", { htmlFor: "quantity", title: "수량" });
+      expect(element.getAttribute("for")).toBe("quantity");
+
+      await rerender({});
+      expect(element.hasAttribute("for")).toBe(false);
+      expect(element.hasAttribute("title")).toBe(false);
+    });
+
+    it("className에 배열이나 객체를 전달하면 참인 클래스만 설정한다", async () => {
+      const { element, rerender } = renderWithProps("li", { className: ["cart-item", { selected: false }] });
+      expect(element.getAttribute("class")).toBe("cart-item");
+
+      await rerender({ className: ["cart-item", { selected: true }] });
+      expect(element.getAttribute("class")).toBe("cart-item selected");
+
+      await rerender({ className: { selected: false } });
+      expect(element.hasAttribute("class")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { flushSync, setup, unstable_batchedUpdates, useEffect, useLayoutEffect, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("flushSync와 일괄 처리 > ", () => {
+  it("flushSync는 콜백의 업데이트를 바로 렌더링하고 커밋하므로, 반환된 직후 새 DOM에 포커스를 옮길 수 있다", () => {
+    const container = document.createElement("div");
+    document.body.append(container);
+    let open: (() => void) | undefined;
+
+    function Modal() {
+      const [isOpen, setIsOpen] = useState(false);
+      open = () => setIsOpen(true);
+      return isOpen ? <button id="close">닫기</button> : null;
+    }
+
+    setup(<Modal />, container);
+
+    const result = flushSync(() => {
+      open!();
+      return "열림";
+    });
+    container.querySelector<HTMLButtonElement>("#close")!.focus();
+
+    expect(result).toBe("열림");
+    expect(document.activeElement).toBe(container.querySelector("#close"));
+    container.remove();
+  });
+
+  it("flushSync는 반환되기 전에 레이아웃 이펙트를 실행하고, useEffect는 마이크로태스크로 실행한다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    let increment: (() => void) | undefined;
+
+    function Counter() {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      useLayoutEffect(() => {
+        calls.push(`layout:${count}`);
+      }, [count]);
+      useEffect(() => {
+        calls.push(`effect:${count}`);
+      }, [count]);
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    await flushMicrotasks();
+    calls.length = 0;
+
+    flushSync(() => increment!());
+    expect(calls).toEqual(["layout:1"]);
+
+    await flushMicrotasks();
+    expect(calls).toEqual(["layout:1", "effect:1"]);
+  });
+
+  it("레이아웃 이펙트 안에서 호출한 flushSync는 진행 중인 커밋이 끝난 뒤에 이어서 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const renders = vi.fn();
+
+    function Tooltip() {
+      const [width, setWidth] = useState(0);
+      renders(width);
+      useLayoutEffect(() => {
+        if (width === 0) flushSync(() => setWidth(120));
+      }, [width]);
+      return <div>{width}</div>;
+    }
+
+    setup(<Tooltip />, container);
+
+    expect(container.textContent).toBe("120");
+    expect(renders.mock.calls).toEqual([[0], [120]]);
+  });
+
+  it("타이머와 promise 콜백에서 발생한 여러 업데이트도 한 번의 렌더링으로 모은다", async () => {
+    const container = document.createElement("div");
+    const renders = vi.fn();
+    let update: ((title: string, price: number) => void) | undefined;
+
+    function Product() {
+      const [title, setTitle] = useState("");
+      const [price, setPrice] = useState(0);
+      update = (nextTitle, nextPrice) => {
+        setTitle(nextTitle);
+        setPrice(nextPrice);
+      };
+      renders();
+      return (
+        <p>
+          {title}:{price}
+        </p>
+      );
+    }
+
+    setup(<Product />, container);
+    renders.mockClear();
+
+    await new Promise<void>((resolve) =>
+      setTimeout(() => {
+        update!("키보드", 1000);
+        resolve();
+      }),
+    );
+    await flushMicrotasks();
+    expect(renders).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe("키보드:1000");
+
+    renders.mockClear();
+    await Promise.resolve().then(() => update!("마우스", 2000));
+    await flushMicrotasks();
+    expect(renders).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe("마우스:2000");
+  });
+
+  it("여러 컴포넌트의 useEffect에서 발생한 업데이트는 한 번의 렌더링으로 반영한다", async () => {
+    const container = document.createElement("div");
+    const snapshots: string[] = [];
+
+    function Loader({ name }: { name: string; key?: string }) {
+      const [loaded, setLoaded] = useState(false);
+      useEffect(() => setLoaded(true), []);
+      useLayoutEffect(() => {
+        snapshots.push(container.textContent!);
+      });
+      return <li>{loaded ? name : "."}</li>;
+    }
+
+    setup(
+      <ul>
+        {["a", "b"].map((name) => (
+          <Loader key={name} name={name} />
+        ))}
+      </ul>,
+      container,
+    );
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("ab");
+    expect(snapshots).toEqual(["..", "..", "ab", "ab"]);
+  });
+
+  it("unstable_batchedUpdates는 콜백을 실행하고 그 안의 업데이트를 한 번에 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const renders = vi.fn();
+    const setters: Array<(value: number) => void> = [];
+
+    function Counter() {
+      const [count, setCount] = useState(0);
+      setters.push(setCount);
+      renders();
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    renders.mockClear();
+
+    const result = unstable_batchedUpdates((value: number) => {
+      setters[0](value);
+      setters[0](value + 1);
+      return value;
+    }, 1);
+    await flushMicrotasks();
+
+    expect(result).toBe(1);
+    expect(renders).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe("2");
+  });
+});
@@ -0,0 +1,140 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createContext, createElement, Fragment, setup, useContext, useState } from "../core";
+import { memo } from "../hocs";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("createContext / useContext > ", () => {
+  it("Provider가 없으면 기본값을 사용한다", () => {
+    const ThemeContext = createContext("light");
+    const container = document.createElement("div");
+
+    function Label() {
+      return <span>{useContext(ThemeContext)}</span>;
+    }
+
+    setup(<Label />, container);
+    expect(container.textContent).toBe("light");
+  });
+
+  it("가장 가까운 Provider의 값을 읽고, Provider 바깥에서는 기본값을 읽는다", () => {
+    const ThemeContext = createContext("light");
+    const container = document.createElement("div");
+
+    function Label({ id }: { id: string }) {
+      return <span id={id}>{useContext(ThemeContext)}</span>;
+    }
+
+    setup(
+      <div>
+        <ThemeContext.Provider value="dark">
+          <Label id="outer" />
+          <section>
+            <ThemeContext.Provider value="blue">
+              <Label id="inner" />
+            </ThemeContext.Provider>
+          </section>
+        </ThemeContext.Provider>
+        <Label id="outside" />
+      </div>,
+      container,
+    );
+
+    expect(container.querySelector("#outer")?.textContent).toBe("dark");
+    expect(container.querySelector("#inner")?.textContent).toBe("blue");
+    expect(container.querySelector("#outside")?.textContent).toBe("light");
+  });
+
+  it("서로 다른 컨텍스트의 Provider가 형제로 놓여도 값이 섞이지 않는다", () => {
+    const AContext = createContext("a-default");
+    const BContext = createContext("b-default");
+    const container = document.createElement("div");
+
+    function Read() {
+      return (
+        <span>
+          {useContext(AContext)}/{useContext(BContext)}
+        </span>
+      );
+    }
+
+    setup(
+      <>
+        <AContext.Provider value="a">
+          <Read />
+        </AContext.Provider>
+        <BContext.Provider value="b">
+          <Read />
+        </BContext.Provider>
+      </>,
+      container,
+    );
+
+    expect([...container.querySelectorAll("span")].map((span) => span.textContent)).toEqual([
+      "a/b-default",
+      "a-default/b",
+    ]);
+  });
+
+  it("Provider의 값이 바뀌면 memo로 감싼 소비자도 다시 렌더링된다", async () => {
+    const CountContext = createContext(0);
+    const container = document.createElement("div");
+    const consumerRender = vi.fn();
+    let setCount: ((count: number) => void) | undefined;
+    let setOther: ((value: number) => void) | undefined;
+
+    const Consumer = memo(() => {
+      consumerRender();
+      return <span>{useContext(CountContext)}</span>;
+    });
+
+    function App() {
+      const [count, updateCount] = useState(0);
+      const [other, updateOther] = useState(0);
+      setCount = updateCount;
+      setOther = updateOther;
+      return (
+        <CountContext.Provider value={count}>
+          <Consumer />
+          <i>{other}</i>
+        </CountContext.Provider>
+      );
+    }
+
+    setup(<App />, container);
+    expect(container.querySelector("span")?.textContent).toBe("0");
+    expect(consumerRender).toHaveBeenCalledTimes(1);
+
+    setOther!(1);
+    await flushMicrotasks();
+    expect(consumerRender).toHaveBeenCalledTimes(1);
+
+    setCount!(5);
+    await flushMicrotasks();
+    expect(container.querySelector("span")?.textContent).toBe("5");
+    expect(consumerRender).toHaveBeenCalledTimes(2);
+  });
+
+  it("Provider로 가짜 의존성을 주입할 수 있다", () => {
+    const StoreContext = createContext({ getState: () => ({ items: ["real"] }) });
+    const container = document.createElement("div");
+    const fakeStore = { getState: () => ({ items: ["fake-1", "fake-2"] }) };
+
+    function CartCount() {
+      const store = useContext(StoreContext);
+      return <b>{store.getState().items.length}</b>;
+    }
+
+    setup(
+      <StoreContext.Provider value={fakeStore}>
+        <CartCount />
+      </StoreContext.Provider>,
+      container,
+    );
+
+    expect(container.textContent).toBe("2");
+  });
+});
@@ -0,0 +1,263 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useState } from "../core";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 사용자가 입력한 것처럼 값을 바꾸고 input 이벤트를 발생시킵니다.
+ */
+const typeInto = (element: HTMLInputElement | HTMLTextAreaElement, value: string) => {
+  element.value = value;
+  element.dispatchEvent(new Event("input", { bubbles: true }));
+};
+
+describe("controlled 폼 요소 > ", () => {
+  it("value가 주어진 input은 핸들러가 상태를 바꾸지 않으면 입력한 값을 되돌린다", () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    const onChange = vi.fn();
+
+    setup(<input value="키보드" onChange={onChange} />, container);
+    const input = container.querySelector("input")!;
+    typeInto(input, "마우스");
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(input.value).toBe("키보드");
+    container.remove();
+  });
+
+  it("핸들러가 바꾼 상태를 이벤트가 끝나기 전에 반영한다", () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+
+    function CouponInput() {
+      const [code, setCode] = useState("");
+      return (
+        <input
+          value={code}
+          onChange={(event: Event) => setCode((event.target as HTMLInputElement).value.toUpperCase())}
+        />
+      );
+    }
+
+    setup(<CouponInput />, container);
+    const input = container.querySelector("input")!;
+    typeInto(input, "sale");
+    expect(input.value).toBe("SALE");
+
+    typeInto(input, "sale10");
+    expect(input.value).toBe("SALE10");
+    container.remove();
+  });
+
+  it("텍스트 입력 요소의 onChange는 input 이벤트마다 실행하고, 네이티브 change 이벤트에서는 다시 실행하지 않는다", () => {
+    const container = document.createElement("div");
+    const onChange = vi.fn();
+    const onInput = vi.fn();
+
+    setup(
+      <>
+        <input onChange={onChange} onInput={onInput} />
+        <textarea onChange={onChange} />
+      </>,
+      container,
+    );
+    const input = container.querySelector("input")!;
+    const textarea = container.querySelector("textarea")!;
+
+    typeInto(input, "ㄱ");
+    typeInto(input, "가");
+    typeInto(textarea, "메모");
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+
+    expect(onInput).toHaveBeenCalledTimes(2);
+    expect(onChange).toHaveBeenCalledTimes(3);
+  });
+
+  it("checked가 주어진 체크박스는 상태를 바꾸지 않으면 클릭해도 선택이 유지되지 않는다", async () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    let locked = false;
+
+    function Agreement() {
+      const [agreed, setAgreed] = useState(false);
+      return <input type="checkbox" checked={agreed} onChange={() => !locked && setAgreed(!agreed)} />;
+    }
+
+    setup(<Agreement />, container);
+    const checkbox = container.querySelector("input")!;
+
+    checkbox.click();
+    expect(checkbox.checked).toBe(true);
+
+    locked = true;
+    checkbox.click();
+    expect(checkbox.checked).toBe(true);
+    await flushMicrotasks();
+    expect(checkbox.checked).toBe(true);
+    container.remove();
+  });
+
+  it("라디오 버튼을 선택하면 같은 그룹의 버튼도 props에 맞춘다", () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+
+    setup(
+      <>
+        <input type="radio" name="shipping" value="normal" checked onChange={() => {}} />
+        <input type="radio" name="shipping" value="express" checked={false} onChange={() => {}} />
+      </>,
+      container,
+    );
+    const [normal, express] = container.querySelectorAll("input");
+
+    express.click();
+
+    expect(normal.checked).toBe(true);
+    expect(express.checked).toBe(false);
+    container.remove();
+  });
+
+  it("value가 있어도 button처럼 사용자가 값을 바꿀 수 없는 요소는 controlled로 다루지 않는다", async () => {
+    const container = document.createElement("div");
+
+    function AddButton() {
+      const [count, setCount] = useState(0);
+      return (
+        <button value="add" onClick={() => setCount(count + 1)}>
+          {count}
+        </button>
+      );
+    }
+
+    setup(<AddButton />, container);
+    const button = container.querySelector("button")!;
+
+    button.click();
+    // controlled 요소가 아니므로 업데이트를 이벤트 안에서 바로 렌더링하지 않습니다.
+    expect(button.textContent).toBe("0");
+    await flushMicrotasks();
+    expect(button.textContent).toBe("1");
+  });
+
+  it("select의 value로 옵션을 선택하고, 바뀐 상태를 반영한다", async () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+
+    function LimitSelect() {
+      const [limit, setLimit] = useState("20");
+      return (
+        <select value={limit} onChange={(event: Event) => setLimit((event.target as HTMLSelectElement).value)}>
+          <option value="10">10개</option>
+          <option value="20">20개</option>
+          <option value="50">50개</option>
+        </select>
+      );
+    }
+
+    setup(<LimitSelect />, container);
+    const select = container.querySelector("select")!;
+    expect(select.value).toBe("20");
+
+    select.value = "50";
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+    await flushMicrotasks();
+    expect(select.value).toBe("50");
+    expect(select.hasAttribute("value")).toBe(false);
+    container.remove();
+  });
+
+  it("multiple select는 value 배열에 있는 옵션을 모두 선택한다", async () => {
+    const container = document.createElement("div");
+    let setCategories: ((categories: string[]) => void) | undefined;
+
+    function CategorySelect() {
+      const [categories, update] = useState(["pc", "audio"]);
+      setCategories = update;
+      return (
+        <select multiple value={categories} onChange={() => {}}>
+          <option value="pc">컴퓨터</option>
+          <option value="audio">음향</option>
+          <option value="camera">카메라</option>
+        </select>
+      );
+    }
+
+    setup(<CategorySelect />, container);
+    const selected = () => [...container.querySelectorAll("option")].filter((option) => option.selected);
+    expect(selected().map((option) => option.value)).toEqual(["pc", "audio"]);
+
+    setCategories!(["camera"]);
+    await flushMicrotasks();
+    expect(selected().map((option) => option.value)).toEqual(["camera"]);
+  });
+
+  it("서버가 selected로 표시한 option을 하이드레이션에서 불일치 없이 이어받는다", () => {
+    const LimitSelect = () => (
+      <select value="20" onChange={() => {}}>
+        <option value="10">10개</option>
+        <option value="20">20개</option>
+      </select>
+    );
+
+    const container = document.createElement("div");
+    container.innerHTML = renderToString(<LimitSelect />);
+    expect(container.querySelector("select")!.value).toBe("20");
+
+    const onRecoverableError = vi.fn();
+    hydrateRoot(container, <LimitSelect />, { onRecoverableError });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.querySelector("select")!.value).toBe("20");
+  });
+
+  it("defaultValue와 defaultChecked는 처음 값만 정하고, 이후 입력을 되돌리지 않는다", async () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    let rerender: (() => void) | undefined;
+
+    function Form() {
+      const [, setCount] = useState(0);
+      rerender = () => setCount((count) => count + 1);
+      return (
+        <>
+          <input defaultValue="1" />
+          <input type="checkbox" defaultChecked />
+          <textarea defaultValue="배송 전에 연락 주세요." />
+          <select defaultValue="50">
+            <option value="20">20개</option>
+            <option value="50">50개</option>
+          </select>
+        </>
+      );
+    }
+
+    setup(<Form />, container);
+    const [input, checkbox] = container.querySelectorAll("input");
+    const textarea = container.querySelector("textarea")!;
+    const select = container.querySelector("select")!;
+    expect(input.value).toBe("1");
+    expect(checkbox.checked).toBe(true);
+    expect(textarea.value).toBe("배송 전에 연락 주세요.");
+    expect(select.value).toBe("50");
+
+    typeInto(input, "3");
+    checkbox.click();
+    typeInto(textarea, "부재 시 문 앞");
+    select.value = "20";
+    rerender!();
+    await flushMicrotasks();
+
+    expect(input.value).toBe("3");
+    expect(checkbox.checked).toBe(false);
+    expect(textarea.value).toBe("부재 시 문 앞");
+    expect(select.value).toBe("20");
+    container.remove();
+  });
+});
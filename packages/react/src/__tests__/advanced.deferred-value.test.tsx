@@ -0,0 +1,106 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useDeferredValue, useState } from "../core";
+import { memo } from "../hocs";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 렌더링이 여러 구간에 나뉘도록 주어진 시간 동안 실행을 붙잡아 둡니다.
+ */
+const block = (ms: number) => {
+  const start = performance.now();
+  while (performance.now() - start < ms) {
+    // 의도적으로 기다립니다.
+  }
+};
+
+function SlowItem({ text }: { text: string; key?: string }) {
+  block(2);
+  return <li>{text}</li>;
+}
+
+const SlowList = memo(({ query }: { query: string }) => (
+  <ul>
+    {Array.from({ length: 10 }, (_, index) => (
+      <SlowItem key={String(index)} text={query} />
+    ))}
+  </ul>
+));
+
+describe("useDeferredValue > ", () => {
+  it("처음 렌더링할 때는 주어진 값을 그대로 반환한다", () => {
+    const container = document.createElement("div");
+
+    function Label() {
+      return <span>{useDeferredValue("키보드")}</span>;
+    }
+
+    setup(<Label />, container);
+    expect(container.textContent).toBe("키보드");
+  });
+
+  it("급한 렌더링에서는 이전 값을 반환하고, 커밋한 뒤 새 값으로 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const renders: string[] = [];
+    let search: ((query: string) => void) | undefined;
+
+    function SearchPage() {
+      const [query, setQuery] = useState("");
+      const deferredQuery = useDeferredValue(query);
+      search = setQuery;
+      renders.push(`${query}/${deferredQuery}`);
+      return (
+        <p>
+          {query}:{deferredQuery}
+        </p>
+      );
+    }
+
+    setup(<SearchPage />, container);
+    search!("키");
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("키:");
+
+    await vi.waitFor(() => expect(container.textContent).toBe("키:키"));
+    expect(renders).toEqual(["/", "키/", "키/키"]);
+  });
+
+  it("무거운 목록이 따라오는 동안에도 입력은 바로 반영되고, 목록은 마지막 입력으로 렌더링된다", async () => {
+    const container = document.createElement("div");
+
+    function SearchPage() {
+      const [query, setQuery] = useState("");
+      const deferredQuery = useDeferredValue(query);
+
+      return (
+        <>
+          <input value={query} onInput={(event: Event) => setQuery((event.target as HTMLInputElement).value)} />
+          <SlowList query={deferredQuery} />
+        </>
+      );
+    }
+
+    setup(<SearchPage />, container);
+    const input = container.querySelector("input")!;
+    const type = async (value: string) => {
+      input.value = value;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      await flushMicrotasks();
+    };
+
+    await type("k");
+    expect(input.value).toBe("k");
+    expect(container.querySelector("li")!.textContent).toBe("");
+
+    await type("ke");
+    await type("key");
+    expect(input.value).toBe("key");
+
+    await vi.waitFor(() => expect(container.querySelector("ul")!.textContent).toBe("key".repeat(10)));
+  });
+});
@@ -0,0 +1,215 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createContext, setup, useContext, useState, type VNode } from "../core";
+import { memo } from "../hocs";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("하위 트리 렌더링 > ", () => {
+  it("상태가 바뀐 컴포넌트만 다시 실행하고, 부모와 형제 컴포넌트는 다시 실행하지 않는다", async () => {
+    const container = document.createElement("div");
+    const renders: string[] = [];
+    let increment: (() => void) | undefined;
+
+    function Quantity() {
+      const [count, setCount] = useState(1);
+      increment = () => setCount((prev) => prev + 1);
+      renders.push("quantity");
+      return <span>{count}</span>;
+    }
+
+    function Title() {
+      renders.push("title");
+      return <h4>키보드</h4>;
+    }
+
+    function CartItem() {
+      renders.push("item");
+      return (
+        <li>
+          <Title />
+          <Quantity />
+        </li>
+      );
+    }
+
+    setup(<CartItem />, container);
+    renders.length = 0;
+
+    increment!();
+    await flushMicrotasks();
+
+    expect(renders).toEqual(["quantity"]);
+    expect(container.innerHTML).toBe("<li><h4>키보드</h4><span>2</span></li>");
+  });
+
+  it("다시 실행한 컴포넌트 아래에서는 props가 바뀐 자식만 다시 실행하고, 그대로 전달된 children은 건너뛴다", async () => {
+    const container = document.createElement("div");
+    const renders: string[] = [];
+    let select: (() => void) | undefined;
+
+    function Badge({ selected }: { selected: boolean }) {
+      renders.push("badge");
+      return <b>{selected ? "선택됨" : "선택"}</b>;
+    }
+
+    function Description() {
+      renders.push("description");
+      return <p>설명</p>;
+    }
+
+    function Card({ children }: { children?: VNode }) {
+      const [selected, setSelected] = useState(false);
+      select = () => setSelected(true);
+      renders.push("card");
+      return (
+        <article>
+          <Badge selected={selected} />
+          {children}
+        </article>
+      );
+    }
+
+    setup(
+      <Card>
+        <Description />
+      </Card>,
+      container,
+    );
+    renders.length = 0;
+
+    select!();
+    await flushMicrotasks();
+
+    expect(renders).toEqual(["card", "badge"]);
+    expect(container.innerHTML).toBe("<article><b>선택됨</b><p>설명</p></article>");
+  });
+
+  it("memo로 감싼 자식은 부모가 다시 렌더링되어도 props가 같으면 다시 실행하지 않는다", async () => {
+    const container = document.createElement("div");
+    const renderCard = vi.fn();
+    let search: ((query: string) => void) | undefined;
+
+    const ProductCard = memo(({ title }: { title: string; key?: string }) => {
+      renderCard(title);
+      return <li>{title}</li>;
+    });
+
+    function HomePage() {
+      const [query, setQuery] = useState("");
+      search = setQuery;
+      return (
+        <>
+          <input value={query} />
+          <ul>
+            {["키보드", "마우스"].map((title) => (
+              <ProductCard key={title} title={title} />
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    setup(<HomePage />, container);
+    renderCard.mockClear();
+
+    search!("키");
+    await flushMicrotasks();
+
+    expect(renderCard).not.toHaveBeenCalled();
+    expect(container.querySelector("input")!.value).toBe("키");
+  });
+
+  it("memo로 감싼 컴포넌트가 스스로 상태를 바꾸면 props가 같아도 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    let increment: (() => void) | undefined;
+
+    const Counter = memo(({ label }: { label: string }) => {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      return (
+        <span>
+          {label}:{count}
+        </span>
+      );
+    });
+
+    setup(<Counter label="a" />, container);
+    increment!();
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("a:1");
+  });
+
+  it("Provider의 값이 바뀌면 다시 실행하지 않은 컴포넌트 아래의 소비자도 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const CurrencyContext = createContext("원");
+    const renderLayout = vi.fn();
+    let changeCurrency: ((currency: string) => void) | undefined;
+
+    function Price() {
+      return <span>1000{useContext(CurrencyContext)}</span>;
+    }
+
+    const Layout = memo(() => {
+      renderLayout();
+      return (
+        <section>
+          <Price />
+        </section>
+      );
+    });
+
+    function App() {
+      const [currency, setCurrency] = useState("원");
+      changeCurrency = setCurrency;
+      return (
+        <CurrencyContext.Provider value={currency}>
+          <Layout />
+        </CurrencyContext.Provider>
+      );
+    }
+
+    setup(<App />, container);
+    renderLayout.mockClear();
+
+    changeCurrency!("달러");
+    await flushMicrotasks();
+
+    expect(renderLayout).not.toHaveBeenCalled();
+    expect(container.textContent).toBe("1000달러");
+  });
+
+  it("같은 루트에서 여러 컴포넌트가 업데이트되면 한 번의 렌더링에서 함께 다시 실행한다", async () => {
+    const container = document.createElement("div");
+    const renders: string[] = [];
+    const setters: Array<(value: number) => void> = [];
+
+    function Counter({ name }: { name: string; key?: string }) {
+      const [count, setCount] = useState(0);
+      setters.push(setCount);
+      renders.push(name);
+      return <span>{count}</span>;
+    }
+
+    setup(
+      <div>
+        {["a", "b", "c"].map((name) => (
+          <Counter key={name} name={name} />
+        ))}
+      </div>,
+      container,
+    );
+    renders.length = 0;
+
+    setters[0](1);
+    setters[2](3);
+    await flushMicrotasks();
+
+    expect(renders).toEqual(["a", "c"]);
+    expect(container.textContent).toBe("103");
+  });
+});
@@ -0,0 +1,268 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { ErrorBoundary, setup, startTransition, useEffect, useState, type FallbackProps } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 렌더링이 여러 구간에 나뉘도록 주어진 시간 동안 실행을 붙잡아 둡니다.
+ */
+const block = (ms: number) => {
+  const start = performance.now();
+  while (performance.now() - start < ms) {
+    // 의도적으로 기다립니다.
+  }
+};
+
+function ProductDetail({ broken }: { broken: boolean }) {
+  if (broken) {
+    throw new Error("상품 정보를 불러올 수 없습니다.");
+  }
+  return <p id="detail">상품 상세</p>;
+}
+
+function DetailSection({ broken }: { broken: boolean }) {
+  return (
+    <section>
+      <ProductDetail broken={broken} />
+    </section>
+  );
+}
+
+describe("ErrorBoundary > ", () => {
+  it("하위 트리의 렌더링 에러를 잡아 fallback을 렌더링하고, 경계 밖의 화면은 유지한다", () => {
+    const container = document.createElement("div");
+    const onError = vi.fn();
+
+    setup(
+      <div>
+        <header>쇼핑몰</header>
+        <ErrorBoundary fallback={<p id="fallback">문제가 발생했습니다.</p>} onError={onError}>
+          <DetailSection broken />
+        </ErrorBoundary>
+      </div>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe('<div><header>쇼핑몰</header><p id="fallback">문제가 발생했습니다.</p></div>');
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    const [error, info] = onError.mock.calls[0];
+    expect((error as Error).message).toBe("상품 정보를 불러올 수 없습니다.");
+    expect(info.componentStack).toBe("\n    in ProductDetail\n    in DetailSection\n    in ErrorBoundary");
+  });
+
+  it("fallback 함수는 에러 정보를 받고, resetErrorBoundary로 자식을 다시 렌더링할 수 있다", async () => {
+    const container = document.createElement("div");
+    let reset: (() => void) | undefined;
+    const onReset = vi.fn();
+
+    function Fallback({ error, componentStack, resetErrorBoundary }: FallbackProps) {
+      reset = resetErrorBoundary;
+      return (
+        <p id="fallback">
+          {(error as Error).message}
+          {componentStack.includes("in ProductDetail") ? "!" : "?"}
+        </p>
+      );
+    }
+
+    // 경계만 다시 렌더링되므로, 에러의 원인이 된 상태는 onReset에서 함께 되돌립니다.
+    function Page() {
+      const [broken, setBroken] = useState(true);
+      return (
+        <ErrorBoundary
+          fallback={(props: FallbackProps) => <Fallback {...props} />}
+          onReset={() => {
+            onReset();
+            setBroken(false);
+          }}
+        >
+          <ProductDetail broken={broken} />
+        </ErrorBoundary>
+      );
+    }
+
+    setup(<Page />, container);
+    expect(container.textContent).toBe("상품 정보를 불러올 수 없습니다.!");
+
+    reset!();
+    await flushMicrotasks();
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(container.innerHTML).toBe('<p id="detail">상품 상세</p>');
+  });
+
+  it("업데이트 중 에러가 나면 기존 하위 트리를 언마운트하고 클린업을 실행하며, 실패한 렌더링의 이펙트는 실행하지 않는다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    let breakDetail: (() => void) | undefined;
+
+    function Tracker({ name }: { name: string }) {
+      useEffect(() => {
+        calls.push(`mount:${name}`);
+        return () => calls.push(`unmount:${name}`);
+      }, []);
+      return <span>{name}</span>;
+    }
+
+    function Shop() {
+      const [broken, setBroken] = useState(false);
+      breakDetail = () => setBroken(true);
+      return (
+        <main>
+          <ErrorBoundary fallback={<p id="fallback">fallback</p>}>
+            <Tracker name="gallery" />
+            {broken && <Tracker name="review" />}
+            <DetailSection broken={broken} />
+          </ErrorBoundary>
+          <Tracker name="cart" />
+        </main>
+      );
+    }
+
+    setup(<Shop />, container);
+    await flushMicrotasks();
+    expect(calls).toEqual(["mount:gallery", "mount:cart"]);
+
+    breakDetail!();
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe('<main><p id="fallback">fallback</p><span>cart</span></main>');
+    expect(calls).toEqual(["mount:gallery", "mount:cart", "unmount:gallery"]);
+  });
+
+  it("이펙트에서 던져진 에러도 가장 가까운 경계가 처리한다", async () => {
+    const container = document.createElement("div");
+    const onError = vi.fn();
+
+    function Recommendations() {
+      useEffect(() => {
+        throw new Error("추천 상품 요청 실패");
+      }, []);
+      return <ul id="recommendations" />;
+    }
+
+    function Widget() {
+      return <Recommendations />;
+    }
+
+    setup(
+      <ErrorBoundary fallback={<p id="fallback">추천 상품을 표시할 수 없습니다.</p>} onError={onError}>
+        <Widget />
+      </ErrorBoundary>,
+      container,
+    );
+    expect(container.querySelector("#recommendations")).not.toBeNull();
+
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe('<p id="fallback">추천 상품을 표시할 수 없습니다.</p>');
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][1].componentStack).toBe(
+      "\n    in Recommendations\n    in Widget\n    in ErrorBoundary",
+    );
+  });
+
+  it("fallback 렌더링 중 발생한 에러는 바깥 경계로 전파된다", () => {
+    const container = document.createElement("div");
+    const innerError = vi.fn();
+    const outerError = vi.fn();
+
+    function BrokenFallback(): null {
+      throw new Error("fallback 실패");
+    }
+
+    setup(
+      <ErrorBoundary fallback={<p id="outer">outer</p>} onError={outerError}>
+        <ErrorBoundary fallback={<BrokenFallback />} onError={innerError}>
+          <ProductDetail broken />
+        </ErrorBoundary>
+      </ErrorBoundary>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe('<p id="outer">outer</p>');
+    expect(innerError).not.toHaveBeenCalled();
+    expect((outerError.mock.calls[0][0] as Error).message).toBe("fallback 실패");
+  });
+
+  it("resetKeys가 바뀌면 에러 상태를 초기화하고, 커밋된 뒤에 onReset을 호출한다", async () => {
+    const container = document.createElement("div");
+    let selectProduct: ((id: string) => void) | undefined;
+    const onReset = vi.fn(() => container.innerHTML);
+
+    function Page() {
+      const [productId, setProductId] = useState("broken");
+      selectProduct = setProductId;
+      return (
+        <ErrorBoundary fallback={<p id="fallback">fallback</p>} resetKeys={[productId]} onReset={onReset}>
+          <ProductDetail broken={productId === "broken"} />
+        </ErrorBoundary>
+      );
+    }
+
+    setup(<Page />, container);
+    expect(container.querySelector("#fallback")).not.toBeNull();
+
+    selectProduct!("85067212996");
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe('<p id="detail">상품 상세</p>');
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(onReset).toHaveReturnedWith('<p id="detail">상품 상세</p>');
+  });
+
+  it("버려진 렌더링에서 잡은 에러는 경계의 상태로 남지 않는다", async () => {
+    const container = document.createElement("div");
+    let breakDetail: (() => void) | undefined;
+
+    function SlowItem({ index }: { index: number; key?: string }) {
+      block(2);
+      return <li>{index}</li>;
+    }
+
+    function Page() {
+      const [broken, setBroken] = useState(false);
+      const [selected, setSelected] = useState(false);
+      breakDetail = () => startTransition(() => setBroken(true));
+      return (
+        <div>
+          <button onClick={() => setSelected(true)}>{selected ? "선택됨" : "선택"}</button>
+          <ErrorBoundary fallback={<p id="fallback">fallback</p>}>
+            <ProductDetail broken={broken} />
+          </ErrorBoundary>
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} index={index} />
+            ))}
+          </ul>
+        </div>
+      );
+    }
+
+    setup(<Page />, container);
+
+    // 전환 렌더링이 경계에서 에러를 잡은 뒤 양보한 사이에 클릭하면, 전환 렌더링을 버리고 클릭을 먼저 렌더링한다.
+    breakDetail!();
+    await flushMicrotasks();
+    container.querySelector("button")!.click();
+    await flushMicrotasks();
+
+    expect(container.querySelector("button")!.textContent).toBe("선택됨");
+    expect(container.querySelector("#detail")).not.toBeNull();
+    expect(container.querySelector("#fallback")).toBeNull();
+
+    await vi.waitFor(() => expect(container.querySelector("#fallback")).not.toBeNull());
+  });
+
+  it("경계가 없으면 에러가 그대로 던져진다", () => {
+    const container = document.createElement("div");
+    expect(() => setup(<ProductDetail broken />, container)).toThrowError("상품 정보를 불러올 수 없습니다.");
+  });
+});
@@ -0,0 +1,242 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { afterEach, describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createPortal, setup, unmountRoot, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("이벤트 위임 > ", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = "";
+  });
+
+  it("요소 수와 관계없이 이벤트 타입마다 루트 컨테이너에만 리스너를 등록하고, 리렌더링 시 다시 등록하지 않는다", async () => {
+    const container = document.createElement("div");
+    const addSpy = vi.spyOn(HTMLElement.prototype, "addEventListener");
+    const clicked: number[] = [];
+    let rerender: (() => void) | undefined;
+
+    function Grid() {
+      const [version, setVersion] = useState(0);
+      rerender = () => setVersion((prev) => prev + 1);
+      return (
+        <ul>
+          {Array.from({ length: 100 }, (_, index) => (
+            <li key={String(index)}>
+              <button onClick={() => clicked.push(index + version * 1000)}>담기</button>
+            </li>
+          ))}
+        </ul>
+      );
+    }
+
+    setup(<Grid />, container);
+    rerender!();
+    await flushMicrotasks();
+
+    const registered = addSpy.mock.contexts.map((target, index) => [target, addSpy.mock.calls[index][0]]);
+    expect(registered).toEqual([
+      [container, "click"],
+      [container, "click"],
+    ]);
+
+    container.querySelectorAll("button")[42].click();
+    expect(clicked).toEqual([1042]);
+  });
+
+  it("캡처 핸들러는 바깥에서 안쪽으로, 버블 핸들러는 안쪽에서 바깥으로 실행되고 currentTarget이 설정된다", () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    const record = (name: string) => (event: Event) => calls.push(`${name}:${(event.currentTarget as Element).id}`);
+
+    setup(
+      <div id="outer" onClickCapture={record("outer-capture")} onClick={record("outer")}>
+        <section id="inner" onClickCapture={record("inner-capture")} onClick={record("inner")}>
+          <button id="target">클릭</button>
+        </section>
+      </div>,
+      container,
+    );
+
+    (container.querySelector("#target") as HTMLButtonElement).click();
+
+    expect(calls).toEqual(["outer-capture:outer", "inner-capture:inner", "inner:inner", "outer:outer"]);
+  });
+
+  it("stopPropagation을 호출하면 이후 단계의 핸들러는 실행되지 않는다", () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+
+    setup(
+      <div onClick={() => calls.push("card")}>
+        <button
+          id="add"
+          onClick={(event: Event) => {
+            event.stopPropagation();
+            calls.push("add");
+          }}
+        >
+          담기
+        </button>
+        <div onClickCapture={(event: Event) => event.stopPropagation()} onClick={() => calls.push("blocked-parent")}>
+          <button id="blocked" onClick={() => calls.push("blocked")}>
+            차단
+          </button>
+        </div>
+      </div>,
+      container,
+    );
+
+    (container.querySelector("#add") as HTMLButtonElement).click();
+    (container.querySelector("#blocked") as HTMLButtonElement).click();
+
+    expect(calls).toEqual(["add"]);
+  });
+
+  it("리렌더링으로 바뀐 핸들러는 리스너를 다시 등록하지 않고도 최신 핸들러가 실행된다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    let setLabel: ((label: string) => void) | undefined;
+
+    function Button() {
+      const [label, updateLabel] = useState("first");
+      setLabel = updateLabel;
+      return <button onClick={() => calls.push(label)}>{label}</button>;
+    }
+
+    setup(<Button />, container);
+    const removeSpy = vi.spyOn(HTMLElement.prototype, "removeEventListener");
+
+    setLabel!("second");
+    await flushMicrotasks();
+    container.querySelector("button")!.click();
+
+    expect(calls).toEqual(["second"]);
+    expect(removeSpy).not.toHaveBeenCalled();
+  });
+
+  it("스크롤과 터치 이벤트는 passive 리스너로 등록한다", () => {
+    const container = document.createElement("div");
+    const addSpy = vi.spyOn(container, "addEventListener");
+
+    setup(
+      <div onScroll={() => {}} onTouchStart={() => {}} onWheel={() => {}} onClick={() => {}}>
+        목록
+      </div>,
+      container,
+    );
+
+    const passiveByType = Object.fromEntries(
+      addSpy.mock.calls.map(([type, , options]) => [type, (options as AddEventListenerOptions).passive]),
+    );
+    expect(passiveByType).toEqual({ scroll: true, touchstart: true, wheel: true, click: false });
+  });
+
+  it("버블링하지 않는 이벤트는 대상 요소의 핸들러만 실행한다", () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+
+    setup(
+      <ul onMouseEnter={() => calls.push("list")} onMouseEnterCapture={() => calls.push("list-capture")}>
+        <li onMouseEnter={() => calls.push("item")}>키보드</li>
+      </ul>,
+      container,
+    );
+
+    container.querySelector("li")!.dispatchEvent(new MouseEvent("mouseenter"));
+
+    expect(calls).toEqual(["list-capture", "item"]);
+  });
+
+  it("onDoubleClick은 네이티브 dblclick 이벤트로 실행한다", () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+
+    setup(
+      <div onDoubleClick={() => calls.push("card")} onDoubleClickCapture={() => calls.push("card-capture")}>
+        <img alt="상품" onDoubleClick={() => calls.push("image")} />
+      </div>,
+      container,
+    );
+
+    container.querySelector("img")!.dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+
+    expect(calls).toEqual(["card-capture", "image", "card"]);
+  });
+
+  it("onFocus와 onBlur는 버블링하는 focusin, focusout 이벤트로 실행해 상위 요소의 핸들러도 실행한다", () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    const calls: string[] = [];
+
+    setup(
+      <form
+        onFocus={() => calls.push("form focus")}
+        onFocusCapture={() => calls.push("form focus-capture")}
+        onBlur={() => calls.push("form blur")}
+        onBlurCapture={() => calls.push("form blur-capture")}
+      >
+        <input onFocus={() => calls.push("input focus")} onBlur={() => calls.push("input blur")} />
+      </form>,
+      container,
+    );
+
+    const input = container.querySelector("input")!;
+    input.focus();
+    input.blur();
+
+    expect(calls).toEqual([
+      "form focus-capture",
+      "input focus",
+      "form focus",
+      "form blur-capture",
+      "input blur",
+      "form blur",
+    ]);
+    container.remove();
+  });
+
+  it("포탈 안에서 발생한 이벤트는 DOM 위치가 아닌 트리상의 부모에게 전파된다", () => {
+    const container = document.createElement("div");
+    const modalRoot = document.createElement("div");
+    document.body.append(container, modalRoot);
+    const calls: string[] = [];
+
+    setup(
+      <div onClick={() => calls.push("page")}>
+        {createPortal(
+          <div onClick={() => calls.push("modal")}>
+            <button id="close">닫기</button>
+          </div>,
+          modalRoot,
+        )}
+      </div>,
+      container,
+    );
+
+    (modalRoot.querySelector("#close") as HTMLButtonElement).click();
+
+    expect(calls).toEqual(["modal", "page"]);
+  });
+
+  it("루트를 해제하면 위임 리스너를 모두 제거한다", () => {
+    const container = document.createElement("div");
+    const modalRoot = document.createElement("div");
+    const removeSpy = vi.spyOn(HTMLElement.prototype, "removeEventListener");
+
+    setup(
+      <div onClick={() => {}} onKeyDown={() => {}}>
+        {createPortal(<button onClick={() => {}} />, modalRoot)}
+      </div>,
+      container,
+    );
+    unmountRoot(container);
+
+    const removed = removeSpy.mock.contexts.map((target, index) => [target, removeSpy.mock.calls[index][0]]);
+    expect(removed).toHaveLength(8);
+    expect(removed.filter(([target]) => target === modalRoot)).toHaveLength(4);
+  });
+});
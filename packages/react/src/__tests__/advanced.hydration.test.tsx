@@ -0,0 +1,187 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { afterEach, describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { ErrorBoundary, useEffect, useLayoutEffect, useState, type VNode } from "../core";
+import { useRef } from "../hooks";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+const createServerContainer = (node: VNode): HTMLElement => {
+  const container = document.createElement("div");
+  container.innerHTML = renderToString(node);
+  document.body.append(container);
+  return container;
+};
+
+describe("하이드레이션 > ", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = "";
+  });
+
+  it("서버에서 렌더링된 DOM 노드를 새로 만들지 않고 그대로 사용한다", () => {
+    function Price({ value }: { value: number }) {
+      return (
+        <p className="price">
+          {"가격: "}
+          {value}
+          <i>원</i>
+        </p>
+      );
+    }
+
+    const node = (
+      <section>
+        <h1>상품</h1>
+        <Price value={1000} />
+      </section>
+    );
+    const container = createServerContainer(node);
+    const section = container.querySelector("section");
+    const price = container.querySelector("p");
+    const texts = Array.from(price!.childNodes);
+    const onRecoverableError = vi.fn();
+    const createSpy = vi.spyOn(document, "createElement");
+
+    hydrateRoot(container, node, { onRecoverableError });
+
+    expect(container.querySelector("section")).toBe(section);
+    expect(container.querySelector("p")).toBe(price);
+    expect(Array.from(price!.childNodes)).toEqual(texts);
+    expect(container.innerHTML).toBe(
+      '<section><h1>상품</h1><p class="price">가격: <!-- -->1000<i>원</i></p></section>',
+    );
+    expect(createSpy).not.toHaveBeenCalled();
+    expect(onRecoverableError).not.toHaveBeenCalled();
+  });
+
+  it("이벤트 핸들러를 연결하고 ref, 레이아웃 이펙트, 이펙트를 실행하며 이후 업데이트가 반영된다", async () => {
+    const calls: string[] = [];
+    let buttonRef: { current: HTMLButtonElement | null } | undefined;
+
+    function Counter() {
+      const [count, setCount] = useState(0);
+      buttonRef = useRef<HTMLButtonElement | null>(null);
+      useLayoutEffect(() => {
+        calls.push(`layout:${buttonRef!.current?.textContent}`);
+      }, []);
+      useEffect(() => {
+        calls.push(`effect:${count}`);
+      }, [count]);
+      return (
+        <button ref={buttonRef} onClick={() => setCount((prev) => prev + 1)}>
+          {count}
+        </button>
+      );
+    }
+
+    const container = createServerContainer(<Counter />);
+    const button = container.querySelector("button")!;
+
+    hydrateRoot(container, <Counter />);
+    expect(buttonRef!.current).toBe(button);
+    expect(calls).toEqual(["layout:0"]);
+
+    await flushMicrotasks();
+    expect(calls).toEqual(["layout:0", "effect:0"]);
+
+    button.click();
+    await flushMicrotasks();
+    await flushMicrotasks();
+    expect(container.querySelector("button")).toBe(button);
+    expect(button.textContent).toBe("1");
+    expect(calls).toEqual(["layout:0", "effect:0", "effect:1"]);
+  });
+
+  it("텍스트가 다르면 보고한 뒤 클라이언트 값으로 고친다", () => {
+    const container = createServerContainer(<p>서버 시간</p>);
+    const text = container.querySelector("p")!.firstChild;
+    const onRecoverableError = vi.fn();
+
+    hydrateRoot(container, <p>클라이언트 시간</p>, { onRecoverableError });
+
+    expect(container.innerHTML).toBe("<p>클라이언트 시간</p>");
+    expect(container.querySelector("p")!.firstChild).toBe(text);
+    expect(onRecoverableError).toHaveBeenCalledTimes(1);
+    expect(onRecoverableError.mock.calls[0][0].message).toContain("서버 시간");
+  });
+
+  it("속성이 다르면 보고한 뒤 클라이언트 props에 맞게 고친다", () => {
+    const container = createServerContainer(<div id="card" className="server" data-stale="true" />);
+    const div = container.querySelector("div");
+    const onRecoverableError = vi.fn();
+
+    hydrateRoot(container, <div id="card" className="client" title="상품" />, { onRecoverableError });
+
+    expect(container.querySelector("div")).toBe(div);
+    expect(container.innerHTML).toBe('<div id="card" class="client" title="상품"></div>');
+    expect(onRecoverableError).toHaveBeenCalledTimes(1);
+    const { message } = onRecoverableError.mock.calls[0][0];
+    expect(message).toContain("class");
+    expect(message).toContain("data-stale");
+    expect(message).toContain("title");
+  });
+
+  it("구조가 다르면 해당 요소만 새로 만들고 남은 서버 노드는 제거한다", () => {
+    const container = createServerContainer(
+      <main>
+        <p>설명</p>
+        <span>유지</span>
+        <b>서버 전용</b>
+      </main>,
+    );
+    const span = container.querySelector("span");
+    const onRecoverableError = vi.fn();
+
+    hydrateRoot(
+      container,
+      <main>
+        <div>설명</div>
+        <span>유지</span>
+      </main>,
+      { onRecoverableError },
+    );
+
+    expect(container.innerHTML).toBe("<main><div>설명</div><span>유지</span></main>");
+    expect(container.querySelector("span")).toBe(span);
+    expect(onRecoverableError).toHaveBeenCalledTimes(2);
+  });
+
+  it("서버에서 fallback으로 렌더링된 ErrorBoundary는 fallback 마크업을 차지한다", () => {
+    function Broken(): null {
+      throw new Error("실패");
+    }
+
+    const node = (
+      <main>
+        <ErrorBoundary fallback={<p>오류</p>}>
+          <section>
+            <Broken />
+          </section>
+        </ErrorBoundary>
+      </main>
+    );
+    const container = createServerContainer(node);
+    const fallback = container.querySelector("p");
+    const onRecoverableError = vi.fn();
+
+    hydrateRoot(container, node, { onRecoverableError });
+
+    expect(container.innerHTML).toBe("<main><p>오류</p></main>");
+    expect(container.querySelector("p")).toBe(fallback);
+  });
+
+  it("불일치는 기본적으로 개발 환경에서 console.error로 보고한다", () => {
+    const container = createServerContainer(<p>서버</p>);
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    hydrateRoot(container, <p>클라이언트</p>);
+
+    expect(errorSpy).toHaveBeenCalledTimes(1);
+    expect(container.innerHTML).toBe("<p>클라이언트</p>");
+  });
+});
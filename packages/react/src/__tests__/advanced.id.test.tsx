@@ -0,0 +1,109 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useId, useState } from "../core";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+function QuantityField({ label }: { label: string; key?: string }) {
+  const id = useId();
+  const hintId = useId();
+  return (
+    <div>
+      <label htmlFor={id}>{label}</label>
+      <input id={id} aria-describedby={hintId} />
+      <p id={hintId}>1개 이상 입력하세요.</p>
+    </div>
+  );
+}
+
+describe("useId > ", () => {
+  it("같은 컴포넌트를 여러 번 렌더링해도 인스턴스와 호출마다 서로 다른 id를 생성한다", () => {
+    const container = document.createElement("div");
+
+    setup(
+      <>
+        <QuantityField label="키보드" />
+        <QuantityField label="마우스" />
+        {["모니터", "스피커"].map((label) => (
+          <QuantityField key={label} label={label} />
+        ))}
+      </>,
+      container,
+    );
+
+    const ids = [...container.querySelectorAll("[id]")].map((element) => element.id);
+    expect(ids).toHaveLength(8);
+    expect(new Set(ids).size).toBe(8);
+    ids.forEach((id) => expect(id).toMatch(/^:r.+:$/));
+
+    container.querySelectorAll("label").forEach((label) => {
+      expect(container.querySelector(`#${CSS.escape(label.htmlFor)}`)!.tagName).toBe("INPUT");
+    });
+  });
+
+  it("다시 렌더링되어도 같은 id를 반환한다", async () => {
+    const container = document.createElement("div");
+    const ids: string[] = [];
+    let rename: ((name: string) => void) | undefined;
+
+    function Field() {
+      const [name, setName] = useState("이름");
+      const id = useId();
+      rename = setName;
+      ids.push(id);
+      return <label htmlFor={id}>{name}</label>;
+    }
+
+    setup(<Field />, container);
+    rename!("닉네임");
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("닉네임");
+    expect(ids).toHaveLength(2);
+    expect(ids[1]).toBe(ids[0]);
+  });
+
+  it("key에 공백이 있어도 공백 없는 id를 생성한다", () => {
+    const container = document.createElement("div");
+
+    setup(
+      <>
+        <QuantityField key="무선 키보드" label="무선 키보드" />
+        <QuantityField key="무선%20키보드" label="무선%20키보드" />
+      </>,
+      container,
+    );
+
+    const ids = [...container.querySelectorAll("input")].map((input) => input.id);
+    ids.forEach((id) => expect(id).not.toMatch(/\s/));
+    expect(ids[0]).not.toBe(ids[1]);
+  });
+
+  it("서버 렌더링과 하이드레이션에서 같은 id를 생성한다", () => {
+    function Form() {
+      return (
+        <form>
+          <QuantityField label="키보드" />
+          <QuantityField label="마우스" />
+        </form>
+      );
+    }
+
+    const container = document.createElement("div");
+    container.innerHTML = renderToString(<Form />);
+    const serverIds = [...container.querySelectorAll("[id]")].map((element) => element.id);
+    const input = container.querySelector("input");
+
+    const onRecoverableError = vi.fn();
+    hydrateRoot(container, <Form />, { onRecoverableError });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.querySelector("input")).toBe(input);
+    expect([...container.querySelectorAll("[id]")].map((element) => element.id)).toEqual(serverIds);
+  });
+});
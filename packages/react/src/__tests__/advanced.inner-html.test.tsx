@@ -0,0 +1,106 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useState } from "../core";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+function Description({ html }: { html: string }) {
+  return <div className="product-description" dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+describe("dangerouslySetInnerHTML > ", () => {
+  it("__html을 HTML로 파싱해 요소의 내용으로 설정한다", () => {
+    const container = document.createElement("div");
+
+    setup(<Description html="<p>무선 <strong>키보드</strong></p><ul><li>블루투스</li></ul>" />, container);
+
+    const description = container.querySelector(".product-description")!;
+    expect(description.innerHTML).toBe("<p>무선 <strong>키보드</strong></p><ul><li>블루투스</li></ul>");
+    expect(description.querySelector("strong")!.textContent).toBe("키보드");
+  });
+
+  it("__html이 같다면 다시 렌더링되어도 내용을 다시 만들지 않고, 바뀌었을 때만 갱신한다", async () => {
+    const container = document.createElement("div");
+    let setCount: ((count: number) => void) | undefined;
+    let setHtml: ((html: string) => void) | undefined;
+
+    function Product() {
+      const [count, updateCount] = useState(0);
+      const [html, updateHtml] = useState("<p>재고 있음</p>");
+      setCount = updateCount;
+      setHtml = updateHtml;
+      return (
+        <section data-count={count}>
+          <Description html={html} />
+        </section>
+      );
+    }
+
+    setup(<Product />, container);
+    const paragraph = container.querySelector("p");
+
+    setCount!(1);
+    await flushMicrotasks();
+    expect(container.querySelector("section")!.dataset.count).toBe("1");
+    expect(container.querySelector("p")).toBe(paragraph);
+
+    setHtml!("<p>품절</p>");
+    await flushMicrotasks();
+    expect(container.querySelector("p")).not.toBe(paragraph);
+    expect(container.querySelector(".product-description")!.textContent).toBe("품절");
+  });
+
+  it("자식과 dangerouslySetInnerHTML을 서로 바꿔 렌더링할 수 있다", async () => {
+    const container = document.createElement("div");
+    let toggle: (() => void) | undefined;
+
+    function Detail() {
+      const [raw, setRaw] = useState(false);
+      toggle = () => setRaw((prev) => !prev);
+      return raw ? <div dangerouslySetInnerHTML={{ __html: "<em>설명</em>" }} /> : <div>설명 없음</div>;
+    }
+
+    setup(<Detail />, container);
+    expect(container.innerHTML).toBe("<div>설명 없음</div>");
+
+    toggle!();
+    await flushMicrotasks();
+    expect(container.innerHTML).toBe("<div><em>설명</em></div>");
+
+    toggle!();
+    await flushMicrotasks();
+    expect(container.innerHTML).toBe("<div>설명 없음</div>");
+  });
+
+  it("자식과 함께 사용하거나 __html이 없는 값을 전달하면 에러를 던진다", () => {
+    expect(() =>
+      setup(<div dangerouslySetInnerHTML={{ __html: "<p>설명</p>" }}>자식</div>, document.createElement("div")),
+    ).toThrowError("children과 dangerouslySetInnerHTML은 함께 사용할 수 없습니다.");
+    expect(() => setup(<div dangerouslySetInnerHTML="<p>설명</p>" />, document.createElement("div"))).toThrowError(
+      "__html",
+    );
+    expect(() => renderToString(<div dangerouslySetInnerHTML={{ __html: "<p>설명</p>" }}>자식</div>)).toThrowError(
+      "children과 dangerouslySetInnerHTML은 함께 사용할 수 없습니다.",
+    );
+  });
+
+  it("서버 렌더링은 __html을 이스케이프하지 않고 출력하고, 하이드레이션은 서버가 만든 내용을 그대로 사용한다", () => {
+    const html = renderToString(<Description html={'<p class="lead">5&quot; 화면</p>'} />);
+    expect(html).toBe('<div class="product-description"><p class="lead">5&quot; 화면</p></div>');
+
+    const container = document.createElement("div");
+    container.innerHTML = html;
+    const paragraph = container.querySelector("p");
+
+    const onRecoverableError = vi.fn();
+    hydrateRoot(container, <Description html={'<p class="lead">5&quot; 화면</p>'} />, { onRecoverableError });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.querySelector("p")).toBe(paragraph);
+  });
+});
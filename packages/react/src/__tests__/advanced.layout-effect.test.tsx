@@ -0,0 +1,148 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment, setup, useEffect, useLayoutEffect, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("useLayoutEffect 훅 > ", () => {
+  it("DOM 반영 직후 동기적으로 실행되고, useEffect보다 먼저 실행된다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+
+    function Sample() {
+      calls.push("render");
+      useEffect(() => {
+        calls.push("effect");
+      });
+      useLayoutEffect(() => {
+        calls.push(`layout:${container.textContent}`);
+      });
+      return <div>measured</div>;
+    }
+
+    setup(<Sample />, container);
+    expect(calls).toEqual(["render", "layout:measured"]);
+
+    await flushMicrotasks();
+    expect(calls).toEqual(["render", "layout:measured", "effect"]);
+  });
+
+  it("재실행 시 이전 클린업을 먼저 호출하고, 언마운트 시 클린업을 실행한다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    let setValue: ((value: number) => void) | undefined;
+    let hide: (() => void) | undefined;
+
+    function Child({ value }: { value: number }) {
+      useLayoutEffect(() => {
+        calls.push(`layout-${value}`);
+        return () => calls.push(`cleanup-${value}`);
+      }, [value]);
+      return <span>{value}</span>;
+    }
+
+    function Parent() {
+      const [value, update] = useState(0);
+      const [visible, setVisible] = useState(true);
+      setValue = update;
+      hide = () => setVisible(false);
+      return <div>{visible && <Child value={value} />}</div>;
+    }
+
+    setup(<Parent />, container);
+    expect(calls).toEqual(["layout-0"]);
+
+    setValue!(0);
+    await flushMicrotasks();
+    expect(calls).toEqual(["layout-0"]);
+
+    setValue!(1);
+    await flushMicrotasks();
+    expect(calls).toEqual(["layout-0", "cleanup-0", "layout-1"]);
+
+    hide!();
+    await flushMicrotasks();
+    expect(calls).toEqual(["layout-0", "cleanup-0", "layout-1", "cleanup-1"]);
+  });
+
+  it("레이아웃 이펙트에서 변경한 상태는 useEffect가 실행되기 전에 DOM에 반영된다", async () => {
+    const container = document.createElement("div");
+    const observed: string[] = [];
+
+    function Tooltip() {
+      const [width, setWidth] = useState(0);
+
+      useLayoutEffect(() => {
+        const target = container.querySelector("#target") as HTMLElement;
+        setWidth(target.textContent!.length * 10);
+      }, []);
+
+      useEffect(() => {
+        observed.push(container.querySelector("#tooltip")!.getAttribute("data-width")!);
+      }, []);
+
+      return (
+        <div>
+          <span id="target">anchor</span>
+          <span id="tooltip" data-width={width} />
+        </div>
+      );
+    }
+
+    setup(<Tooltip />, container);
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(observed).toEqual(["60"]);
+  });
+
+  it("여러 컴포넌트의 이펙트를 다시 실행할 때 모든 클린업을 먼저 호출한 뒤 새 이펙트를 실행한다", async () => {
+    const container = document.createElement("div");
+    const calls: string[] = [];
+    let setCount: ((count: number) => void) | undefined;
+
+    function Badge({ name, count }: { name: string; count: number }) {
+      useLayoutEffect(() => {
+        calls.push(`layout ${name}${count}`);
+        return () => calls.push(`layout cleanup ${name}${count}`);
+      }, [count]);
+      useEffect(() => {
+        calls.push(`effect ${name}${count}`);
+        return () => calls.push(`effect cleanup ${name}${count}`);
+      }, [count]);
+      return <span>{count}</span>;
+    }
+
+    function Header() {
+      const [count, update] = useState(0);
+      setCount = update;
+      return (
+        <>
+          <Badge name="a" count={count} />
+          <Badge name="b" count={count} />
+        </>
+      );
+    }
+
+    setup(<Header />, container);
+    await flushMicrotasks();
+    calls.length = 0;
+
+    setCount!(1);
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(calls).toEqual([
+      "layout cleanup a0",
+      "layout cleanup b0",
+      "layout a1",
+      "layout b1",
+      "effect cleanup a0",
+      "effect cleanup b0",
+      "effect a1",
+      "effect b1",
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useState } from "../core";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const HTML_NS = "http://www.w3.org/1999/xhtml";
+const MATH_NS = "http://www.w3.org/1998/Math/MathML";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+function CartIcon({ size = 24, className }: { size?: number; className?: string }) {
+  return (
+    <svg className={className} width={size} height={size} viewBox="0 0 24 24" fill="none">
+      <path d="M3 3h2l3 12h11" stroke="currentColor" strokeWidth={2} strokeLinecap="round" />
+    </svg>
+  );
+}
+
+describe("SVG와 MathML > ", () => {
+  it("svg와 그 자식은 SVG 네임스페이스로 만들고, viewBox처럼 대소문자가 있는 속성을 그대로 설정한다", () => {
+    const container = document.createElement("div");
+
+    setup(<CartIcon className="icon" />, container);
+
+    const svg = container.querySelector("svg")!;
+    const path = container.querySelector("path")!;
+    expect(svg.namespaceURI).toBe(SVG_NS);
+    expect(path.namespaceURI).toBe(SVG_NS);
+    expect(svg.getAttribute("viewBox")).toBe("0 0 24 24");
+    expect(svg.getAttribute("class")).toBe("icon");
+    expect(path.getAttribute("stroke-width")).toBe("2");
+    expect(path.getAttribute("stroke-linecap")).toBe("round");
+  });
+
+  it("컴포넌트와 Fragment를 거쳐 나중에 추가된 자식도 svg의 네임스페이스를 이어받는다", async () => {
+    const container = document.createElement("div");
+    let check: (() => void) | undefined;
+
+    function Mark() {
+      return (
+        <>
+          <circle cx="12" cy="12" r="10" />
+          <polyline points="8 12 11 15 16 9" />
+        </>
+      );
+    }
+
+    function Checkbox() {
+      const [checked, setChecked] = useState(false);
+      check = () => setChecked(true);
+      return <svg viewBox="0 0 24 24">{checked && <Mark />}</svg>;
+    }
+
+    setup(<Checkbox />, container);
+    check!();
+    await flushMicrotasks();
+
+    expect(container.querySelector("circle")!.namespaceURI).toBe(SVG_NS);
+    expect(container.querySelector("polyline")!.namespaceURI).toBe(SVG_NS);
+  });
+
+  it("foreignObject 아래의 요소는 다시 HTML 네임스페이스로 만든다", () => {
+    const container = document.createElement("div");
+
+    setup(
+      <svg viewBox="0 0 100 40">
+        <foreignObject width="100" height="40">
+          <div className="label">
+            <span>품절</span>
+          </div>
+        </foreignObject>
+      </svg>,
+      container,
+    );
+
+    expect(container.querySelector("foreignObject")!.namespaceURI).toBe(SVG_NS);
+    const div = container.querySelector("div")!;
+    expect(div.namespaceURI).toBe(HTML_NS);
+    expect(div.className).toBe("label");
+    expect(container.querySelector("span")!.namespaceURI).toBe(HTML_NS);
+  });
+
+  it("xlinkHref는 xlink 네임스페이스의 xlink:href 속성으로 설정하고, 값이 없어지면 제거한다", async () => {
+    const container = document.createElement("div");
+    let clear: (() => void) | undefined;
+
+    function Sprite() {
+      const [href, setHref] = useState<string | undefined>("#cart");
+      clear = () => setHref(undefined);
+      return (
+        <svg>
+          <use xlinkHref={href} />
+        </svg>
+      );
+    }
+
+    setup(<Sprite />, container);
+    const use = container.querySelector("use")!;
+    expect(use.getAttributeNS(XLINK_NS, "href")).toBe("#cart");
+    expect(use.getAttribute("xlink:href")).toBe("#cart");
+
+    clear!();
+    await flushMicrotasks();
+    expect(use.hasAttributeNS(XLINK_NS, "href")).toBe(false);
+  });
+
+  it("SVG 요소의 className과 속성이 바뀌면 attribute를 갱신한다", async () => {
+    const container = document.createElement("div");
+    let activate: (() => void) | undefined;
+
+    function Heart() {
+      const [active, setActive] = useState(false);
+      activate = () => setActive(true);
+      return <CartIcon size={active ? 32 : 24} className={active ? "icon active" : undefined} />;
+    }
+
+    setup(<Heart />, container);
+    const svg = container.querySelector("svg")!;
+    expect(svg.hasAttribute("class")).toBe(false);
+
+    activate!();
+    await flushMicrotasks();
+    expect(container.querySelector("svg")).toBe(svg);
+    expect(svg.getAttribute("class")).toBe("icon active");
+    expect(svg.getAttribute("width")).toBe("32");
+  });
+
+  it("math와 그 자식은 MathML 네임스페이스로 만든다", () => {
+    const container = document.createElement("div");
+
+    setup(
+      <math>
+        <mi>x</mi>
+        <mo>=</mo>
+        <mn>2</mn>
+      </math>,
+      container,
+    );
+
+    expect(container.querySelector("math")!.namespaceURI).toBe(MATH_NS);
+    expect(container.querySelector("mi")!.namespaceURI).toBe(MATH_NS);
+  });
+
+  it("서버 렌더링은 SVG 속성 이름을 그대로 출력하고, 하이드레이션에서 불일치 없이 이어받는다", () => {
+    const html = renderToString(
+      <button>
+        <CartIcon className="icon" />
+      </button>,
+    );
+    expect(html).toContain('viewBox="0 0 24 24"');
+    expect(html).toContain('class="icon"');
+    expect(html).toContain('stroke-width="2"');
+
+    const container = document.createElement("div");
+    container.innerHTML = html;
+    const svg = container.querySelector("svg");
+
+    const onRecoverableError = vi.fn();
+    hydrateRoot(
+      container,
+      <button>
+        <CartIcon className="icon" />
+      </button>,
+      { onRecoverableError },
+    );
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.querySelector("svg")).toBe(svg);
+  });
+});
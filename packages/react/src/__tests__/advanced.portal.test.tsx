@@ -0,0 +1,159 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { afterEach, describe, expect, it } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createContext, createPortal, setup, unmountRoot, useContext, useEffect, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("createPortal > ", () => {
+  const createContainers = () => {
+    const container = document.createElement("div");
+    const modalRoot = document.createElement("div");
+    document.body.append(container, modalRoot);
+    return { container, modalRoot };
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("자식을 다른 컨테이너에 렌더링하고, 부모 DOM에는 포탈 밖의 노드만 남긴다", () => {
+    const { container, modalRoot } = createContainers();
+
+    setup(
+      <div id="page">
+        <span>본문</span>
+        {createPortal(<div id="modal">장바구니</div>, modalRoot)}
+        <footer>푸터</footer>
+      </div>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe('<div id="page"><span>본문</span><footer>푸터</footer></div>');
+    expect(modalRoot.innerHTML).toBe('<div id="modal">장바구니</div>');
+  });
+
+  it("포탈 안의 컴포넌트는 트리상의 부모로부터 컨텍스트를 읽고, 이벤트 핸들러와 훅 상태가 유지된다", async () => {
+    const { container, modalRoot } = createContainers();
+    const ThemeContext = createContext("light");
+
+    function Counter() {
+      const theme = useContext(ThemeContext);
+      const [count, setCount] = useState(0);
+      return (
+        <button id="counter" onClick={() => setCount((prev) => prev + 1)}>
+          {theme}:{count}
+        </button>
+      );
+    }
+
+    function Page() {
+      const [title, setTitle] = useState("상품");
+      return (
+        <ThemeContext.Provider value="dark">
+          <h1 onClick={() => setTitle((prev) => `${prev}!`)}>{title}</h1>
+          {createPortal(<Counter />, modalRoot)}
+        </ThemeContext.Provider>
+      );
+    }
+
+    setup(<Page />, container);
+    const button = modalRoot.querySelector("#counter") as HTMLButtonElement;
+    expect(button.textContent).toBe("dark:0");
+
+    button.click();
+    await flushMicrotasks();
+    expect(button.textContent).toBe("dark:1");
+
+    (container.querySelector("h1") as HTMLElement).click();
+    await flushMicrotasks();
+
+    expect(container.querySelector("h1")?.textContent).toBe("상품!");
+    expect(modalRoot.querySelector("#counter")).toBe(button);
+    expect(button.textContent).toBe("dark:1");
+  });
+
+  it("포탈을 포함한 하위 트리가 언마운트되면 포탈 컨테이너의 노드를 제거하고 클린업을 실행한다", async () => {
+    const { container, modalRoot } = createContainers();
+    const calls: string[] = [];
+    let closeModal: (() => void) | undefined;
+
+    function Modal() {
+      useEffect(() => {
+        calls.push("open");
+        return () => calls.push("close");
+      }, []);
+      return <div id="modal">모달</div>;
+    }
+
+    function Page() {
+      const [isOpen, setIsOpen] = useState(true);
+      closeModal = () => setIsOpen(false);
+      return <main>{isOpen && <section>{createPortal(<Modal />, modalRoot)}</section>}</main>;
+    }
+
+    setup(<Page />, container);
+    await flushMicrotasks();
+    expect(modalRoot.innerHTML).toBe('<div id="modal">모달</div>');
+
+    closeModal!();
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe("<main></main>");
+    expect(modalRoot.innerHTML).toBe("");
+    expect(calls).toEqual(["open", "close"]);
+  });
+
+  it("컨테이너가 바뀌면 상태를 유지한 채 DOM 노드를 새 컨테이너로 옮긴다", async () => {
+    const { container, modalRoot } = createContainers();
+    const toastRoot = document.createElement("div");
+    document.body.append(toastRoot);
+    let moveToToast: (() => void) | undefined;
+    let increment: (() => void) | undefined;
+
+    function Badge() {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      return <span id="badge">{count}</span>;
+    }
+
+    function Page() {
+      const [target, setTarget] = useState(modalRoot);
+      moveToToast = () => setTarget(toastRoot);
+      return <div>{createPortal(<Badge />, target)}</div>;
+    }
+
+    setup(<Page />, container);
+    increment!();
+    await flushMicrotasks();
+    const badge = modalRoot.querySelector("#badge");
+
+    moveToToast!();
+    await flushMicrotasks();
+
+    expect(modalRoot.innerHTML).toBe("");
+    expect(toastRoot.querySelector("#badge")).toBe(badge);
+    expect(badge?.textContent).toBe("1");
+  });
+
+  it("포탈 컨테이너에 원래 있던 노드는 건드리지 않고, 루트를 해제하면 포탈 노드만 제거한다", () => {
+    const { container, modalRoot } = createContainers();
+    const existing = document.createElement("p");
+    existing.id = "existing";
+    modalRoot.append(existing);
+
+    setup(<div>{createPortal(<span id="portal">포탈</span>, modalRoot)}</div>, container);
+    expect(modalRoot.innerHTML).toBe('<p id="existing"></p><span id="portal">포탈</span>');
+
+    unmountRoot(container);
+
+    expect(container.innerHTML).toBe("");
+    expect(modalRoot.innerHTML).toBe('<p id="existing"></p>');
+  });
+
+  it("컨테이너 없이 포탈을 만들면 에러가 발생한다", () => {
+    expect(() => createPortal(<span />, null as unknown as HTMLElement)).toThrowError();
+  });
+});
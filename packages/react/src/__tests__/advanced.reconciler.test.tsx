@@ -0,0 +1,145 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { afterEach, describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createContext, createElement, Fragment, setup, useContext, useState } from "../core";
+import { getLongestIncreasingSubsequence } from "../utils";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("key 기반 자식 재조정 > ", () => {
+  describe("getLongestIncreasingSubsequence", () => {
+    it.each([
+      { values: [], expected: [] },
+      { values: [0, 1, 2, 3], expected: [0, 1, 2, 3] },
+      { values: [3, 2, 1, 0], expected: [3] },
+      { values: [4, 0, 1, 2, 3], expected: [1, 2, 3, 4] },
+      { values: [1, 2, 3, 4, 0], expected: [0, 1, 2, 3] },
+      { values: [2, -1, 0, 1, -1, 3], expected: [2, 3, 5] },
+    ])("$values → $expected", ({ values, expected }) => {
+      expect([...getLongestIncreasingSubsequence(values)].sort((a, b) => a - b)).toEqual(expected);
+    });
+  });
+
+  describe("재정렬", () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    const renderList = (initial: string[]) => {
+      const container = document.createElement("div");
+      const itemStates = new Map<string, () => void>();
+      let setItems: ((items: string[]) => void) | undefined;
+
+      function Item({ id }: { id: string; key?: string }) {
+        const [count, setCount] = useState(0);
+        itemStates.set(id, () => setCount((prev) => prev + 1));
+        return (
+          <li data-id={id}>
+            {id}:{count}
+          </li>
+        );
+      }
+
+      function List() {
+        const [items, update] = useState(initial);
+        setItems = update;
+        return (
+          <ul>
+            {items.map((id) => (
+              <Item key={id} id={id} />
+            ))}
+          </ul>
+        );
+      }
+
+      setup(<List />, container);
+      const list = container.querySelector("ul") as HTMLUListElement;
+      const byId = (id: string) => list.querySelector(`[data-id="${id}"]`);
+
+      return { list, byId, itemStates, setItems: (items: string[]) => setItems!(items) };
+    };
+
+    it.each([
+      { name: "마지막 요소를 맨 앞으로", next: ["e", "a", "b", "c", "d"], moves: 1 },
+      { name: "맨 앞 요소를 마지막으로", next: ["b", "c", "d", "e", "a"], moves: 1 },
+      { name: "두 요소 교환", next: ["a", "d", "c", "b", "e"], moves: 2 },
+      { name: "역순 정렬", next: ["e", "d", "c", "b", "a"], moves: 4 },
+      { name: "순서 유지", next: ["a", "b", "c", "d", "e"], moves: 0 },
+    ])("$name: 최소 횟수만 insertBefore를 호출하고 DOM을 재사용한다", async ({ next, moves }) => {
+      const { list, byId, setItems } = renderList(["a", "b", "c", "d", "e"]);
+      const original = new Map(["a", "b", "c", "d", "e"].map((id) => [id, byId(id)]));
+
+      const insertSpy = vi.spyOn(list, "insertBefore");
+      setItems(next);
+      await flushMicrotasks();
+
+      expect(insertSpy).toHaveBeenCalledTimes(moves);
+      expect([...list.children].map((li) => li.getAttribute("data-id"))).toEqual(next);
+      next.forEach((id) => expect(byId(id)).toBe(original.get(id)));
+    });
+
+    it("추가와 삭제가 섞인 재정렬에서도 새 노드만 삽입하고 나머지는 최소 이동한다", async () => {
+      const { list, setItems } = renderList(["a", "b", "c", "d"]);
+
+      const insertSpy = vi.spyOn(list, "insertBefore");
+      setItems(["d", "x", "a", "c"]);
+      await flushMicrotasks();
+
+      // x 삽입 1회 + d 이동 1회
+      expect(insertSpy).toHaveBeenCalledTimes(2);
+      expect([...list.children].map((li) => li.getAttribute("data-id"))).toEqual(["d", "x", "a", "c"]);
+    });
+
+    it("재정렬 후에도 각 컴포넌트의 훅 상태가 보존된다", async () => {
+      const { list, itemStates, setItems } = renderList(["a", "b", "c"]);
+
+      itemStates.get("a")!();
+      itemStates.get("c")!();
+      itemStates.get("c")!();
+      await flushMicrotasks();
+
+      setItems(["c", "a", "b"]);
+      await flushMicrotasks();
+
+      expect([...list.children].map((li) => li.textContent)).toEqual(["c:2", "a:1", "b:0"]);
+    });
+
+    it("key에 `.`이 들어 있어도 다른 형제의 하위 경로로 취급하지 않는다", async () => {
+      const container = document.createElement("div");
+      const OptionContext = createContext("기본");
+      let reverse: (() => void) | undefined;
+
+      function Option({ id }: { id: string; key?: string }) {
+        const option = useContext(OptionContext);
+        const [initialId] = useState(id);
+        return <li>{`${initialId}:${option}`}</li>;
+      }
+
+      function OptionList() {
+        const [ids, setIds] = useState(["1", "1.2", "1.2.3"]);
+        reverse = () => setIds((prev) => [...prev].reverse());
+        return (
+          <ul>
+            {ids.map((id) =>
+              id === "1" ? (
+                createElement(OptionContext.Provider, { key: id, value: "색상" }, <Option id={id} />)
+              ) : (
+                <Option key={id} id={id} />
+              ),
+            )}
+          </ul>
+        );
+      }
+
+      setup(<OptionList />, container);
+      const texts = () => [...container.querySelectorAll("li")].map((li) => li.textContent);
+      expect(texts()).toEqual(["1:색상", "1.2:기본", "1.2.3:기본"]);
+
+      reverse!();
+      await flushMicrotasks();
+
+      expect(texts()).toEqual(["1.2.3:기본", "1.2:기본", "1:색상"]);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, ErrorBoundary, Fragment, setup, useReducer, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+type CounterAction = { type: "increment" } | { type: "decrement" } | { type: "noop" };
+
+const counterReducer = (state: number, action: CounterAction) => {
+  switch (action.type) {
+    case "increment":
+      return state + 1;
+    case "decrement":
+      return state - 1;
+    default:
+      return state;
+  }
+};
+
+describe("useReducer 훅 > ", () => {
+  it("컴포넌트 외부에서 useReducer를 호출하면 에러가 발생한다", () => {
+    expect(() => useReducer(counterReducer, 0)).toThrowError();
+  });
+
+  it("액션을 dispatch하면 리듀서의 결과로 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    let dispatch: ((action: CounterAction) => void) | undefined;
+
+    function Counter() {
+      const [count, send] = useReducer(counterReducer, 0);
+      dispatch = send;
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    expect(container.textContent).toBe("0");
+
+    dispatch!({ type: "increment" });
+    dispatch!({ type: "increment" });
+    dispatch!({ type: "decrement" });
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("1");
+  });
+
+  it("init 함수로 초기 상태를 한 번만 지연 계산한다", async () => {
+    const container = document.createElement("div");
+    const init = vi.fn((count: number) => count * 10);
+    let dispatch: ((action: CounterAction) => void) | undefined;
+
+    function Counter() {
+      const [count, send] = useReducer(counterReducer, 4, init);
+      dispatch = send;
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    expect(container.textContent).toBe("40");
+
+    dispatch!({ type: "increment" });
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("41");
+    expect(init).toHaveBeenCalledTimes(1);
+    expect(init).toHaveBeenCalledWith(4);
+  });
+
+  it("dispatch는 리렌더링 사이에도 같은 참조를 유지한다", async () => {
+    const container = document.createElement("div");
+    const dispatches = new Set<unknown>();
+    const setters = new Set<unknown>();
+    let dispatch: ((action: CounterAction) => void) | undefined;
+
+    function Counter() {
+      const [count, send] = useReducer(counterReducer, 0);
+      const [, setValue] = useState(0);
+      dispatches.add(send);
+      setters.add(setValue);
+      dispatch = send;
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    dispatch!({ type: "increment" });
+    await flushMicrotasks();
+    dispatch!({ type: "increment" });
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("2");
+    expect(dispatches.size).toBe(1);
+    expect(setters.size).toBe(1);
+  });
+
+  it("리듀서가 같은 상태를 반환하면 재렌더링을 건너뛴다", async () => {
+    const container = document.createElement("div");
+    let renderCount = 0;
+    let dispatch: ((action: CounterAction) => void) | undefined;
+
+    function Counter() {
+      renderCount += 1;
+      const [count, send] = useReducer(counterReducer, 0);
+      dispatch = send;
+      return <span>{count}</span>;
+    }
+
+    setup(<Counter />, container);
+    dispatch!({ type: "noop" });
+    await flushMicrotasks();
+
+    expect(renderCount).toBe(1);
+  });
+
+  it("dispatch는 가장 최근 렌더링의 리듀서를 사용한다", async () => {
+    const container = document.createElement("div");
+    let dispatch: ((amount: number) => void) | undefined;
+    let setMultiplier: ((value: number) => void) | undefined;
+
+    function Scaled() {
+      const [multiplier, updateMultiplier] = useState(1);
+      const [total, send] = useReducer((state: number, amount: number) => state + amount * multiplier, 0);
+      dispatch = send;
+      setMultiplier = updateMultiplier;
+      return <span>{total}</span>;
+    }
+
+    setup(<Scaled />, container);
+    dispatch!(1);
+    await flushMicrotasks();
+    expect(container.textContent).toBe("1");
+
+    setMultiplier!(10);
+    await flushMicrotasks();
+    dispatch!(1);
+    await flushMicrotasks();
+
+    expect(container.textContent).toBe("11");
+  });
+
+  it("언마운트된 컴포넌트의 dispatch는 무시된다", async () => {
+    const container = document.createElement("div");
+    let dispatch: ((action: CounterAction) => void) | undefined;
+    let hide: (() => void) | undefined;
+    let childRenders = 0;
+
+    function Child() {
+      childRenders += 1;
+      const [count, send] = useReducer(counterReducer, 0);
+      dispatch = send;
+      return <span>{count}</span>;
+    }
+
+    function Parent() {
+      const [visible, setVisible] = useState(true);
+      hide = () => setVisible(false);
+      return <div>{visible && <Child />}</div>;
+    }
+
+    setup(<Parent />, container);
+    hide!();
+    await flushMicrotasks();
+
+    dispatch!({ type: "increment" });
+    await flushMicrotasks();
+
+    expect(childRenders).toBe(1);
+    expect(container.innerHTML).toBe("<div></div>");
+  });
+
+  it("dispatch할 때 리듀서가 던진 에러는 렌더링에서 다시 던져 가장 가까운 ErrorBoundary가 처리한다", async () => {
+    const container = document.createElement("div");
+    let dispatch: ((action: string) => void) | undefined;
+
+    const quantityReducer = (state: number, action: string) => {
+      if (action === "invalid") throw new Error("알 수 없는 수량입니다.");
+      return state + 1;
+    };
+
+    function Quantity() {
+      const [quantity, send] = useReducer(quantityReducer, 1);
+      dispatch = send;
+      return <span>{quantity}</span>;
+    }
+
+    setup(
+      <ErrorBoundary fallback={({ error }) => <p>{(error as Error).message}</p>}>
+        <Quantity />
+      </ErrorBoundary>,
+      container,
+    );
+
+    expect(() => dispatch!("invalid")).not.toThrow();
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe("<p>알 수 없는 수량입니다.</p>");
+  });
+});
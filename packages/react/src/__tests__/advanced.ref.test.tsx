@@ -0,0 +1,182 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment, setup, useEffect, useLayoutEffect, useState, type Ref } from "../core";
+import { useImperativeHandle, useRef } from "../hooks";
+import { forwardRef } from "../hocs";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("ref > ", () => {
+  it("객체 ref는 커밋 이후 DOM 요소를 가리키고, 레이아웃 이펙트에서 사용할 수 있다", () => {
+    const container = document.createElement("div");
+    const seen: { render: unknown; layout: unknown } = { render: undefined, layout: undefined };
+
+    function Form() {
+      const inputRef = useRef<HTMLInputElement | null>(null);
+      seen.render = inputRef.current;
+      useLayoutEffect(() => {
+        seen.layout = inputRef.current;
+      }, []);
+      return <input id="quantity-input" ref={inputRef} />;
+    }
+
+    setup(<Form />, container);
+
+    expect(seen.render).toBeNull();
+    expect(seen.layout).toBe(container.querySelector("#quantity-input"));
+  });
+
+  it("언마운트되면 객체 ref와 콜백 ref가 null로 해제된다", async () => {
+    const container = document.createElement("div");
+    const objectRef = { current: null as HTMLElement | null };
+    const callbackRef = vi.fn();
+    let hide: (() => void) | undefined;
+
+    function Parent() {
+      const [visible, setVisible] = useState(true);
+      hide = () => setVisible(false);
+      return (
+        <div>
+          {visible && (
+            <section>
+              <span ref={objectRef}>object</span>
+              <b ref={callbackRef}>callback</b>
+            </section>
+          )}
+        </div>
+      );
+    }
+
+    setup(<Parent />, container);
+    expect(objectRef.current).toBe(container.querySelector("span"));
+    expect(callbackRef).toHaveBeenCalledWith(container.querySelector("b"));
+
+    hide!();
+    await flushMicrotasks();
+
+    expect(objectRef.current).toBeNull();
+    expect(callbackRef).toHaveBeenLastCalledWith(null);
+    expect(callbackRef).toHaveBeenCalledTimes(2);
+  });
+
+  it("ref가 다른 요소로 옮겨가면 이전 연결을 끊고 새 요소에 연결한다", async () => {
+    const container = document.createElement("div");
+    const ref = { current: null as HTMLElement | null };
+    let moveRef: (() => void) | undefined;
+
+    function Sample() {
+      const [target, setTarget] = useState<"first" | "second">("first");
+      moveRef = () => setTarget("second");
+      return (
+        <div>
+          <span id="first" ref={target === "first" ? ref : null} />
+          <span id="second" ref={target === "second" ? ref : null} />
+        </div>
+      );
+    }
+
+    setup(<Sample />, container);
+    expect(ref.current?.id).toBe("first");
+
+    moveRef!();
+    await flushMicrotasks();
+    expect(ref.current?.id).toBe("second");
+  });
+
+  it("같은 콜백 ref는 리렌더링 때 다시 호출되지 않는다", async () => {
+    const container = document.createElement("div");
+    const callbackRef = vi.fn();
+    let rerender: (() => void) | undefined;
+
+    function Sample() {
+      const [count, setCount] = useState(0);
+      rerender = () => setCount((prev) => prev + 1);
+      return <span ref={callbackRef}>{count}</span>;
+    }
+
+    setup(<Sample />, container);
+    rerender!();
+    await flushMicrotasks();
+
+    expect(callbackRef).toHaveBeenCalledTimes(1);
+  });
+
+  describe("forwardRef", () => {
+    it("부모가 전달한 ref를 내부 DOM 요소에 연결한다", () => {
+      const container = document.createElement("div");
+      const ref = { current: null as HTMLInputElement | null };
+
+      function NumberField({ defaultValue }: { defaultValue: number }, forwardedRef: Ref<HTMLInputElement>) {
+        return <input type="number" value={defaultValue} ref={forwardedRef} />;
+      }
+      const QuantityInput = forwardRef(NumberField);
+
+      setup(<QuantityInput ref={ref} defaultValue={3} />, container);
+
+      expect(QuantityInput.displayName).toBe("ForwardRef(NumberField)");
+      expect(ref.current).toBe(container.querySelector("input"));
+      expect(ref.current?.value).toBe("3");
+    });
+  });
+
+  describe("useImperativeHandle", () => {
+    type QuantityHandle = { increment: () => void; read: () => number };
+
+    const Quantity = forwardRef<QuantityHandle, { step: number }>(({ step }, ref) => {
+      const [value, setValue] = useState(1);
+      useImperativeHandle(
+        ref,
+        () => ({
+          increment: () => setValue((prev) => prev + step),
+          read: () => value,
+        }),
+        [step, value],
+      );
+      return <span>{value}</span>;
+    });
+
+    it("ref에 커스텀 핸들을 노출하고 의존성이 바뀌면 갱신한다", async () => {
+      const container = document.createElement("div");
+      const handleRef = { current: null as QuantityHandle | null };
+      const readInEffect: number[] = [];
+
+      function Parent() {
+        useEffect(() => {
+          readInEffect.push(handleRef.current!.read());
+        }, []);
+        return <Quantity ref={handleRef} step={2} />;
+      }
+
+      setup(<Parent />, container);
+      await flushMicrotasks();
+      expect(readInEffect).toEqual([1]);
+
+      handleRef.current!.increment();
+      await flushMicrotasks();
+
+      expect(container.textContent).toBe("3");
+      expect(handleRef.current!.read()).toBe(3);
+    });
+
+    it("언마운트되면 핸들이 해제된다", async () => {
+      const container = document.createElement("div");
+      const handleRef = vi.fn() as unknown as Ref<QuantityHandle> & ReturnType<typeof vi.fn>;
+      let hide: (() => void) | undefined;
+
+      function Parent() {
+        const [visible, setVisible] = useState(true);
+        hide = () => setVisible(false);
+        return <div>{visible && <Quantity ref={handleRef} step={1} />}</div>;
+      }
+
+      setup(<Parent />, container);
+      expect(handleRef).toHaveBeenLastCalledWith(expect.objectContaining({ increment: expect.any(Function) }));
+
+      hide!();
+      await flushMicrotasks();
+      expect(handleRef).toHaveBeenLastCalledWith(null);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment, useEffect, useState } from "../core";
+import { createRoot } from "../client";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+describe("멀티 루트 렌더링 > ", () => {
+  it("여러 루트가 서로의 DOM과 훅 상태를 덮어쓰지 않는다", async () => {
+    const shopContainer = document.createElement("div");
+    const widgetContainer = document.createElement("div");
+    let incrementShop: (() => void) | undefined;
+    let incrementWidget: (() => void) | undefined;
+    const renders = { shop: 0, widget: 0 };
+
+    function Counter({ name }: { name: "shop" | "widget" }) {
+      const [count, setCount] = useState(0);
+      renders[name] += 1;
+      if (name === "shop") incrementShop = () => setCount((prev) => prev + 1);
+      else incrementWidget = () => setCount((prev) => prev + 1);
+      return (
+        <span id={name}>
+          {name}:{count}
+        </span>
+      );
+    }
+
+    createRoot(shopContainer).render(<Counter name="shop" />);
+    createRoot(widgetContainer).render(<Counter name="widget" />);
+
+    expect(shopContainer.textContent).toBe("shop:0");
+    expect(widgetContainer.textContent).toBe("widget:0");
+
+    incrementShop!();
+    incrementShop!();
+    await flushMicrotasks();
+
+    expect(shopContainer.textContent).toBe("shop:2");
+    expect(widgetContainer.textContent).toBe("widget:0");
+    expect(renders).toEqual({ shop: 2, widget: 1 });
+
+    incrementWidget!();
+    await flushMicrotasks();
+
+    expect(shopContainer.textContent).toBe("shop:2");
+    expect(widgetContainer.textContent).toBe("widget:1");
+    expect(renders).toEqual({ shop: 2, widget: 2 });
+  });
+
+  it("이펙트 안에서 다른 루트를 렌더링해도 바깥 루트의 훅 컨텍스트가 유지된다", async () => {
+    const outerContainer = document.createElement("div");
+    const innerContainer = document.createElement("div");
+    let setLabel: ((label: string) => void) | undefined;
+
+    function Inner() {
+      const [value] = useState("inner");
+      return <em>{value}</em>;
+    }
+
+    function Outer() {
+      const [label, update] = useState("outer");
+      setLabel = update;
+      useEffect(() => {
+        createRoot(innerContainer).render(<Inner />);
+      }, []);
+      return <strong>{label}</strong>;
+    }
+
+    createRoot(outerContainer).render(<Outer />);
+    await flushMicrotasks();
+
+    expect(innerContainer.innerHTML).toBe("<em>inner</em>");
+
+    setLabel!("updated");
+    await flushMicrotasks();
+
+    expect(outerContainer.innerHTML).toBe("<strong>updated</strong>");
+    expect(innerContainer.innerHTML).toBe("<em>inner</em>");
+  });
+
+  it("unmount는 모든 이펙트 클린업을 실행하고 컨테이너를 비운다", async () => {
+    const container = document.createElement("div");
+    const otherContainer = document.createElement("div");
+    const cleanups: string[] = [];
+    let setCount: ((count: number) => void) | undefined;
+    let renderCount = 0;
+
+    function Child({ name }: { name: string }) {
+      useEffect(() => () => cleanups.push(name), []);
+      return <li>{name}</li>;
+    }
+
+    function App() {
+      const [count, update] = useState(0);
+      setCount = update;
+      renderCount += 1;
+      useEffect(() => () => cleanups.push("app"), []);
+      return (
+        <ul>
+          <Child name="a" />
+          <Child name="b" />
+          {count}
+        </ul>
+      );
+    }
+
+    const root = createRoot(container);
+    const otherRoot = createRoot(otherContainer);
+    root.render(<App />);
+    otherRoot.render(<Child name="other" />);
+    await flushMicrotasks();
+
+    root.unmount();
+
+    expect(container.childNodes).toHaveLength(0);
+    expect(cleanups.sort()).toEqual(["a", "app", "b"]);
+    expect(otherContainer.innerHTML).toBe("<li>other</li>");
+
+    // 언마운트 이후의 상태 업데이트는 렌더링을 일으키지 않는다.
+    setCount!(1);
+    await flushMicrotasks();
+    expect(renderCount).toBe(1);
+    expect(container.childNodes).toHaveLength(0);
+
+    // 같은 컨테이너에 다시 렌더링할 수 있다.
+    root.render(<App />);
+    expect(container.querySelectorAll("li")).toHaveLength(2);
+  });
+
+  it("render를 다시 호출하면 커밋된 트리와 재조정해 컴포넌트의 상태를 유지한다", async () => {
+    const container = document.createElement("div");
+    let increment: (() => void) | undefined;
+    const cleanups: string[] = [];
+
+    function Counter({ label }: { label: string }) {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      useEffect(() => () => cleanups.push(label), []);
+      return (
+        <p>
+          {label}
+          {count}
+        </p>
+      );
+    }
+
+    const root = createRoot(container);
+    root.render(<Counter label="a" />);
+    const paragraph = container.querySelector("p");
+
+    increment!();
+    await flushMicrotasks();
+    expect(container.innerHTML).toBe("<p>a1</p>");
+
+    root.render(<Counter label="b" />);
+    await flushMicrotasks();
+
+    expect(container.innerHTML).toBe("<p>b1</p>");
+    expect(container.querySelector("p")).toBe(paragraph);
+    expect(cleanups).toEqual([]);
+  });
+});
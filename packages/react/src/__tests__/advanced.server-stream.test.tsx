@@ -0,0 +1,294 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { afterEach, describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createContext, Suspense, useContext, useState } from "../core";
+import { renderToPipeableStream, renderToReadableStream, renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 준비되기 전까지 promise를 던지는 간단한 데이터 소스입니다.
+ */
+const createResource = <T,>() => {
+  let resolveValue: (value: T) => void = () => {};
+  let rejectValue: (error: unknown) => void = () => {};
+  let result: { value: T } | { error: unknown } | null = null;
+  const promise = new Promise<T>((resolve, reject) => {
+    resolveValue = resolve;
+    rejectValue = reject;
+  }).then(
+    (value) => {
+      result = { value };
+      return value;
+    },
+    (error) => {
+      result = { error };
+    },
+  );
+
+  return {
+    read: (): T => {
+      if (!result) throw promise;
+      if ("error" in result) throw result.error;
+      return result.value;
+    },
+    resolve: async (value: T) => {
+      resolveValue(value);
+      await promise;
+      await flushMicrotasks();
+    },
+    reject: async (error: unknown) => {
+      rejectValue(error);
+      await promise;
+      await flushMicrotasks();
+    },
+  };
+};
+
+const createDestination = () => {
+  const destination = { chunks: [] as string[], ended: false, write: vi.fn(), end: vi.fn() };
+  destination.write.mockImplementation((chunk: string) => destination.chunks.push(chunk));
+  destination.end.mockImplementation(() => (destination.ended = true));
+  return destination;
+};
+
+/**
+ * 스트리밍된 HTML을 문서에 넣고, 브라우저가 하듯 인라인 스크립트를 순서대로 실행합니다.
+ */
+const applyStreamedHtml = (html: string): HTMLElement => {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  document.body.append(container);
+  container.querySelectorAll("script").forEach((script) => {
+    new Function(script.textContent ?? "")();
+    script.remove();
+  });
+  return container;
+};
+
+describe("스트리밍 서버 렌더링 > ", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("셸을 먼저 보내고, 데이터가 준비된 경계의 마크업을 이어서 보낸다", async () => {
+    const description = createResource<string>();
+    const onShellReady = vi.fn();
+    const onAllReady = vi.fn();
+
+    function Description() {
+      return <p>{description.read()}</p>;
+    }
+
+    const { pipe } = renderToPipeableStream(
+      <main>
+        <h1>상품</h1>
+        <Suspense fallback={<span>불러오는 중</span>}>
+          <Description />
+        </Suspense>
+      </main>,
+      { onShellReady, onAllReady },
+    );
+    const destination = createDestination();
+    pipe(destination);
+    await flushMicrotasks();
+
+    expect(onShellReady).toHaveBeenCalledTimes(1);
+    expect(onAllReady).not.toHaveBeenCalled();
+    expect(destination.ended).toBe(false);
+    expect(destination.chunks.join("")).toBe(
+      '<main><h1>상품</h1><!--$?--><template id="B:0"></template><span>불러오는 중</span><!--/$--></main>',
+    );
+
+    await description.resolve("좋은 상품");
+
+    expect(onAllReady).toHaveBeenCalledTimes(1);
+    expect(destination.ended).toBe(true);
+    const segment = destination.chunks.slice(1).join("");
+    expect(segment).toContain('<div hidden id="S:0"><p>좋은 상품</p></div>');
+    expect(segment).toContain('$RC("B:0","S:0")');
+  });
+
+  it("인라인 스크립트가 fallback을 준비된 마크업으로 교체한다", async () => {
+    const reviews = createResource<string[]>();
+    const price = createResource<number>();
+
+    function Reviews() {
+      return (
+        <ul>
+          {reviews.read().map((review) => (
+            <li key={review}>{review}</li>
+          ))}
+        </ul>
+      );
+    }
+
+    function Price() {
+      return <b>{price.read()}원</b>;
+    }
+
+    const stream = await renderToReadableStream(
+      <main>
+        <Suspense fallback={<i>가격 확인 중</i>}>
+          <Price />
+        </Suspense>
+        <Suspense fallback={<i>리뷰 불러오는 중</i>}>
+          <Reviews />
+        </Suspense>
+      </main>,
+    );
+
+    await reviews.resolve(["최고", "만족"]);
+    await price.resolve(1000);
+    await stream.allReady;
+    const html = await new Response(stream).text();
+    const container = applyStreamedHtml(html);
+
+    expect(container.innerHTML).toBe(
+      "<main><!--$--><b>1000<!-- -->원</b><!--/$--><!--$--><ul><li>최고</li><li>만족</li></ul><!--/$--></main>",
+    );
+  });
+
+  it("준비된 경계 안에서 다시 기다리는 경계는 따로 이어서 보낸다", async () => {
+    const product = createResource<string>();
+    const stock = createResource<number>();
+
+    function Stock() {
+      return <small>재고 {stock.read()}</small>;
+    }
+
+    function Product() {
+      return (
+        <article>
+          <h2>{product.read()}</h2>
+          <Suspense fallback={<small>재고 확인 중</small>}>
+            <Stock />
+          </Suspense>
+        </article>
+      );
+    }
+
+    const stream = await renderToReadableStream(
+      <Suspense fallback={<p>상품 불러오는 중</p>}>
+        <Product />
+      </Suspense>,
+    );
+
+    await product.resolve("키보드");
+    await stock.resolve(3);
+    await stream.allReady;
+    const container = applyStreamedHtml(await new Response(stream).text());
+
+    expect(container.querySelector("article")!.outerHTML).toBe(
+      "<article><h2>키보드</h2><!--$--><small>재고 <!-- -->3</small><!--/$--></article>",
+    );
+    expect(container.querySelectorAll("template, [hidden]")).toHaveLength(0);
+    expect(container.textContent).not.toContain("불러오는 중");
+  });
+
+  it("이어서 렌더링하던 경계에서 에러가 발생하면 onError로 알리고 fallback을 남긴다", async () => {
+    const description = createResource<string>();
+    const onError = vi.fn();
+
+    function Description() {
+      return <p>{description.read()}</p>;
+    }
+
+    const stream = await renderToReadableStream(
+      <Suspense fallback={<span>불러오는 중</span>}>
+        <Description />
+      </Suspense>,
+      { onError },
+    );
+
+    const error = new Error("불러오기 실패");
+    await description.reject(error);
+    const html = await new Response(stream).text();
+
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(html).toBe('<!--$?--><template id="B:0"></template><span>불러오는 중</span><!--/$-->');
+  });
+
+  it("셸 렌더링에 실패하면 onShellError로 알리고 ReadableStream은 reject된다", async () => {
+    function Broken(): null {
+      throw new Error("셸 실패");
+    }
+
+    const onShellError = vi.fn();
+    renderToPipeableStream(<Broken />, { onShellError });
+    await flushMicrotasks();
+
+    expect(onShellError).toHaveBeenCalledWith(expect.objectContaining({ message: "셸 실패" }));
+    await expect(renderToReadableStream(<Broken />)).rejects.toThrowError("셸 실패");
+  });
+
+  it("중단하면 기다리던 경계를 fallback으로 남긴 채 스트림을 닫는다", async () => {
+    const description = createResource<string>();
+    const onError = vi.fn();
+    const controller = new AbortController();
+
+    function Description() {
+      return <p>{description.read()}</p>;
+    }
+
+    const stream = await renderToReadableStream(
+      <Suspense fallback={<span>불러오는 중</span>}>
+        <Description />
+      </Suspense>,
+      { onError, signal: controller.signal },
+    );
+    controller.abort(new Error("시간 초과"));
+    await description.resolve("늦은 설명");
+    const html = await new Response(stream).text();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: "시간 초과" }));
+    expect(html).toBe('<!--$?--><template id="B:0"></template><span>불러오는 중</span><!--/$-->');
+  });
+
+  it("경계 안쪽의 훅 상태와 컨텍스트는 이어서 렌더링할 때도 유지된다", async () => {
+    const ThemeContext = createContext("light");
+    const label = createResource<string>();
+    const init = vi.fn(() => 1);
+
+    function Label() {
+      const [count] = useState(init);
+      return (
+        <span>
+          {label.read()}:{count}:{useContext(ThemeContext)}
+        </span>
+      );
+    }
+
+    const stream = await renderToReadableStream(
+      <ThemeContext.Provider value="dark">
+        <Suspense fallback={null}>
+          <Label />
+        </Suspense>
+      </ThemeContext.Provider>,
+    );
+    await label.resolve("라벨");
+    const html = await new Response(stream).text();
+
+    expect(html).toContain("<span>라벨<!-- -->:<!-- -->1<!-- -->:<!-- -->dark</span>");
+    expect(init).toHaveBeenCalledTimes(1);
+  });
+
+  it("renderToString은 기다리지 않고 fallback을 출력하며, 경계 밖에서 기다리면 에러를 던진다", () => {
+    const description = createResource<string>();
+
+    function Description() {
+      return <p>{description.read()}</p>;
+    }
+
+    expect(
+      renderToString(
+        <Suspense fallback={<span>불러오는 중</span>}>
+          <Description />
+        </Suspense>,
+      ),
+    ).toBe("<!--$!--><span>불러오는 중</span><!--/$-->");
+    expect(() => renderToString(<Description />)).toThrowError("Suspense");
+  });
+});
@@ -0,0 +1,179 @@
+// @vitest-environment node
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createContext, createPortal, ErrorBoundary, useContext, useEffect, useLayoutEffect, useState } from "../core";
+import { useMemo, useRef } from "../hooks";
+import { renderToStaticMarkup, renderToString } from "../server";
+
+describe("서버 렌더링 > ", () => {
+  it("DOM이 없는 환경에서도 렌더링된다", () => {
+    expect(typeof document).toBe("undefined");
+    expect(renderToStaticMarkup(<p>hello</p>)).toBe("<p>hello</p>");
+  });
+
+  it("함수 컴포넌트와 훅의 초기값으로 렌더링하고, 이펙트는 실행하지 않는다", () => {
+    const effect = vi.fn();
+    const layoutEffect = vi.fn();
+    const init = vi.fn(() => 3);
+
+    function Quantity() {
+      const [count] = useState(init);
+      const doubled = useMemo(() => count * 2, [count]);
+      const ref = useRef<HTMLSpanElement | null>(null);
+      useEffect(effect, []);
+      useLayoutEffect(layoutEffect, []);
+      return (
+        <span ref={ref} onClick={() => {}}>
+          {count}x{doubled}
+        </span>
+      );
+    }
+
+    expect(renderToStaticMarkup(<Quantity />)).toBe("<span>3x6</span>");
+    expect(init).toHaveBeenCalledTimes(1);
+    expect(effect).not.toHaveBeenCalled();
+    expect(layoutEffect).not.toHaveBeenCalled();
+  });
+
+  it("컨텍스트 값을 Provider로부터 읽는다", () => {
+    const CurrencyContext = createContext("USD");
+
+    function Price({ value }: { value: number }) {
+      return (
+        <b>
+          {value}
+          {useContext(CurrencyContext)}
+        </b>
+      );
+    }
+
+    expect(
+      renderToStaticMarkup(
+        <>
+          <CurrencyContext.Provider value="원">
+            <Price value={1000} />
+          </CurrencyContext.Provider>
+          <Price value={1} />
+        </>,
+      ),
+    ).toBe("<b>1000원</b><b>1USD</b>");
+  });
+
+  it("텍스트와 속성 값을 이스케이프한다", () => {
+    const title = `<script>alert("x")</script> & 'quote'`;
+
+    expect(renderToStaticMarkup(<div title={title}>{title}</div>)).toBe(
+      '<div title="&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#x27;quote&#x27;">' +
+        "&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#x27;quote&#x27;</div>",
+    );
+  });
+
+  it("style 객체, boolean 속성, className과 htmlFor를 직렬화한다", () => {
+    expect(
+      renderToStaticMarkup(
+        <form>
+          <label className="label" htmlFor="quantity">
+            수량
+          </label>
+          <input
+            id="quantity"
+            type="number"
+            disabled
+            required={false}
+            value={3}
+            data-selected={false}
+            aria-hidden={true}
+            style={{ backgroundColor: "red", marginTop: 8, opacity: 0.5, WebkitLineClamp: 2, msFlex: 1, "--gap": 4 }}
+          />
+          <br />
+        </form>,
+      ),
+    ).toBe(
+      '<form><label class="label" for="quantity">수량</label>' +
+        '<input id="quantity" type="number" disabled="" value="3" data-selected="false" aria-hidden="true" ' +
+        'style="background-color:red;margin-top:8px;opacity:0.5;-webkit-line-clamp:2;-ms-flex:1;--gap:4"/><br/></form>',
+    );
+  });
+
+  it("textarea의 value는 자식 텍스트로, defaultValue와 defaultChecked는 속성으로 직렬화한다", () => {
+    expect(
+      renderToStaticMarkup(
+        <div>
+          <textarea value="<메모>" />
+          <input defaultValue="기본" />
+          <input type="checkbox" defaultChecked />
+        </div>,
+      ),
+    ).toBe('<div><textarea>&lt;메모&gt;</textarea><input value="기본"/><input type="checkbox" checked=""/></div>');
+  });
+
+  it("select의 value와 defaultValue는 select 속성 대신 일치하는 option의 selected로 직렬화한다", () => {
+    expect(
+      renderToStaticMarkup(
+        <select id="sort-select" value="name_asc" onChange={() => {}}>
+          <option value="price_asc">가격 낮은순</option>
+          <option value="name_asc">이름순</option>
+        </select>,
+      ),
+    ).toBe(
+      '<select id="sort-select"><option value="price_asc">가격 낮은순</option><option value="name_asc" selected="">이름순</option></select>',
+    );
+    expect(
+      renderToStaticMarkup(
+        <select multiple defaultValue={["20", "50"]}>
+          <option>10</option>
+          <option>20</option>
+          <option value="50">50개</option>
+        </select>,
+      ),
+    ).toBe(
+      '<select multiple=""><option>10</option><option selected="">20</option><option value="50" selected="">50개</option></select>',
+    );
+  });
+
+  it("renderToString은 인접한 텍스트 노드 사이에 하이드레이션 표식을 넣고, renderToStaticMarkup은 넣지 않는다", () => {
+    function Name() {
+      return "상품";
+    }
+
+    const node = (
+      <p>
+        {"가격: "}
+        {1000}
+        <Name />
+        <i>원</i>
+      </p>
+    );
+
+    expect(renderToString(node)).toBe("<p>가격: <!-- -->1000<!-- -->상품<i>원</i></p>");
+    expect(renderToStaticMarkup(node)).toBe("<p>가격: 1000상품<i>원</i></p>");
+  });
+
+  it("ErrorBoundary는 하위 트리의 에러 대신 fallback을 직렬화한다", () => {
+    function Broken(): null {
+      throw new Error("실패");
+    }
+
+    expect(
+      renderToStaticMarkup(
+        <main>
+          <h1>쇼핑몰</h1>
+          <ErrorBoundary fallback={<p>오류</p>}>
+            <section>
+              <span>부분</span>
+              <Broken />
+            </section>
+          </ErrorBoundary>
+        </main>,
+      ),
+    ).toBe("<main><h1>쇼핑몰</h1><p>오류</p></main>");
+  });
+
+  it("포탈과 유효하지 않은 태그 이름은 렌더링할 수 없다", () => {
+    expect(() => renderToString(<div>{createPortal(<span />, {} as HTMLElement)}</div>)).toThrowError();
+    expect(() => renderToString(createElement("div><script", null))).toThrowError();
+  });
+});
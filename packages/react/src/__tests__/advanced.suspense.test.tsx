@@ -0,0 +1,230 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { ErrorBoundary, lazy, setup, Suspense, useEffect, useState, type FunctionComponent } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+const flushAll = async () => {
+  for (let i = 0; i < 5; i++) await flushMicrotasks();
+};
+
+const createDeferredModule = <P extends object>() => {
+  let resolveModule: (module: { default: FunctionComponent<P> }) => void = () => {};
+  let rejectModule: (error: unknown) => void = () => {};
+  const load = vi.fn(
+    () =>
+      new Promise<{ default: FunctionComponent<P> }>((resolve, reject) => {
+        resolveModule = resolve;
+        rejectModule = reject;
+      }),
+  );
+  return {
+    load,
+    resolve: async (component: FunctionComponent<P>) => {
+      resolveModule({ default: component });
+      await flushAll();
+    },
+    reject: async (error: unknown) => {
+      rejectModule(error);
+      await flushAll();
+    },
+  };
+};
+
+describe("Suspense와 lazy > ", () => {
+  it("컴포넌트를 불러오는 동안 fallback을 보여 주고, 불러오면 컴포넌트로 교체한다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<{ title: string }>();
+    const LazyPage = lazy(module.load);
+
+    setup(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <LazyPage title="상품 목록" />
+      </Suspense>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe("<p>불러오는 중</p>");
+    expect(module.load).toHaveBeenCalledTimes(1);
+
+    await module.resolve(({ title }) => <h1>{title}</h1>);
+
+    expect(container.innerHTML).toBe("<h1>상품 목록</h1>");
+    expect(module.load).toHaveBeenCalledTimes(1);
+  });
+
+  it("경계 바깥의 형제 컴포넌트는 다시 마운트되지 않고 상태를 유지한다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<object>();
+    const LazyPage = lazy(module.load);
+    const mounts: string[] = [];
+    let increment: (() => void) | undefined;
+    let showPage: (() => void) | undefined;
+
+    function Header() {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      useEffect(() => {
+        mounts.push("header");
+      }, []);
+      return <header>{count}</header>;
+    }
+
+    function App() {
+      const [visible, setVisible] = useState(false);
+      showPage = () => setVisible(true);
+      return (
+        <>
+          <Header />
+          <Suspense fallback={<p>불러오는 중</p>}>{visible ? <LazyPage /> : <main>홈</main>}</Suspense>
+        </>
+      );
+    }
+
+    setup(<App />, container);
+    increment!();
+    await flushAll();
+    showPage!();
+    await flushAll();
+
+    expect(container.querySelector("header")!.textContent).toBe("1");
+    expect(container.querySelector("main")!.style.display).toBe("none");
+    expect(container.querySelector("p")!.textContent).toBe("불러오는 중");
+
+    await module.resolve(() => <main>상품</main>);
+
+    expect(container.innerHTML).toBe("<header>1</header><main>상품</main>");
+    expect(mounts).toEqual(["header"]);
+  });
+
+  it("이미 화면에 있던 자식은 기다리는 동안 숨겨 두고, 다시 보여 줄 때 훅 상태를 유지한다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<object>();
+    const LazyDetail = lazy(module.load);
+    const cleanups: string[] = [];
+    let increment: (() => void) | undefined;
+    let showDetail: (() => void) | undefined;
+
+    function Counter() {
+      const [count, setCount] = useState(0);
+      increment = () => setCount((prev) => prev + 1);
+      useEffect(() => () => cleanups.push("counter"), []);
+      return <span style={{ display: "inline-block" }}>{count}</span>;
+    }
+
+    function Panel() {
+      const [detail, setDetail] = useState(false);
+      showDetail = () => setDetail(true);
+      return (
+        <>
+          <Counter />
+          <i>메모</i>
+          {detail && <LazyDetail />}
+        </>
+      );
+    }
+
+    setup(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <Panel />
+      </Suspense>,
+      container,
+    );
+    increment!();
+    await flushAll();
+    const span = container.querySelector("span");
+
+    showDetail!();
+    await flushAll();
+
+    expect(span!.style.display).toBe("none");
+    expect(container.querySelector("i")!.style.display).toBe("none");
+    expect(container.querySelector("p")!.textContent).toBe("불러오는 중");
+    expect(cleanups).toEqual([]);
+
+    await module.resolve(() => <b>상세</b>);
+
+    // 인라인 스타일이 없던 요소에는 빈 style 속성을 남기지 않습니다.
+    expect(container.innerHTML).toBe('<span style="display: inline-block;">1</span><i>메모</i><b>상세</b>');
+    expect(container.querySelector("span")).toBe(span);
+    expect(cleanups).toEqual([]);
+  });
+
+  it("기다리는 동안 렌더링된 자식의 이펙트는 실행하지 않고, 준비된 뒤에 한 번 실행한다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<object>();
+    const LazyPage = lazy(module.load);
+    const effects: string[] = [];
+
+    function Sibling() {
+      useEffect(() => {
+        effects.push("sibling");
+      }, []);
+      return <span>형제</span>;
+    }
+
+    setup(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <Sibling />
+        <LazyPage />
+      </Suspense>,
+      container,
+    );
+    await flushAll();
+    expect(effects).toEqual([]);
+
+    await module.resolve(() => <main>페이지</main>);
+
+    expect(container.innerHTML).toBe("<span>형제</span><main>페이지</main>");
+    expect(effects).toEqual(["sibling"]);
+  });
+
+  it("가장 가까운 Suspense 경계가 fallback을 보여 준다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<object>();
+    const LazyReviews = lazy(module.load);
+
+    setup(
+      <Suspense fallback={<p>페이지 불러오는 중</p>}>
+        <h1>상품</h1>
+        <Suspense fallback={<p>리뷰 불러오는 중</p>}>
+          <LazyReviews />
+        </Suspense>
+      </Suspense>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe("<h1>상품</h1><p>리뷰 불러오는 중</p>");
+
+    await module.resolve(() => <ul>리뷰</ul>);
+    expect(container.innerHTML).toBe("<h1>상품</h1><ul>리뷰</ul>");
+  });
+
+  it("불러오기에 실패하면 가장 가까운 ErrorBoundary가 에러를 처리한다", async () => {
+    const container = document.createElement("div");
+    const module = createDeferredModule<object>();
+    const LazyPage = lazy(module.load);
+
+    setup(
+      <ErrorBoundary fallback={({ error }) => <p>{(error as Error).message}</p>}>
+        <Suspense fallback={<p>불러오는 중</p>}>
+          <LazyPage />
+        </Suspense>
+      </ErrorBoundary>,
+      container,
+    );
+    await module.reject(new Error("청크를 불러오지 못했습니다"));
+
+    expect(container.innerHTML).toBe("<p>청크를 불러오지 못했습니다</p>");
+  });
+
+  it("Suspense 경계 없이 기다리는 컴포넌트를 렌더링하면 에러를 던진다", () => {
+    const container = document.createElement("div");
+    const LazyPage = lazy(() => new Promise<{ default: FunctionComponent<object> }>(() => {}));
+
+    expect(() => setup(<LazyPage />, container)).toThrowError("Suspense");
+  });
+});
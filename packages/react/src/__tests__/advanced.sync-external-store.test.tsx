@@ -0,0 +1,215 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, useDeferredValue, useLayoutEffect, useState, useSyncExternalStore, useTransition } from "../core";
+import { hydrateRoot } from "../client";
+import { renderToString } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 렌더링이 여러 구간에 나뉘도록 주어진 시간 동안 실행을 붙잡아 둡니다.
+ */
+const block = (ms: number) => {
+  const start = performance.now();
+  while (performance.now() - start < ms) {
+    // 의도적으로 기다립니다.
+  }
+};
+
+const createStore = <T,>(initialState: T) => {
+  let state = initialState;
+  const listeners = new Set<() => void>();
+
+  return {
+    listeners,
+    getState: () => state,
+    setState: (next: T) => {
+      state = next;
+      listeners.forEach((listener) => listener());
+    },
+    /** 구독자에게 알리지 않고 값만 바꿉니다. 알림이 늦게 도착하는 스토어를 흉내 낼 때 씁니다. */
+    replaceState: (next: T) => {
+      state = next;
+    },
+    subscribe: (listener: () => void) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+};
+
+describe("useSyncExternalStore > ", () => {
+  it("스토어가 바뀌면 구독한 컴포넌트만 다시 렌더링하고, 언마운트되면 구독을 해제한다", async () => {
+    const container = document.createElement("div");
+    const cartStore = createStore(0);
+    const renders: string[] = [];
+    let hideBadge: (() => void) | undefined;
+
+    function CartBadge() {
+      const count = useSyncExternalStore(cartStore.subscribe, cartStore.getState);
+      renders.push("badge");
+      return <span>{count}</span>;
+    }
+
+    function Header() {
+      const [visible, setVisible] = useState(true);
+      hideBadge = () => setVisible(false);
+      renders.push("header");
+      return <header>{visible && <CartBadge />}</header>;
+    }
+
+    setup(<Header />, container);
+    await flushMicrotasks();
+    expect(cartStore.listeners.size).toBe(1);
+    renders.length = 0;
+
+    cartStore.setState(3);
+    await flushMicrotasks();
+    expect(container.textContent).toBe("3");
+    expect(renders).toEqual(["badge"]);
+
+    hideBadge!();
+    await flushMicrotasks();
+    expect(cartStore.listeners.size).toBe(0);
+  });
+
+  it("스냅샷이 Object.is로 같다면 다시 렌더링하지 않는다", async () => {
+    const container = document.createElement("div");
+    const store = createStore({ items: ["키보드"] });
+    const renders = vi.fn();
+
+    function Cart() {
+      const items = useSyncExternalStore(store.subscribe, () => store.getState().items);
+      renders();
+      return <span>{items.length}</span>;
+    }
+
+    setup(<Cart />, container);
+    await flushMicrotasks();
+    renders.mockClear();
+
+    store.setState({ ...store.getState() });
+    await flushMicrotasks();
+
+    expect(renders).not.toHaveBeenCalled();
+  });
+
+  it("나누어 렌더링하는 도중에 스토어가 바뀌면 커밋하기 전에 다시 렌더링해 모든 컴포넌트가 같은 값을 보여 준다", async () => {
+    const container = document.createElement("div");
+    const store = createStore("이전");
+    const commits: string[][] = [];
+    let changeDuringRender = false;
+
+    function Item({ index }: { index: number; key?: string }) {
+      const value = useSyncExternalStore(store.subscribe, store.getState);
+      block(2);
+      // 렌더링이 절반쯤 진행되었을 때 다른 작업이 스토어를 바꿨지만 아직 알림은 오지 않은 상황을 흉내 냅니다.
+      if (index === 4 && changeDuringRender) {
+        changeDuringRender = false;
+        store.replaceState("다음");
+      }
+      return <li>{value}</li>;
+    }
+
+    function List() {
+      const [x, setX] = useState(0);
+      useLayoutEffect(() => {
+        commits.push([...container.querySelectorAll("li")].map((li) => li.textContent!));
+      });
+      return (
+        <ul data-x={x} onMouseMove={(event: MouseEvent) => setX(event.clientX)}>
+          {Array.from({ length: 10 }, (_, index) => (
+            <Item key={String(index)} index={index} />
+          ))}
+        </ul>
+      );
+    }
+
+    setup(<List />, container);
+    await flushMicrotasks();
+    changeDuringRender = true;
+    container.querySelector("ul")!.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX: 1 }));
+
+    await vi.waitFor(() => expect(container.querySelector("ul")!.dataset.x).toBe("1"));
+    expect(commits).toEqual([Array(10).fill("이전"), Array(10).fill("다음")]);
+  });
+
+  it("startTransition 안에서 바뀐 스토어는 전환으로 렌더링하고, 그동안 급한 렌더링은 이전 값과 isPending을 보여 준다", async () => {
+    const container = document.createElement("div");
+    const store = createStore("");
+    const commits: string[] = [];
+
+    function Search() {
+      const query = useSyncExternalStore(store.subscribe, store.getState);
+      const [isPending, startTransition] = useTransition();
+      useLayoutEffect(() => {
+        commits.push(`${query || "전체"}${isPending ? " (검색 중)" : ""}`);
+      });
+      return <button onClick={() => startTransition(() => store.setState("키보드"))}>{query}</button>;
+    }
+
+    setup(<Search />, container);
+    await flushMicrotasks();
+    container.querySelector("button")!.click();
+
+    await vi.waitFor(() => expect(commits).toHaveLength(3));
+    expect(commits).toEqual(["전체", "전체 (검색 중)", "키보드"]);
+    expect(container.textContent).toBe("키보드");
+  });
+
+  it("스토어 값을 useDeferredValue에 넘기면 급한 렌더링에서는 이전 값을 보여 주고 뒤따라 새 값으로 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const store = createStore("마우스");
+    const commits: string[] = [];
+
+    function Results() {
+      const query = useSyncExternalStore(store.subscribe, store.getState);
+      const deferredQuery = useDeferredValue(query);
+      useLayoutEffect(() => {
+        commits.push(`${query}/${deferredQuery}`);
+      });
+      return <span>{deferredQuery}</span>;
+    }
+
+    setup(<Results />, container);
+    await flushMicrotasks();
+    store.setState("키보드");
+
+    await vi.waitFor(() => expect(commits).toHaveLength(3));
+    expect(commits).toEqual(["마우스/마우스", "키보드/마우스", "키보드/키보드"]);
+  });
+
+  it("하이드레이션할 때는 서버 스냅샷으로 렌더링하고, 끝난 뒤 클라이언트의 값으로 다시 렌더링한다", async () => {
+    const store = createStore("클라이언트");
+    const getServerSnapshot = () => "서버";
+
+    function Status() {
+      return <span>{useSyncExternalStore(store.subscribe, store.getState, getServerSnapshot)}</span>;
+    }
+
+    const container = document.createElement("div");
+    container.innerHTML = renderToString(<Status />);
+    expect(container.textContent).toBe("서버");
+
+    const onRecoverableError = vi.fn();
+    hydrateRoot(container, <Status />, { onRecoverableError });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.textContent).toBe("클라이언트");
+  });
+
+  it("서버 렌더링에서 getServerSnapshot이 없으면 에러를 던진다", () => {
+    const store = createStore(0);
+
+    function Count() {
+      return <span>{useSyncExternalStore(store.subscribe, store.getState)}</span>;
+    }
+
+    expect(() => renderToString(<Count />)).toThrowError("getServerSnapshot");
+  });
+});
@@ -0,0 +1,164 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, startTransition, useState, useTransition } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 렌더링이 여러 구간에 나뉘도록 주어진 시간 동안 실행을 붙잡아 둡니다.
+ */
+const block = (ms: number) => {
+  const start = performance.now();
+  while (performance.now() - start < ms) {
+    // 의도적으로 기다립니다.
+  }
+};
+
+function SlowItem({ value }: { value: string; key?: string }) {
+  block(2);
+  return <li>{value}</li>;
+}
+
+describe("전환 > ", () => {
+  it("useTransition은 전환이 커밋될 때까지 이전 목록을 유지한 채 isPending을 true로 렌더링한다", async () => {
+    const container = document.createElement("div");
+    let search: ((query: string) => void) | undefined;
+
+    function SearchPage() {
+      const [query, setQuery] = useState("전체");
+      const [isPending, startTransition] = useTransition();
+      search = (next) => startTransition(() => setQuery(next));
+
+      return (
+        <>
+          <p>{isPending ? "검색 중" : "완료"}</p>
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} value={query} />
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    setup(<SearchPage />, container);
+    search!("키보드");
+    await flushMicrotasks();
+
+    expect(container.querySelector("p")!.textContent).toBe("검색 중");
+    expect(container.querySelector("li")!.textContent).toBe("전체");
+
+    await vi.waitFor(() => expect(container.querySelector("p")!.textContent).toBe("완료"));
+    expect(container.querySelector("ul")!.textContent).toBe("키보드".repeat(10));
+  });
+
+  it("전환을 렌더링하는 도중에 입력이 들어오면 입력을 먼저 반영하고 전환을 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const commits: string[] = [];
+
+    function Filter() {
+      const [text, setText] = useState("");
+      const [query, setQuery] = useState("");
+
+      const handleInput = (event: Event) => {
+        const value = (event.target as HTMLInputElement).value;
+        setText(value);
+        startTransition(() => setQuery(value));
+      };
+      commits.push(`${text}/${query}`);
+
+      return (
+        <>
+          <input value={text} onInput={handleInput} />
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} value={query} />
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    setup(<Filter />, container);
+    const input = container.querySelector("input")!;
+    const type = (value: string) => {
+      input.value = value;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+    };
+
+    type("k");
+    await flushMicrotasks();
+    expect(input.value).toBe("k");
+    expect(container.querySelector("li")!.textContent).toBe("");
+
+    type("ke");
+    await flushMicrotasks();
+    expect(input.value).toBe("ke");
+
+    await vi.waitFor(() => expect(container.querySelector("ul")!.textContent).toBe("ke".repeat(10)));
+    expect(commits).not.toContain("ke/k");
+  });
+
+  it("전환 업데이트를 건너뛰어도 같은 상태의 업데이트는 발생한 순서대로 적용된다", async () => {
+    const container = document.createElement("div");
+    const renders: string[] = [];
+    let append: ((value: string, transition: boolean) => void) | undefined;
+
+    function Log() {
+      const [log, setLog] = useState("");
+      append = (value, transition) => {
+        const update = () => setLog((prev) => prev + value);
+        if (transition) startTransition(update);
+        else update();
+      };
+      renders.push(log);
+      return <p>{log}</p>;
+    }
+
+    setup(<Log />, container);
+    append!("a", true);
+    append!("b", false);
+
+    // 급한 렌더링에서는 전환 업데이트를 건너뛰고, 전환을 렌더링할 때 원래 순서대로 다시 적용합니다.
+    await vi.waitFor(() => expect(container.textContent).toBe("ab"));
+    expect(renders).toEqual(["", "b", "ab"]);
+  });
+
+  it("전환 중에도 이전 화면의 이벤트 핸들러는 계속 동작한다", async () => {
+    const container = document.createElement("div");
+    const clicked = vi.fn();
+    let showNext: (() => void) | undefined;
+
+    function Page() {
+      const [page, setPage] = useState(1);
+      const [isPending, startPageTransition] = useTransition();
+      showNext = () => startPageTransition(() => setPage((prev) => prev + 1));
+
+      return (
+        <>
+          <button onClick={() => clicked(page)}>{isPending ? "불러오는 중" : "선택"}</button>
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} value={String(page)} />
+            ))}
+          </ul>
+        </>
+      );
+    }
+
+    setup(<Page />, container);
+    showNext!();
+    await flushMicrotasks();
+
+    const button = container.querySelector("button")!;
+    expect(button.textContent).toBe("불러오는 중");
+    button.click();
+    expect(clicked).toHaveBeenCalledWith(1);
+
+    await vi.waitFor(() => expect(container.querySelector("button")!.textContent).toBe("선택"));
+    expect(container.querySelector("li")!.textContent).toBe("2");
+  });
+});
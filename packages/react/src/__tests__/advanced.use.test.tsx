@@ -0,0 +1,243 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { createContext, ErrorBoundary, setup, Suspense, use, useState } from "../core";
+import { memo } from "../hocs";
+import { renderToReadableStream } from "../server";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+const flushAll = async () => {
+  for (let i = 0; i < 5; i++) await flushMicrotasks();
+};
+
+const createDeferred = <T,>() => {
+  let resolve: (value: T) => void = () => {};
+  let reject: (reason: unknown) => void = () => {};
+  const promise = new Promise<T>((resolvePromise, rejectPromise) => {
+    resolve = resolvePromise;
+    reject = rejectPromise;
+  });
+  return { promise, resolve, reject };
+};
+
+describe("use > ", () => {
+  it("promise가 이행될 때까지 Suspense fallback을 보여 주고, 이행된 값으로 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const product = createDeferred<{ title: string }>();
+
+    function ProductTitle({ productPromise }: { productPromise: Promise<{ title: string }> }) {
+      return <h1>{use(productPromise).title}</h1>;
+    }
+
+    setup(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <ProductTitle productPromise={product.promise} />
+      </Suspense>,
+      container,
+    );
+    expect(container.innerHTML).toBe("<p>불러오는 중</p>");
+
+    product.resolve({ title: "키보드" });
+    await flushAll();
+
+    expect(container.innerHTML).toBe("<h1>키보드</h1>");
+  });
+
+  it("같은 promise는 다시 읽어도 기다리지 않고 캐시된 값을 사용한다", async () => {
+    const container = document.createElement("div");
+    const price = createDeferred<number>();
+    const renders = vi.fn();
+    let increment: (() => void) | undefined;
+
+    function Price() {
+      const [quantity, setQuantity] = useState(1);
+      increment = () => setQuantity((prev) => prev + 1);
+      const value = use(price.promise);
+      renders(value);
+      return <b>{value * quantity}</b>;
+    }
+
+    setup(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <Price />
+      </Suspense>,
+      container,
+    );
+    price.resolve(1000);
+    await flushAll();
+
+    increment!();
+    await flushAll();
+
+    expect(container.innerHTML).toBe("<b>2000</b>");
+    expect(renders.mock.calls).toEqual([[1000], [1000]]);
+  });
+
+  it("promise가 거부되면 가장 가까운 ErrorBoundary가 거부 사유를 처리한다", async () => {
+    const container = document.createElement("div");
+    const product = createDeferred<string>();
+
+    function ProductName() {
+      return <span>{use(product.promise)}</span>;
+    }
+
+    setup(
+      <ErrorBoundary fallback={({ error }) => <p>{(error as Error).message}</p>}>
+        <Suspense fallback={<p>불러오는 중</p>}>
+          <ProductName />
+        </Suspense>
+      </ErrorBoundary>,
+      container,
+    );
+
+    product.reject(new Error("상품을 찾을 수 없습니다"));
+    await flushAll();
+
+    expect(container.innerHTML).toBe("<p>상품을 찾을 수 없습니다</p>");
+  });
+
+  it("조건문 안에서 promise를 읽어도 다른 훅의 상태가 어긋나지 않는다", async () => {
+    const container = document.createElement("div");
+    const detail = createDeferred<string>();
+    let toggle: (() => void) | undefined;
+
+    function Product() {
+      const [expanded, setExpanded] = useState(false);
+      toggle = () => setExpanded((prev) => !prev);
+      const description = expanded ? use(detail.promise) : null;
+      const [label] = useState("상품");
+      return (
+        <p>
+          {label}
+          {description}
+        </p>
+      );
+    }
+
+    setup(
+      <Suspense fallback={<i>불러오는 중</i>}>
+        <Product />
+      </Suspense>,
+      container,
+    );
+    toggle!();
+    await flushAll();
+    detail.resolve(":설명");
+    await flushAll();
+
+    expect(container.querySelector("p")!.textContent).toBe("상품:설명");
+  });
+
+  it("컨텍스트를 넘기면 가장 가까운 Provider의 값을 읽는다", () => {
+    const container = document.createElement("div");
+    const CurrencyContext = createContext("USD");
+
+    function Currency() {
+      return <span>{use(CurrencyContext)}</span>;
+    }
+
+    setup(
+      <CurrencyContext.Provider value="원">
+        <Currency />
+      </CurrencyContext.Provider>,
+      container,
+    );
+
+    expect(container.innerHTML).toBe("<span>원</span>");
+  });
+
+  it("컨텍스트는 훅의 자리를 차지하지 않으므로 조건문 안에서 읽어도 다른 훅의 상태가 어긋나지 않는다", async () => {
+    const container = document.createElement("div");
+    const CurrencyContext = createContext("원");
+    let show: (() => void) | undefined;
+    let addPrice: (() => void) | undefined;
+
+    function Price({ showCurrency }: { showCurrency: boolean }) {
+      const currency = showCurrency ? use(CurrencyContext) : "";
+      const [price, setPrice] = useState(1000);
+      addPrice = () => setPrice((prev) => prev + 500);
+      return (
+        <span>
+          {price}
+          {currency}
+        </span>
+      );
+    }
+
+    function Page() {
+      const [visible, setVisible] = useState(false);
+      show = () => setVisible(true);
+      return <Price showCurrency={visible} />;
+    }
+
+    setup(<Page />, container);
+    addPrice!();
+    await flushAll();
+    expect(container.textContent).toBe("1500");
+
+    show!();
+    await flushAll();
+
+    expect(container.textContent).toBe("1500원");
+  });
+
+  it("조건에 따라 읽는 컨텍스트가 바뀌어도, 마지막으로 읽은 컨텍스트의 값이 바뀌면 memo로 감싼 소비자를 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const CurrencyContext = createContext("원");
+    const UnitContext = createContext("개");
+    let showUnit: (() => void) | undefined;
+    let setCurrency: ((currency: string) => void) | undefined;
+    let setUnit: ((unit: string) => void) | undefined;
+
+    const Label = memo(({ unit }: { unit: boolean }) => <span>{unit ? use(UnitContext) : use(CurrencyContext)}</span>);
+
+    function Page() {
+      const [unit, setShowUnit] = useState(false);
+      const [currency, updateCurrency] = useState("원");
+      const [unitLabel, updateUnit] = useState("개");
+      showUnit = () => setShowUnit(true);
+      setCurrency = updateCurrency;
+      setUnit = updateUnit;
+      return (
+        <CurrencyContext.Provider value={currency}>
+          <UnitContext.Provider value={unitLabel}>
+            <Label unit={unit} />
+          </UnitContext.Provider>
+        </CurrencyContext.Provider>
+      );
+    }
+
+    setup(<Page />, container);
+    setCurrency!("달러");
+    await flushAll();
+    expect(container.textContent).toBe("달러");
+
+    showUnit!();
+    await flushAll();
+    expect(container.textContent).toBe("개");
+
+    setUnit!("박스");
+    await flushAll();
+    expect(container.textContent).toBe("박스");
+  });
+
+  it("스트리밍 서버 렌더링에서도 promise가 이행되면 경계의 마크업을 이어서 보낸다", async () => {
+    const product = createDeferred<string>();
+
+    function ProductName() {
+      return <span>{use(product.promise)}</span>;
+    }
+
+    const stream = await renderToReadableStream(
+      <Suspense fallback={<p>불러오는 중</p>}>
+        <ProductName />
+      </Suspense>,
+    );
+    product.resolve("마우스");
+
+    expect(await new Response(stream).text()).toContain('<div hidden id="S:0"><span>마우스</span></div>');
+  });
+});
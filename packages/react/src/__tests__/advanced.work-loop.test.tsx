@@ -0,0 +1,199 @@
+/** @jsx createElement */
+/** @jsxFrag Fragment */
+import { describe, expect, it, vi } from "vitest";
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+import { createElement, Fragment } from "../core";
+import { setup, startTransition, useEffect, useState } from "../core";
+
+const flushMicrotasks = async () => await Promise.resolve();
+
+/**
+ * 렌더링이 여러 구간에 나뉘도록 주어진 시간 동안 실행을 붙잡아 둡니다.
+ */
+const block = (ms: number) => {
+  const start = performance.now();
+  while (performance.now() - start < ms) {
+    // 의도적으로 기다립니다.
+  }
+};
+
+const moveMouse = (target: Element, clientX: number) =>
+  target.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX }));
+
+describe("작업 루프 > ", () => {
+  it("연속 이벤트의 업데이트는 나누어 렌더링하고, 트리 전체가 준비된 뒤에 한 번에 커밋한다", async () => {
+    const container = document.createElement("div");
+    const rendered: number[] = [];
+
+    function SlowItem({ value }: { value: number; key?: string }) {
+      block(2);
+      rendered.push(value);
+      return <li>{value}</li>;
+    }
+
+    function List() {
+      const [x, setX] = useState(0);
+      return (
+        <ul onMouseMove={(event: MouseEvent) => setX(event.clientX)}>
+          {Array.from({ length: 10 }, (_, index) => (
+            <SlowItem key={String(index)} value={x} />
+          ))}
+        </ul>
+      );
+    }
+
+    setup(<List />, container);
+    moveMouse(container.querySelector("ul")!, 7);
+    await flushMicrotasks();
+
+    expect(rendered.filter((value) => value === 7).length).toBeLessThan(10);
+    expect(container.textContent).toBe("0".repeat(10));
+
+    await vi.waitFor(() => expect(container.textContent).toBe("7".repeat(10)));
+    expect(rendered.filter((value) => value === 7)).toHaveLength(10);
+  });
+
+  it("나누어 렌더링하는 도중에 클릭으로 업데이트가 발생하면 진행 중이던 작업을 버리고 함께 다시 렌더링한다", async () => {
+    const container = document.createElement("div");
+    const commits = vi.fn();
+
+    function SlowItem({ value }: { value: number; key?: string }) {
+      block(2);
+      return <li>{value}</li>;
+    }
+
+    function App() {
+      const [x, setX] = useState(0);
+      const [selected, setSelected] = useState(false);
+      useEffect(() => commits());
+
+      return (
+        <div onMouseMove={(event: MouseEvent) => setX(event.clientX)}>
+          <button onClick={() => setSelected(true)}>{selected ? "선택됨" : "선택"}</button>
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} value={x} />
+            ))}
+          </ul>
+        </div>
+      );
+    }
+
+    setup(<App />, container);
+    await flushMicrotasks();
+    moveMouse(container.querySelector("ul")!, 3);
+    await flushMicrotasks();
+    expect(container.querySelector("button")!.textContent).toBe("선택");
+
+    container.querySelector("button")!.click();
+    await flushMicrotasks();
+
+    expect(container.querySelector("button")!.textContent).toBe("선택됨");
+    expect(container.querySelector("ul")!.textContent).toBe("3".repeat(10));
+
+    // 버려진 작업은 양보했던 구간이 돌아와도 이어서 커밋하지 않습니다.
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(commits).toHaveBeenCalledTimes(2);
+  });
+
+  it("버려진 렌더링에서 처음 마운트되던 컴포넌트는 상태와 이펙트를 남기지 않는다", async () => {
+    const container = document.createElement("div");
+    const effects: string[] = [];
+    const initialized = vi.fn(() => 0);
+
+    function Preview({ index }: { index: number; key?: string }) {
+      useState(initialized);
+      useEffect(() => {
+        effects.push(`mount:${index}`);
+        return () => effects.push(`unmount:${index}`);
+      }, []);
+      block(2);
+      return <li>{index}</li>;
+    }
+
+    function Gallery() {
+      const [hovered, setHovered] = useState(false);
+      const [closed, setClosed] = useState(false);
+
+      return (
+        <section onMouseMove={() => setHovered(true)}>
+          <button onClick={() => setClosed(true)}>닫기</button>
+          {hovered && !closed && (
+            <ul>
+              {Array.from({ length: 10 }, (_, index) => (
+                <Preview key={String(index)} index={index} />
+              ))}
+            </ul>
+          )}
+        </section>
+      );
+    }
+
+    setup(<Gallery />, container);
+    moveMouse(container.querySelector("section")!, 1);
+    await flushMicrotasks();
+    expect(initialized).toHaveBeenCalled();
+
+    container.querySelector("button")!.click();
+    await flushMicrotasks();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(container.querySelector("ul")).toBeNull();
+    expect(effects).toEqual([]);
+  });
+
+  it("버려진 렌더링에서 다시 실행된 컴포넌트의 훅은 작업을 시작하기 전으로 되돌린다", async () => {
+    const container = document.createElement("div");
+    const effects: string[] = [];
+
+    function Summary({ category }: { category: string }) {
+      useEffect(() => {
+        effects.push(category);
+      }, [category]);
+      return <h2>{category}</h2>;
+    }
+
+    function SlowItem({ index }: { index: number; key?: string }) {
+      block(2);
+      return <li>{index}</li>;
+    }
+
+    function Catalog() {
+      const [category, setCategory] = useState("전체");
+      const [selected, setSelected] = useState(false);
+
+      return (
+        <section>
+          <button onClick={() => setSelected(true)}>{selected ? "선택됨" : "선택"}</button>
+          <button id="category" onClick={() => startTransition(() => setCategory("키보드"))}>
+            키보드
+          </button>
+          <Summary category={category} />
+          <ul>
+            {Array.from({ length: 10 }, (_, index) => (
+              <SlowItem key={String(index)} index={index} />
+            ))}
+          </ul>
+        </section>
+      );
+    }
+
+    setup(<Catalog />, container);
+    await flushMicrotasks();
+
+    // 전환 렌더링이 Summary의 이펙트를 바꾼 뒤 양보한 사이에 클릭하면, 전환 렌더링을 버리고 클릭을 먼저 렌더링한다.
+    (container.querySelector("#category") as HTMLButtonElement).click();
+    await flushMicrotasks();
+    container.querySelector("button")!.click();
+    await flushMicrotasks();
+    await flushMicrotasks();
+
+    expect(container.querySelector("button")!.textContent).toBe("선택됨");
+    expect(container.querySelector("h2")!.textContent).toBe("전체");
+    expect(effects).toEqual(["전체"]);
+
+    await vi.waitFor(() => expect(container.querySelector("h2")!.textContent).toBe("키보드"));
+    await flushMicrotasks();
+    expect(effects).toEqual(["전체", "키보드"]);
+  });
+});
@@ -1,7 +1,38 @@
-import { setup, type VNode } from "../core";
+import { hydrate, unmountRoot, updateRoot, type HydrationOptions, type VNode } from "../core";
 
 export const createRoot = (rootElement: HTMLElement) => {
+  let mounted = false;
+
+  return {
+    render: (root: VNode) => {
+      updateRoot(root, rootElement);
+      mounted = true;
+    },
+    unmount: () => {
+      if (!mounted) return;
+      unmountRoot(rootElement);
+      mounted = false;
+    },
+  };
+};
+
+/**
+ * 서버에서 렌더링된 마크업을 그대로 사용하는 루트를 생성합니다.
+ * 첫 렌더링은 기존 DOM을 차지하며 이루어지고, 이후 `render`는 `createRoot`와 같이 동작합니다.
+ */
+export const hydrateRoot = (rootElement: HTMLElement, initialRoot: VNode, options?: HydrationOptions) => {
+  hydrate(initialRoot, rootElement, options);
+  let mounted = true;
+
   return {
-    render: (root: VNode) => setup(root, rootElement),
+    render: (root: VNode) => {
+      updateRoot(root, rootElement);
+      mounted = true;
+    },
+    unmount: () => {
+      if (!mounted) return;
+      unmountRoot(rootElement);
+      mounted = false;
+    },
   };
 };
@@ -0,0 +1,313 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { parseEventProp } from "./events";
+import { Namespaces } from "./constants";
+import { normalizeChildren } from "./elements";
+import { ValueOf } from "../types";
+
+/**
+ * 숫자 값에 px 단위를 붙이지 않는 CSS 속성입니다.
+ */
+const UNITLESS_STYLES = new Set([
+  "animationIterationCount",
+  "aspectRatio",
+  "borderImageOutset",
+  "borderImageSlice",
+  "borderImageWidth",
+  "columnCount",
+  "columns",
+  "flex",
+  "flexGrow",
+  "flexShrink",
+  "fontWeight",
+  "gridArea",
+  "gridColumn",
+  "gridColumnEnd",
+  "gridColumnStart",
+  "gridRow",
+  "gridRowEnd",
+  "gridRowStart",
+  "lineClamp",
+  "lineHeight",
+  "opacity",
+  "order",
+  "orphans",
+  "scale",
+  "tabSize",
+  "widows",
+  "zIndex",
+  "zoom",
+  "fillOpacity",
+  "floodOpacity",
+  "stopOpacity",
+  "strokeDasharray",
+  "strokeDashoffset",
+  "strokeMiterlimit",
+  "strokeOpacity",
+  "strokeWidth",
+]);
+
+/**
+ * prop 값을 속성으로 바꾸는 방식입니다.
+ * STRING은 값을 문자열로 설정하고 false, null, undefined이면 제거합니다.
+ * BOOLEAN은 값이 참이면 빈 문자열로 설정하고 거짓이면 제거합니다.
+ * BOOLEANISH_STRING은 false도 `"false"`로 설정하고 null, undefined일 때만 제거합니다.
+ */
+export const PropertyTypes = {
+  STRING: "string",
+  BOOLEAN: "boolean",
+  BOOLEANISH_STRING: "booleanishString",
+} as const;
+
+export type PropertyType = ValueOf<typeof PropertyTypes>;
+
+export interface PropertyInfo {
+  /** 속성 이름입니다. 서버 렌더링과 하이드레이션도 이 이름을 사용합니다. */
+  attributeName: string;
+  type: PropertyType;
+  /** 사용자가 바꿀 수 있는 폼 상태처럼 속성 대신 DOM 프로퍼티로 반영해야 하는 prop이면 true입니다. */
+  mustUseProperty: boolean;
+}
+
+const property = (
+  attributeName: string,
+  type: PropertyType = PropertyTypes.STRING,
+  mustUseProperty = false,
+): PropertyInfo => ({ attributeName, type, mustUseProperty });
+
+const BOOLEAN_PROPS = [
+  "allowFullScreen",
+  "async",
+  "autoFocus",
+  "autoPlay",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "disablePictureInPicture",
+  "formNoValidate",
+  "hidden",
+  "inert",
+  "itemScope",
+  "loop",
+  "noModule",
+  "noValidate",
+  "open",
+  "playsInline",
+  "readOnly",
+  "required",
+  "reversed",
+];
+
+/**
+ * HTML 요소의 prop을 어떤 속성으로 어떻게 설정할지 정한 표입니다.
+ * 표에 없는 prop은 이름을 소문자로 바꾼 STRING 속성으로 설정합니다.
+ */
+const HTML_PROPERTIES: Record<string, PropertyInfo> = {
+  ...Object.fromEntries(BOOLEAN_PROPS.map((key) => [key, property(key.toLowerCase(), PropertyTypes.BOOLEAN)])),
+  className: property("class"),
+  htmlFor: property("for"),
+  acceptCharset: property("accept-charset"),
+  httpEquiv: property("http-equiv"),
+  defaultValue: property("value"),
+  defaultChecked: property("checked", PropertyTypes.BOOLEAN),
+  contentEditable: property("contenteditable", PropertyTypes.BOOLEANISH_STRING),
+  draggable: property("draggable", PropertyTypes.BOOLEANISH_STRING),
+  spellCheck: property("spellcheck", PropertyTypes.BOOLEANISH_STRING),
+  value: property("value", PropertyTypes.STRING, true),
+  checked: property("checked", PropertyTypes.BOOLEAN, true),
+  multiple: property("multiple", PropertyTypes.BOOLEAN, true),
+  muted: property("muted", PropertyTypes.BOOLEAN, true),
+  selected: property("selected", PropertyTypes.BOOLEAN, true),
+};
+
+/**
+ * SVG에서 camelCase prop을 하이픈이나 접두사가 붙은 속성 이름으로 바꿔 써야 하는 속성입니다.
+ * `viewBox`처럼 이 목록에 없는 prop은 대소문자를 그대로 유지한 이름으로 설정합니다.
+ */
+const SVG_ATTRIBUTE_ALIASES: Record<string, string> = {
+  className: "class",
+  alignmentBaseline: "alignment-baseline",
+  clipPath: "clip-path",
+  clipRule: "clip-rule",
+  colorInterpolationFilters: "color-interpolation-filters",
+  dominantBaseline: "dominant-baseline",
+  fillOpacity: "fill-opacity",
+  fillRule: "fill-rule",
+  floodColor: "flood-color",
+  floodOpacity: "flood-opacity",
+  fontFamily: "font-family",
+  fontSize: "font-size",
+  fontWeight: "font-weight",
+  markerEnd: "marker-end",
+  markerMid: "marker-mid",
+  markerStart: "marker-start",
+  paintOrder: "paint-order",
+  pointerEvents: "pointer-events",
+  shapeRendering: "shape-rendering",
+  stopColor: "stop-color",
+  stopOpacity: "stop-opacity",
+  strokeDasharray: "stroke-dasharray",
+  strokeDashoffset: "stroke-dashoffset",
+  strokeLinecap: "stroke-linecap",
+  strokeLinejoin: "stroke-linejoin",
+  strokeMiterlimit: "stroke-miterlimit",
+  strokeOpacity: "stroke-opacity",
+  strokeWidth: "stroke-width",
+  textAnchor: "text-anchor",
+  vectorEffect: "vector-effect",
+  xlinkHref: "xlink:href",
+  xlinkTitle: "xlink:title",
+  xmlSpace: "xml:space",
+  xmlnsXlink: "xmlns:xlink",
+};
+
+const SKIPPED_PROPS = new Set(["children", "key", "ref", "dangerouslySetInnerHTML"]);
+
+const VALID_ATTRIBUTE_NAME = /^[a-zA-Z_:][a-zA-Z0-9_.:-]*$/;
+
+// WebkitLineClamp처럼 벤더 접두사가 붙은 속성도 접두사를 떼고 확인합니다.
+const isUnitlessStyle = (name: string): boolean =>
+  UNITLESS_STYLES.has(name.replace(/^(Webkit|Moz|O|ms)([A-Z])/, (_, _prefix, char: string) => char.toLowerCase()));
+
+const hyphenateStyleName = (name: string): string => {
+  if (name.startsWith("--")) return name;
+  // WebkitTransform → -webkit-transform, msTransform → -ms-transform
+  return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`).replace(/^ms-/, "-ms-");
+};
+
+/**
+ * style 객체의 값 하나를 CSS 값 문자열로 바꿉니다.
+ * null, undefined, boolean은 빈 문자열이 되고, 단위가 필요한 0이 아닌 숫자에는 px를 붙입니다.
+ */
+export const getStyleValue = (name: string, value: unknown): string => {
+  if (value === null || value === undefined || typeof value === "boolean") return "";
+  const needsUnit = typeof value === "number" && value !== 0 && !name.startsWith("--") && !isUnitlessStyle(name);
+  return needsUnit ? `${value}px` : String(value).trim();
+};
+
+/**
+ * style 객체를 `background-color:red;width:10px` 형식의 문자열로 직렬화합니다.
+ * 값이 비는 속성은 생략합니다.
+ */
+export const serializeStyle = (style: unknown): string => {
+  if (typeof style === "string") return style;
+  if (!style || typeof style !== "object") return "";
+
+  return Object.entries(style as Record<string, unknown>)
+    .map(([name, value]) => [name, getStyleValue(name, value)])
+    .filter(([, value]) => value !== "")
+    .map(([name, value]) => `${hyphenateStyleName(name)}:${value}`)
+    .join(";");
+};
+
+/**
+ * className을 공백으로 구분한 문자열로 바꿉니다.
+ * 배열은 거짓인 값을 빼고 이어 붙이며, 객체는 값이 참인 키만 모읍니다.
+ *
+ * @example normalizeClassName(["card", { selected: true, disabled: false }]) // "card selected"
+ */
+export const normalizeClassName = (value: unknown): string => {
+  if (Array.isArray(value)) return value.map(normalizeClassName).filter(Boolean).join(" ");
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .filter((name) => (value as Record<string, unknown>)[name])
+      .join(" ");
+  }
+  if (value === null || value === undefined || typeof value === "boolean") return "";
+  return String(value);
+};
+
+/**
+ * 부모 요소의 자식이 놓일 네임스페이스 안에서 주어진 태그의 요소가 갖게 될 네임스페이스를 반환합니다.
+ */
+export const getNamespace = (tag: string, parentNamespace: string): string => {
+  if (tag === "svg") return Namespaces.SVG;
+  if (tag === "math") return Namespaces.MATH;
+  return parentNamespace === Namespaces.SVG || parentNamespace === Namespaces.MATH ? parentNamespace : Namespaces.HTML;
+};
+
+/**
+ * 주어진 요소의 자식이 놓일 네임스페이스를 반환합니다. SVG의 `foreignObject` 안은 다시 HTML입니다.
+ */
+export const getChildNamespace = (tag: string, namespace: string): string =>
+  namespace === Namespaces.SVG && tag === "foreignObject" ? Namespaces.HTML : namespace;
+
+/**
+ * prop을 주어진 네임스페이스의 요소에 설정하는 방법을 반환합니다.
+ * HTML 속성은 대소문자를 구분하지 않으므로 소문자로, SVG와 MathML 속성은 대소문자를 그대로 둡니다.
+ * `data-*`와 `aria-*`는 false도 `"false"`로 설정합니다.
+ */
+export const getPropertyInfo = (key: string, namespace: string = Namespaces.HTML): PropertyInfo => {
+  const isHtml = namespace === Namespaces.HTML;
+  if (key.startsWith("data-") || key.startsWith("aria-")) {
+    return property(isHtml ? key.toLowerCase() : key, PropertyTypes.BOOLEANISH_STRING);
+  }
+  if (!isHtml) return property(SVG_ATTRIBUTE_ALIASES[key] ?? key);
+  return HTML_PROPERTIES[key] ?? property(key.toLowerCase());
+};
+
+/**
+ * `xlink:href`처럼 접두사가 붙은 속성을 설정할 때 사용할 네임스페이스를 반환합니다. 접두사가 없다면 null입니다.
+ */
+export const getAttributeNamespace = (name: string): string | null => {
+  if (name.startsWith("xlink:")) return Namespaces.XLINK;
+  if (name.startsWith("xml:")) return Namespaces.XML;
+  return null;
+};
+
+/**
+ * 단일 prop을 속성의 값으로 변환합니다. 속성을 두지 않아야 하는 값이면 null을 반환합니다.
+ */
+export const getAttributeValue = (key: string, info: PropertyInfo, value: any): string | null => {
+  if (typeof value === "function" || typeof value === "symbol") return null;
+  if (key === "style") return serializeStyle(value) || null;
+  if (key === "className") return normalizeClassName(value) || null;
+
+  switch (info.type) {
+    case PropertyTypes.BOOLEAN:
+      return value ? "" : null;
+    case PropertyTypes.BOOLEANISH_STRING:
+      return value === null || value === undefined ? null : String(value);
+    default:
+      if (value === null || value === undefined || value === false) return null;
+      return value === true ? "" : String(value);
+  }
+};
+
+/**
+ * `dangerouslySetInnerHTML`로 지정한 HTML 문자열을 반환합니다. 지정하지 않았다면 null을 반환합니다.
+ * 클라이언트와 서버가 같은 규칙을 따르도록 `{ __html }` 형식이 아니거나 자식과 함께 사용하면 에러를 던집니다.
+ */
+export const getInnerHTML = (props: Record<string, any>): string | null => {
+  const innerHTML = props.dangerouslySetInnerHTML;
+  if (innerHTML === null || innerHTML === undefined) return null;
+
+  if (typeof innerHTML !== "object" || !("__html" in innerHTML)) {
+    throw new Error("dangerouslySetInnerHTML에는 { __html: string } 형식의 객체를 전달해야 합니다.");
+  }
+  if (normalizeChildren(props.children ?? []).length > 0) {
+    throw new Error("children과 dangerouslySetInnerHTML은 함께 사용할 수 없습니다.");
+  }
+  return innerHTML.__html === null || innerHTML.__html === undefined ? "" : String(innerHTML.__html);
+};
+
+/**
+ * 호스트 요소의 props가 HTML에서 갖게 될 `[속성 이름, 값]` 목록을 반환합니다.
+ * 서버 렌더러는 이 목록을 직렬화하고, 하이드레이션은 서버가 만든 속성과 비교하는 데 사용합니다.
+ * textarea의 value는 속성이 아닌 자식 텍스트로, select의 value는 선택된 option의 `selected` 속성으로 표현되므로 포함하지 않습니다.
+ */
+export const getAttributeEntries = (
+  tag: string,
+  props: Record<string, any>,
+  namespace: string = Namespaces.HTML,
+): [string, string][] =>
+  Object.keys(props).flatMap((key): [string, string][] => {
+    if (SKIPPED_PROPS.has(key) || parseEventProp(key)) return [];
+    if ((tag === "textarea" || tag === "select") && (key === "value" || key === "defaultValue")) return [];
+
+    const info = getPropertyInfo(key, namespace);
+    if (!VALID_ATTRIBUTE_NAME.test(info.attributeName)) return [];
+
+    const value = getAttributeValue(key, info, props[key]);
+    return value === null ? [] : [[info.attributeName, value]];
+  });
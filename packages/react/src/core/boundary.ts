@@ -0,0 +1,198 @@
+import { context } from "./context";
+import { Fragment, HookTypes, NodeTypes } from "./constants";
+import { createElement, getComponentName, getParentPath } from "./elements";
+import { useLayoutEffect } from "./hooks";
+import { enqueueRender } from "./render";
+import { BoundaryHook, ErrorBoundaryProps, Instance, VNode } from "./types";
+import { shallowEquals } from "../utils";
+
+// fallback은 key가 있는 Fragment로 감싸 자식과 경로가 겹치지 않게 합니다.
+// 에러 상태가 바뀔 때마다 이전 트리는 언마운트되고 새 트리가 처음부터 마운트됩니다.
+const FALLBACK_KEY = "error-boundary-fallback";
+
+const isBoundaryHook = (hook: unknown): hook is BoundaryHook =>
+  typeof hook === "object" && hook !== null && (hook as BoundaryHook).kind === HookTypes.BOUNDARY;
+
+const getBoundaryHook = (path: string): BoundaryHook | undefined => context.hooks.state.get(path)?.find(isBoundaryHook);
+
+/**
+ * 이번 렌더링에서 경계가 보여 줄 에러 상태를 반환합니다.
+ * 렌더링 중에 에러를 잡거나 초기화한 경계는 그 상태를 진행 중인 작업에 기록해 두므로, 기록이 없다면 커밋된 상태를 사용합니다.
+ */
+const getRenderCaptured = (path: string, hook: BoundaryHook): BoundaryHook["captured"] => {
+  const staged = context.root.work?.captured;
+  return staged?.has(path) ? staged.get(path)! : hook.captured;
+};
+
+/**
+ * 이번 렌더링에서 경계의 에러 상태를 바꿉니다.
+ * 렌더링은 중단되거나 버려질 수 있으므로 작업에만 기록해 두고, 경계가 다시 렌더링될 때 커밋 단계에 훅에 반영하도록 예약합니다.
+ * 커밋 단계가 없는 서버 렌더링에서는 훅에 바로 기록합니다.
+ */
+const stageCaptured = (path: string, hook: BoundaryHook, captured: BoundaryHook["captured"]): void => {
+  const { work } = context.root;
+  if (work) work.captured.set(path, captured);
+  else hook.captured = captured;
+};
+
+const isSameOrDescendant = (path: string, ancestor: string): boolean =>
+  path === ancestor || path.startsWith(`${ancestor}.`);
+
+const formatComponentStack = (names: string[]): string => names.map((name) => `\n    in ${name}`).join("");
+
+/**
+ * 렌더링 중 던져진 에러가 전파되면서 거쳐 간 컴포넌트 이름입니다.
+ * `context.hooks.componentStack`은 실행 중인 컴포넌트 하나만 담고 있으므로, 조상 컴포넌트는 에러가 재조정 단계를
+ * 빠져나오는 동안 안쪽부터 순서대로 기록합니다.
+ */
+let pendingFrames: { error: unknown; names: string[] } | null = null;
+
+/**
+ * 에러가 빠져나온 컴포넌트를 컴포넌트 스택에 추가합니다.
+ */
+export const appendComponentFrame = (error: unknown, component: React.ComponentType): void => {
+  if (!pendingFrames || pendingFrames.error !== error) {
+    pendingFrames = { error, names: [] };
+  }
+  pendingFrames.names.push(getComponentName(component));
+};
+
+/**
+ * 인스턴스 트리를 따라 경계부터 대상 컴포넌트까지의 컴포넌트 스택을 만듭니다.
+ * 이미 커밋된 트리에서 발생한 이펙트 에러에 사용됩니다.
+ */
+const getCommittedComponentStack = (path: string, boundaryPath: string): string => {
+  const names: string[] = [];
+  let instance: Instance | null = context.root.instance;
+
+  while (instance && isSameOrDescendant(path, instance.path)) {
+    if (instance.kind === NodeTypes.COMPONENT && isSameOrDescendant(instance.path, boundaryPath)) {
+      names.unshift(getComponentName(instance.node.type as React.ComponentType));
+    }
+    instance = instance.children.find((child) => child !== null && isSameOrDescendant(path, child.path)) ?? null;
+  }
+
+  return formatComponentStack(names);
+};
+
+export const isErrorBoundary = (type: VNode["type"]): boolean => type === ErrorBoundary;
+
+/**
+ * 하위 트리의 렌더링 중 발생한 에러를 경로의 ErrorBoundary에 기록합니다.
+ * 경계가 이미 에러 상태라면(fallback 렌더링 중의 에러) 기록하지 않고 false를 반환해 바깥 경계로 전파되게 합니다.
+ */
+export const captureRenderError = (path: string, error: unknown): boolean => {
+  const hook = getBoundaryHook(path);
+  if (!hook || getRenderCaptured(path, hook)) return false;
+
+  const names = pendingFrames && pendingFrames.error === error ? pendingFrames.names : [];
+  pendingFrames = null;
+
+  stageCaptured(path, hook, {
+    error,
+    componentStack: formatComponentStack([...names, getComponentName(ErrorBoundary)]),
+  });
+  return true;
+};
+
+/**
+ * 이펙트 실행 중 발생한 에러를 가장 가까운 상위 ErrorBoundary에 기록하고 다시 렌더링을 예약합니다.
+ * 처리할 경계가 없으면 false를 반환합니다.
+ */
+export const captureEffectError = (path: string, error: unknown): boolean => {
+  for (let current = getParentPath(path); current !== null; current = getParentPath(current)) {
+    const hook = getBoundaryHook(current);
+    if (!hook || hook.captured) continue;
+
+    hook.captured = { error, componentStack: getCommittedComponentStack(path, current) };
+    enqueueRender(context, current);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * 하위 트리의 렌더링과 이펙트에서 발생한 에러를 잡아 fallback UI를 렌더링하는 컴포넌트입니다.
+ * 에러가 발생한 트리는 언마운트되므로 일부 화면이 깨져도 나머지 화면은 그대로 유지됩니다.
+ *
+ * @param fallback - 에러가 발생했을 때 렌더링할 VNode 또는 에러 정보를 받아 VNode를 반환하는 함수
+ * @param onError - 에러와 컴포넌트 스택을 전달받는 콜백. fallback이 DOM에 반영된 직후 호출됩니다.
+ * @param onReset - 경계가 초기화될 때 호출되는 콜백
+ * @param resetKeys - 값이 바뀌면 에러 상태를 초기화하고 자식을 다시 렌더링합니다.
+ */
+export const ErrorBoundary = ({
+  fallback,
+  onError,
+  onReset,
+  resetKeys = [],
+  children,
+}: ErrorBoundaryProps): VNode | null => {
+  const owner = context;
+  const path = owner.hooks.currentPath;
+  const cursor = owner.hooks.currentCursor;
+  const hooks = owner.hooks.currentHooks;
+  const prevHook = hooks[cursor];
+
+  let hook: BoundaryHook;
+  if (isBoundaryHook(prevHook)) {
+    hook = prevHook;
+  } else {
+    hook = {
+      kind: HookTypes.BOUNDARY,
+      captured: null,
+      resetKeys,
+      resetPending: false,
+      reset: () => {
+        // 언마운트되었거나 에러 상태가 아닌 경계의 초기화 요청은 무시합니다.
+        if (owner.hooks.state.get(path)?.[cursor] !== hook || !hook.captured) return;
+
+        hook.captured = null;
+        hook.onReset?.();
+        enqueueRender(owner, path);
+      },
+    };
+    hooks[cursor] = hook;
+  }
+
+  // 이번 렌더링에서 이미 에러를 잡았거나 초기화한 경계는 resetKeys를 다시 비교하지 않습니다.
+  const staged = owner.root.work?.captured.has(path) ?? false;
+  let captured = getRenderCaptured(path, hook);
+  const resetByKeys = !staged && captured !== null && !shallowEquals(hook.resetKeys, resetKeys);
+  if (resetByKeys) {
+    captured = null;
+    stageCaptured(path, hook, null);
+  }
+
+  // 렌더링 중에는 훅을 바꾸지 않고, 이번 렌더링의 에러 상태와 props는 커밋될 때 반영합니다.
+  const capturedChanged = captured !== hook.captured;
+  const commitBoundary = () => {
+    if (capturedChanged) hook.captured = captured;
+    if (resetByKeys) hook.resetPending = true;
+    hook.resetKeys = resetKeys;
+    hook.onReset = onReset;
+  };
+  if (owner.root.work) owner.effects.mutationQueue.push(commitBoundary);
+  else commitBoundary();
+  owner.hooks.cursor.set(path, cursor + 1);
+
+  useLayoutEffect(() => {
+    if (captured) onError?.(captured.error, { componentStack: captured.componentStack });
+  }, [captured]);
+
+  // 렌더링은 중단되거나 다시 시작될 수 있으므로, resetKeys로 초기화한 경계의 onReset은 커밋된 뒤 한 번만 호출합니다.
+  useLayoutEffect(() => {
+    if (!hook.resetPending) return;
+    hook.resetPending = false;
+    hook.onReset?.();
+  });
+
+  if (!captured) {
+    return (children ?? null) as VNode | null;
+  }
+
+  const content =
+    typeof fallback === "function"
+      ? fallback({ error: captured.error, componentStack: captured.componentStack, resetErrorBoundary: hook.reset })
+      : fallback;
+  return createElement(Fragment, { key: FALLBACK_KEY }, content);
+};
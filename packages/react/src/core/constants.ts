@@ -2,6 +2,8 @@ import { ValueOf } from "../types";
 
 export const TEXT_ELEMENT = Symbol("mini-react.text");
 
+export const Portal = Symbol("mini-react.portal");
+
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export const Fragment = Symbol("mini-react.fragment") as any;
 
@@ -10,12 +12,53 @@ export const NodeTypes = {
   TEXT: "text",
   COMPONENT: "component",
   FRAGMENT: "fragment",
+  PORTAL: "portal",
 } as const;
 
 export type NodeType = ValueOf<typeof NodeTypes>;
 
 export const HookTypes = {
+  REDUCER: "reducer",
   EFFECT: "effect",
+  LAYOUT_EFFECT: "layoutEffect",
+  PROVIDER: "provider",
+  BOUNDARY: "boundary",
+  SUSPENSE: "suspense",
 } as const;
 
 export type HookType = typeof HookTypes;
+
+/**
+ * 업데이트의 우선순위입니다. 비트 값이 작을수록 우선순위가 높습니다.
+ * SYNC는 클릭이나 입력처럼 바로 반영되어야 하는 업데이트이고, DEFAULT는 이벤트 밖에서 발생한 업데이트입니다.
+ * 두 우선순위의 렌더링은 중간에 양보하지 않고 한 번에 끝냅니다.
+ * CONTINUOUS는 스크롤이나 마우스 이동처럼 연달아 발생하는 이벤트의 업데이트로, 작업을 나누어 렌더링하다가
+ * 더 급한 업데이트가 들어오면 중단됩니다.
+ * TRANSITION은 `startTransition`으로 표시한 급하지 않은 업데이트로, 급한 업데이트가 모두 반영된 뒤에 따로 나누어 렌더링합니다.
+ */
+export const Lanes = {
+  NONE: 0,
+  SYNC: 0b0001,
+  DEFAULT: 0b0010,
+  CONTINUOUS: 0b0100,
+  TRANSITION: 0b1000,
+} as const;
+
+export type Lane = number;
+
+/**
+ * 한 번에 렌더링하는 우선순위입니다. 렌더링할 업데이트에 하나라도 포함되어 있으면 양보하지 않습니다.
+ */
+export const BLOCKING_LANES = Lanes.SYNC | Lanes.DEFAULT;
+
+/**
+ * 요소를 만들 때 사용하는 XML 네임스페이스입니다.
+ * `svg`와 `math` 아래의 요소는 각각의 네임스페이스로 만들고, SVG의 `foreignObject` 아래부터는 다시 HTML로 만듭니다.
+ */
+export const Namespaces = {
+  HTML: "http://www.w3.org/1999/xhtml",
+  SVG: "http://www.w3.org/2000/svg",
+  MATH: "http://www.w3.org/1998/Math/MathML",
+  XLINK: "http://www.w3.org/1999/xlink",
+  XML: "http://www.w3.org/XML/1998/namespace",
+} as const;
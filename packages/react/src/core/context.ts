@@ -1,10 +1,11 @@
+import { Lanes } from "./constants";
 import { Context } from "./types";
 
 /**
- * Mini-React의 전역 컨텍스트입니다.
- * 렌더링 루트, 훅 상태, 이펙트 큐 등 모든 런타임 데이터를 관리합니다.
+ * 루트 하나가 소유하는 런타임 컨텍스트를 생성합니다.
+ * 렌더링 루트, 훅 상태, 이펙트 큐를 루트마다 독립적으로 관리하여 여러 루트가 서로 간섭하지 않게 합니다.
  */
-export const context: Context = {
+export const createRootContext = (): Context => ({
   /**
    * 렌더링 루트와 관련된 정보를 관리합니다.
    */
@@ -12,9 +13,16 @@ export const context: Context = {
     container: null,
     node: null,
     instance: null,
+    pendingLanes: Lanes.NONE,
+    dirty: new Map(),
+    work: null,
     reset({ container, node }) {
-      // 여기를 구현하세요.
-      // container, node, instance를 전달받은 값으로 초기화합니다.
+      this.container = container;
+      this.node = node;
+      this.instance = null;
+      this.pendingLanes = Lanes.NONE;
+      this.dirty.clear();
+      this.work = null;
     },
   },
 
@@ -24,51 +32,103 @@ export const context: Context = {
    */
   hooks: {
     state: new Map(),
+    contextDependencies: new Map(),
     cursor: new Map(),
-    visited: new Set(),
     componentStack: [],
 
     /**
      * 모든 훅 관련 상태를 초기화합니다.
      */
     clear() {
-      // 여기를 구현하세요.
-      // state, cursor, visited, componentStack을 모두 비웁니다.
+      this.state.clear();
+      this.contextDependencies.clear();
+      this.cursor.clear();
+      this.componentStack.length = 0;
     },
 
     /**
      * 현재 실행 중인 컴포넌트의 고유 경로를 반환합니다.
      */
     get currentPath() {
-      // 여기를 구현하세요.
-      // componentStack의 마지막 요소를 반환해야 합니다.
-      // 스택이 비어있으면 '훅은 컴포넌트 내부에서만 호출되어야 한다'는 에러를 발생시켜야 합니다.
-      return "";
+      const path = this.componentStack[this.componentStack.length - 1];
+      if (path === undefined) {
+        throw new Error("훅은 컴포넌트 내부에서만 호출되어야 합니다.");
+      }
+      return path;
     },
 
     /**
      * 현재 컴포넌트에서 다음에 실행될 훅의 인덱스(커서)를 반환합니다.
      */
     get currentCursor() {
-      // 여기를 구현하세요.
-      // cursor Map에서 현재 경로의 커서를 가져옵니다. 없으면 0을 반환합니다.
-      return 0;
+      return this.cursor.get(this.currentPath) ?? 0;
     },
 
     /**
      * 현재 컴포넌트의 훅 상태 배열을 반환합니다.
+     * 처음 호출되는 컴포넌트라면 빈 배열을 만들어 등록합니다.
      */
     get currentHooks() {
-      // 여기를 구현하세요.
-      // state Map에서 현재 경로의 훅 배열을 가져옵니다. 없으면 빈 배열을 반환합니다.
-      return [];
+      const path = this.currentPath;
+      let hooks = this.state.get(path);
+      if (!hooks) {
+        hooks = [];
+        this.state.set(path, hooks);
+      }
+      return hooks;
     },
   },
 
   /**
    * useEffect 훅의 실행을 관리하는 큐입니다.
+   * layoutQueue는 DOM 변경 직후 동기적으로 실행되는 useLayoutEffect를 위한 큐입니다.
+   * refQueue는 커밋 이후 연결할 ref 목록입니다.
+   * mutationQueue는 렌더링 중에 모아 두었다가 커밋할 때 순서대로 실행하는 DOM 변경 작업입니다.
    */
   effects: {
     queue: [],
+    layoutQueue: [],
+    refQueue: [],
+    mutationQueue: [],
   },
-};
\ No newline at end of file
+});
+
+/**
+ * 현재 렌더링 중인 루트의 컨텍스트입니다.
+ * 루트 작업이 실행되는 동안에만 해당 루트의 컨텍스트로 교체되며, 그 외에는 빈 기본 컨텍스트를 가리킵니다.
+ */
+export let context: Context = createRootContext();
+
+/**
+ * 주어진 컨텍스트를 활성화한 상태로 작업을 실행하고, 끝나면 이전 컨텍스트로 되돌립니다.
+ */
+export const runWithContext = <T>(target: Context, task: () => T): T => {
+  const prev = context;
+  context = target;
+  try {
+    return task();
+  } finally {
+    context = prev;
+  }
+};
+
+const rootContexts = new WeakMap<HTMLElement, Context>();
+
+/**
+ * 컨테이너에 연결된 루트 컨텍스트를 반환합니다. 없으면 새로 만들어 등록합니다.
+ */
+export const getRootContext = (container: HTMLElement): Context => {
+  let target = rootContexts.get(container);
+  if (!target) {
+    target = createRootContext();
+    rootContexts.set(container, target);
+  }
+  return target;
+};
+
+/**
+ * 컨테이너와 루트 컨텍스트의 연결을 끊습니다.
+ */
+export const releaseRootContext = (container: HTMLElement): void => {
+  rootContexts.delete(container);
+};
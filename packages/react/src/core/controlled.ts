@@ -0,0 +1,81 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+
+const isCheckable = (dom: Element): boolean =>
+  dom.localName === "input" &&
+  ((dom as HTMLInputElement).type === "checkbox" || (dom as HTMLInputElement).type === "radio");
+
+/**
+ * 값이 사용자의 입력이 아닌 props로 정해지는 폼 요소인지 확인합니다.
+ * 체크박스와 라디오 버튼은 `checked`가, 그 밖의 input과 textarea, select는 `value`가 주어지면 controlled입니다.
+ * `defaultValue`, `defaultChecked`만 주어지거나 button, option처럼 사용자가 값을 바꿀 수 없는 요소는 controlled가 아닙니다.
+ */
+export const isControlled = (dom: Element, props: Record<string, any>): boolean => {
+  if (isCheckable(dom)) return props.checked !== undefined && props.checked !== null;
+  if (!["input", "textarea", "select"].includes(dom.localName)) return false;
+  return props.value !== undefined && props.value !== null;
+};
+
+/**
+ * select의 props로 선택해야 하는 옵션 값들을 반환합니다. 지정된 값이 없다면 null을 반환합니다.
+ * `defaultValue`는 처음 마운트할 때만 반영합니다. 서버 렌더링은 항상 처음 렌더링이므로 두 값을 모두 사용합니다.
+ */
+export const getSelectedValues = (props: Record<string, any>, isMount: boolean): Set<string> | null => {
+  const value = props.value ?? (isMount ? props.defaultValue : undefined);
+  if (value === undefined || value === null) return null;
+  return new Set((Array.isArray(value) ? value : [value]).map(String));
+};
+
+/**
+ * select의 선택 상태를 props에 맞춥니다.
+ * 옵션이 모두 배치된 뒤에야 선택할 수 있으므로 자식을 배치한 다음에 호출합니다.
+ */
+export const updateSelectValue = (select: HTMLSelectElement, props: Record<string, any>, isMount: boolean): void => {
+  const values = getSelectedValues(props, isMount);
+  if (!values) return;
+
+  if (!select.multiple) {
+    const [value] = values;
+    if (select.value !== value) select.value = value;
+    return;
+  }
+  Array.from(select.options).forEach((option) => {
+    const selected = values.has(option.value);
+    if (option.selected !== selected) option.selected = selected;
+  });
+};
+
+/**
+ * 폼 요소에만 있는 prop을 반영합니다. 일반 속성처럼 다루면 안 되는 prop이면 처리한 뒤 true를 반환합니다.
+ * select의 `value`는 옵션이 배치된 뒤 `updateSelectValue`로 반영하고,
+ * textarea의 `defaultValue`는 속성이 아닌 기본 텍스트로 반영합니다.
+ */
+export const setFormProp = (dom: HTMLElement, key: string, value: any): boolean => {
+  if (key !== "value" && key !== "defaultValue") return false;
+  if (dom.localName === "select") return true;
+  if (key === "defaultValue" && dom.localName === "textarea") {
+    (dom as HTMLTextAreaElement).defaultValue = value === null || value === undefined ? "" : String(value);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * 사용자의 입력으로 바뀐 controlled 폼 요소의 값을 다시 props에 맞춥니다.
+ * 핸들러가 상태를 바꾸지 않았거나 다른 값으로 바꿨다면 화면의 값이 props와 달라지므로, 이벤트가 끝날 때마다 호출합니다.
+ * 값이 같다면 대입하지 않으므로 입력 중인 커서 위치가 바뀌지 않습니다.
+ */
+export const restoreControlledState = (dom: HTMLElement, props: Record<string, any>): void => {
+  if (dom.localName === "select") {
+    updateSelectValue(dom as HTMLSelectElement, props, false);
+    return;
+  }
+  if (dom.localName !== "input" && dom.localName !== "textarea") return;
+
+  const input = dom as HTMLInputElement;
+  if (props.checked !== undefined && props.checked !== null && input.checked !== Boolean(props.checked)) {
+    input.checked = Boolean(props.checked);
+  }
+  if (props.value !== undefined && props.value !== null && input.value !== String(props.value)) {
+    input.value = String(props.value);
+  }
+};
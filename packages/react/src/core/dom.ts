@@ -1,13 +1,139 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
-import { NodeType, NodeTypes } from "./constants";
+import { Namespaces, NodeType, NodeTypes } from "./constants";
 import { Instance } from "./types";
+import { listenToControlledEvents, listenToEvent, parseEventProp } from "./events";
+import { setFormProp } from "./controlled";
+import {
+  getAttributeNamespace,
+  getAttributeValue,
+  getChildNamespace,
+  getNamespace,
+  getPropertyInfo,
+  getStyleValue,
+  PropertyTypes,
+} from "./attributes";
+
+const isReservedProp = (key: string) => key === "children" || key === "key" || key === "ref";
+
+/**
+ * style 객체의 변경분을 DOM에 반영합니다.
+ * 이전에 있었지만 새 스타일에 없는 속성은 비우고, style prop이 없어지면 style 속성을 제거합니다.
+ */
+const updateStyle = (dom: HTMLElement, prevStyle: any, nextStyle: any): void => {
+  if (nextStyle === null || nextStyle === undefined) {
+    dom.removeAttribute("style");
+    return;
+  }
+
+  if (typeof nextStyle === "string") {
+    dom.style.cssText = nextStyle;
+    return;
+  }
+
+  const prev = prevStyle && typeof prevStyle === "object" ? prevStyle : {};
+  const next = nextStyle && typeof nextStyle === "object" ? nextStyle : {};
+
+  if (typeof prevStyle === "string") {
+    dom.style.cssText = "";
+  }
+
+  Object.keys(prev).forEach((name) => {
+    if (!(name in next)) setStyleValue(dom, name, "");
+  });
+
+  Object.keys(next).forEach((name) => {
+    if (prev[name] !== next[name]) setStyleValue(dom, name, next[name]);
+  });
+};
+
+const setStyleValue = (dom: HTMLElement, name: string, value: unknown) => {
+  const cssValue = getStyleValue(name, value);
+  if (name.startsWith("--")) {
+    dom.style.setProperty(name, cssValue);
+  } else {
+    (dom.style as any)[name] = cssValue;
+  }
+};
+
+/**
+ * attribute를 설정하거나 제거합니다. `xlink:href`처럼 접두사가 붙은 속성은 해당 네임스페이스로 설정합니다.
+ */
+const setAttribute = (dom: HTMLElement, name: string, value: string | null): void => {
+  const namespace = getAttributeNamespace(name);
+  if (value === null) {
+    if (namespace) dom.removeAttributeNS(namespace, name.slice(name.indexOf(":") + 1));
+    else dom.removeAttribute(name);
+  } else if (namespace) {
+    dom.setAttributeNS(namespace, name, value);
+  } else {
+    dom.setAttribute(name, value);
+  }
+};
+
+/**
+ * 단일 속성을 DOM에 반영합니다.
+ * 속성 이름과 값은 `getPropertyInfo`의 표를 따르므로 서버 렌더링이 만든 속성과 같습니다.
+ * `value`, `checked`처럼 사용자가 바꿀 수 있는 폼 상태는 속성 대신 DOM 프로퍼티로 반영합니다.
+ * select의 값처럼 옵션이 배치되어야 반영할 수 있는 폼 상태는 `setFormProp`에 맡깁니다.
+ * 이벤트 핸들러는 요소에 직접 등록하지 않고, 루트에 위임 리스너가 있는지만 확인합니다.
+ */
+const setProp = (dom: HTMLElement, key: string, prevValue: any, nextValue: any): void => {
+  const eventProp = parseEventProp(key);
+  if (eventProp) {
+    if (typeof nextValue === "function") listenToEvent(eventProp.type);
+    return;
+  }
+
+  if (key === "style") {
+    updateStyle(dom, prevValue, nextValue);
+    return;
+  }
+
+  if (key === "dangerouslySetInnerHTML") {
+    // 렌더링마다 새 객체가 전달되므로 `__html`이 바뀌었을 때만 다시 파싱합니다.
+    if (prevValue?.__html !== nextValue?.__html) dom.innerHTML = nextValue?.__html ?? "";
+    return;
+  }
+
+  // controlled 요소는 핸들러가 없어도 사용자의 입력을 되돌릴 수 있도록 입력 이벤트를 수신합니다.
+  if ((key === "value" || key === "checked") && nextValue !== null && nextValue !== undefined) {
+    listenToControlledEvents();
+  }
+  if (setFormProp(dom, key, nextValue)) return;
+
+  const info = getPropertyInfo(key, dom.namespaceURI ?? Namespaces.HTML);
+  if (info.mustUseProperty && key in dom) {
+    const isEmpty = nextValue === null || nextValue === undefined;
+    const value = info.type === PropertyTypes.BOOLEAN ? Boolean(nextValue) : isEmpty ? "" : String(nextValue);
+    // 같은 값을 다시 대입하면 입력 중인 커서가 끝으로 옮겨질 수 있으므로 달라졌을 때만 대입합니다.
+    if ((dom as any)[key] !== value) (dom as any)[key] = value;
+    return;
+  }
+
+  setAttribute(dom, info.attributeName, getAttributeValue(key, info, nextValue));
+};
+
+/**
+ * 부모 DOM 아래에 놓일 요소를 만듭니다.
+ * `svg`와 `math` 요소, 그리고 그 아래의 요소는 부모의 네임스페이스를 이어받아 `createElementNS`로 만듭니다.
+ * SVG와 MathML 요소도 HTML 요소와 같은 방식으로 속성을 다루므로 HTMLElement로 취급합니다.
+ */
+export const createDomElement = (tag: string, parentDom: HTMLElement): HTMLElement => {
+  const parentNamespace = getChildNamespace(parentDom.localName, parentDom.namespaceURI ?? Namespaces.HTML);
+  const namespace = getNamespace(tag, parentNamespace);
+  if (namespace === Namespaces.HTML) return document.createElement(tag);
+  return document.createElementNS(namespace, tag) as HTMLElement;
+};
 
 /**
  * DOM 요소에 속성(props)을 설정합니다.
  * 이벤트 핸들러, 스타일, className 등 다양한 속성을 처리해야 합니다.
  */
 export const setDomProps = (dom: HTMLElement, props: Record<string, any>): void => {
-  // 여기를 구현하세요.
+  Object.keys(props).forEach((key) => {
+    if (isReservedProp(key)) return;
+    setProp(dom, key, undefined, props[key]);
+  });
 };
 
 /**
@@ -19,31 +145,48 @@ export const updateDomProps = (
   prevProps: Record<string, any> = {},
   nextProps: Record<string, any> = {},
 ): void => {
-  // 여기를 구현하세요.
+  Object.keys(prevProps).forEach((key) => {
+    if (isReservedProp(key) || key in nextProps) return;
+    setProp(dom, key, prevProps[key], undefined);
+  });
+
+  Object.keys(nextProps).forEach((key) => {
+    if (isReservedProp(key) || prevProps[key] === nextProps[key]) return;
+    setProp(dom, key, prevProps[key], nextProps[key]);
+  });
 };
 
+const hasOwnDom = (kind: NodeType) => kind === NodeTypes.HOST || kind === NodeTypes.TEXT;
+
 /**
  * 주어진 인스턴스에서 실제 DOM 노드(들)를 재귀적으로 찾아 배열로 반환합니다.
  * Fragment나 컴포넌트 인스턴스는 여러 개의 DOM 노드를 가질 수 있습니다.
+ * 포탈의 자식은 다른 컨테이너에 놓이므로 부모 DOM 기준의 노드 목록에 포함하지 않습니다.
  */
 export const getDomNodes = (instance: Instance | null): (HTMLElement | Text)[] => {
-  // 여기를 구현하세요.
-  return [];
+  if (!instance) return [];
+  if (hasOwnDom(instance.kind)) return instance.dom ? [instance.dom] : [];
+  if (instance.kind === NodeTypes.PORTAL) return [];
+  return instance.children.flatMap(getDomNodes);
 };
 
 /**
  * 주어진 인스턴스에서 첫 번째 실제 DOM 노드를 찾습니다.
  */
 export const getFirstDom = (instance: Instance | null): HTMLElement | Text | null => {
-  // 여기를 구현하세요.
-  return null;
+  if (!instance || instance.kind === NodeTypes.PORTAL) return null;
+  if (hasOwnDom(instance.kind)) return instance.dom;
+  return getFirstDomFromChildren(instance.children);
 };
 
 /**
  * 자식 인스턴스들로부터 첫 번째 실제 DOM 노드를 찾습니다.
  */
 export const getFirstDomFromChildren = (children: (Instance | null)[]): HTMLElement | Text | null => {
-  // 여기를 구현하세요.
+  for (const child of children) {
+    const dom = getFirstDom(child);
+    if (dom) return dom;
+  }
   return null;
 };
 
@@ -56,12 +199,83 @@ export const insertInstance = (
   instance: Instance | null,
   anchor: HTMLElement | Text | null = null,
 ): void => {
-  // 여기를 구현하세요.
+  getDomNodes(instance).forEach((node) => {
+    parentDom.insertBefore(node, anchor);
+  });
+};
+
+/**
+ * 인스턴스 하위 트리에 있는 포탈 인스턴스를 모두 찾습니다.
+ */
+const collectPortals = (instance: Instance | null, portals: Instance[] = []): Instance[] => {
+  if (!instance) return portals;
+  if (instance.kind === NodeTypes.PORTAL) portals.push(instance);
+  instance.children.forEach((child) => collectPortals(child, portals));
+  return portals;
 };
 
 /**
  * 부모 DOM에서 인스턴스에 해당하는 모든 DOM 노드를 제거합니다.
+ * 하위 트리에 포탈이 있다면 포탈 컨테이너에 놓인 DOM 노드도 함께 제거합니다.
  */
 export const removeInstance = (parentDom: HTMLElement, instance: Instance | null): void => {
-  // 여기를 구현하세요.
+  getDomNodes(instance).forEach((node) => {
+    if (node.parentNode === parentDom) {
+      parentDom.removeChild(node);
+    } else {
+      node.parentNode?.removeChild(node);
+    }
+  });
+
+  collectPortals(instance).forEach((portal) => {
+    portal.children.flatMap(getDomNodes).forEach((node) => node.parentNode?.removeChild(node));
+  });
+};
+
+/**
+ * 인스턴스의 최상위 호스트/텍스트 인스턴스를 찾습니다. 포탈은 다른 컨테이너에 놓이므로 제외합니다.
+ */
+const getHostInstances = (instance: Instance | null): Instance[] => {
+  if (!instance || instance.kind === NodeTypes.PORTAL) return [];
+  if (hasOwnDom(instance.kind)) return [instance];
+  return instance.children.flatMap(getHostInstances);
+};
+
+/**
+ * 인스턴스를 언마운트하지 않고 화면에서 숨깁니다.
+ * 요소는 `display: none`으로, 텍스트 노드는 내용을 비워 숨깁니다.
+ */
+export const hideInstance = (instance: Instance | null): void => {
+  getHostInstances(instance).forEach(({ kind, dom }) => {
+    if (!dom) return;
+    if (kind === NodeTypes.TEXT) {
+      dom.nodeValue = "";
+    } else {
+      (dom as HTMLElement).style.setProperty("display", "none", "important");
+    }
+  });
+};
+
+/**
+ * `hideInstance`로 숨긴 인스턴스를 현재 props에 맞게 다시 보여 줍니다.
+ */
+export const unhideInstance = (instance: Instance | null): void => {
+  getHostInstances(instance).forEach(({ kind, dom, node }) => {
+    if (!dom) return;
+    if (kind === NodeTypes.TEXT) {
+      dom.nodeValue = node.props.nodeValue;
+      return;
+    }
+
+    const element = dom as HTMLElement;
+    const { style } = node.props;
+    element.style.removeProperty("display");
+    if (typeof style === "string") {
+      element.style.cssText = style;
+    } else if (style && typeof style === "object" && "display" in style) {
+      setStyleValue(element, "display", style.display);
+    }
+    // 숨기기 전에 인라인 스타일이 없었다면 빈 style 속성을 남기지 않습니다.
+    if (element.style.cssText === "") element.removeAttribute("style");
+  });
 };
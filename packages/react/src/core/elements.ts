@@ -1,23 +1,36 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import { isEmptyValue } from "../utils";
 import { VNode } from "./types";
-import { Fragment, TEXT_ELEMENT } from "./constants";
+import { Fragment, Portal, TEXT_ELEMENT } from "./constants";
 
 /**
  * 주어진 노드를 VNode 형식으로 정규화합니다.
  * null, undefined, boolean, 배열, 원시 타입 등을 처리하여 일관된 VNode 구조를 보장합니다.
  */
 export const normalizeNode = (node: VNode): VNode | null => {
-  // 여기를 구현하세요.
-  return null;
+  if (isEmptyValue(node)) return null;
+  if (Array.isArray(node)) return createElement(Fragment, null, ...node);
+  if (typeof node === "string" || typeof node === "number") return createTextElement(node);
+  return node;
 };
 
 /**
  * 텍스트 노드를 위한 VNode를 생성합니다.
  */
 const createTextElement = (node: VNode): VNode => {
-  // 여기를 구현하세요.
-  return {} as VNode;
+  return {
+    type: TEXT_ELEMENT,
+    key: null,
+    props: { children: [], nodeValue: String(node) },
+  };
+};
+
+/**
+ * 중첩된 자식 배열을 평탄화하고 렌더링할 수 없는 값을 걸러냅니다.
+ */
+export const normalizeChildren = (children: unknown): VNode[] => {
+  const list = Array.isArray(children) ? children.flat(Infinity) : [children];
+  return list.map((child) => normalizeNode(child as VNode)).filter((child): child is VNode => child !== null);
 };
 
 /**
@@ -28,10 +41,41 @@ export const createElement = (
   type: string | symbol | React.ComponentType<any>,
   originProps?: Record<string, any> | null,
   ...rawChildren: any[]
-) => {
-  // 여기를 구현하세요.
+): VNode => {
+  const { key = null, ...props } = originProps ?? {};
+
+  if (rawChildren.length > 0) {
+    props.children = normalizeChildren(rawChildren);
+  }
+
+  return { type, key, props };
 };
 
+/**
+ * 컴포넌트의 표시 이름을 반환합니다. 에러 메시지나 컴포넌트 스택에서 사용됩니다.
+ */
+export const getComponentName = (component: React.ComponentType<any>): string =>
+  component.displayName || component.name || "Anonymous";
+
+/**
+ * 타입별 경로 토큰을 생성합니다.
+ * 컴포넌트는 이름, 호스트 요소는 태그명을 사용해 같은 타입끼리만 위치를 공유하게 합니다.
+ */
+const getTypeToken = (nodeType?: string | symbol | React.ComponentType): string => {
+  if (nodeType === TEXT_ELEMENT) return "t";
+  if (nodeType === Fragment) return "f";
+  if (nodeType === Portal) return "p";
+  if (typeof nodeType === "function") return `c${getComponentName(nodeType)}`;
+  if (typeof nodeType === "string") return `h${nodeType}`;
+  return "u";
+};
+
+/**
+ * key를 경로 토큰으로 인코딩합니다.
+ * 경로는 `.`으로 부모와 자식을 구분하므로, key에 들어 있는 `.`까지 인코딩해 key가 경로의 구분자로 읽히지 않게 합니다.
+ */
+const encodeKey = (key: string): string => encodeURIComponent(key).replace(/\./g, "%2E");
+
 /**
  * 부모 경로와 자식의 key/index를 기반으로 고유한 경로를 생성합니다.
  * 이는 훅의 상태를 유지하고 Reconciliation에서 컴포넌트를 식별하는 데 사용됩니다.
@@ -43,6 +87,31 @@ export const createChildPath = (
   nodeType?: string | symbol | React.ComponentType,
   siblings?: VNode[],
 ): string => {
-  // 여기를 구현하세요.
-  return "";
+  if (key !== null && key !== undefined) {
+    return `${parentPath}.k${encodeKey(String(key))}`;
+  }
+
+  if (!siblings) {
+    return `${parentPath}.i${index}`;
+  }
+
+  // key가 없는 자식은 앞쪽 형제 중 같은 타입 토큰을 가진 자식의 개수로 위치를 식별합니다.
+  const token = getTypeToken(nodeType);
+  let sameTypeIndex = 0;
+  for (let i = 0; i < index; i++) {
+    const sibling = siblings[i];
+    if (sibling && (sibling.key === null || sibling.key === undefined) && getTypeToken(sibling.type) === token) {
+      sameTypeIndex++;
+    }
+  }
+
+  return `${parentPath}.${token}_${sameTypeIndex}`;
+};
+
+/**
+ * 경로의 부모 경로를 반환합니다. 루트이면 null을 반환합니다.
+ */
+export const getParentPath = (path: string): string | null => {
+  const index = path.lastIndexOf(".");
+  return index === -1 ? null : path.slice(0, index);
 };
@@ -0,0 +1,342 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { context } from "./context";
+import { Lanes, NodeTypes } from "./constants";
+import { runWithUpdateLane } from "./lanes";
+import { Instance } from "./types";
+import { isControlled, restoreControlledState } from "./controlled";
+import { flushSync } from "./render";
+
+/**
+ * 스크롤 성능을 위해 passive 옵션으로 등록하는 이벤트입니다.
+ * 이 이벤트의 핸들러에서는 `preventDefault`가 무시됩니다.
+ */
+const PASSIVE_EVENTS = new Set(["touchstart", "touchmove", "wheel", "scroll"]);
+
+/**
+ * 연달아 발생하는 이벤트입니다.
+ * 이 이벤트의 핸들러에서 발생한 업데이트는 나누어 렌더링하여 렌더링하는 동안에도 다음 이벤트를 처리할 수 있게 하고,
+ * 그 밖의 이벤트(클릭, 입력 등)의 업데이트는 바로 렌더링합니다.
+ */
+const CONTINUOUS_EVENTS = new Set([
+  "drag",
+  "dragover",
+  "mousemove",
+  "mouseover",
+  "mouseout",
+  "mouseenter",
+  "mouseleave",
+  "pointermove",
+  "pointerover",
+  "pointerout",
+  "pointerenter",
+  "pointerleave",
+  "scroll",
+  "touchmove",
+  "wheel",
+]);
+
+interface EventProp {
+  type: string;
+  capture: boolean;
+}
+
+interface HostEntry {
+  instance: Instance;
+  root: HTMLElement;
+}
+
+/**
+ * 루트 하나가 위임받은 이벤트의 등록 정보입니다.
+ * 이벤트는 루트 컨테이너와 포탈 컨테이너에서 수신하며, 포탈 컨테이너는 여러 포탈이 공유할 수 있으므로 참조 수를 셉니다.
+ */
+interface DelegationRoot {
+  types: Set<string>;
+  containers: Map<HTMLElement, number>;
+  listeners: Map<HTMLElement, Array<() => void>>;
+}
+
+/**
+ * prop 이름을 소문자로 바꾼 것과 네이티브 이벤트 타입이 다른 이벤트입니다.
+ * focus와 blur는 버블링하지 않으므로, 상위 요소의 핸들러도 실행되도록 버블링하는 focusin과 focusout에 연결합니다.
+ */
+const NATIVE_EVENT_TYPES: Record<string, string> = {
+  DoubleClick: "dblclick",
+  Focus: "focusin",
+  Blur: "focusout",
+};
+
+const isEventProp = (key: string) => key.startsWith("on") && key.length > 2 && key[2] === key[2].toUpperCase();
+
+const eventProps = new Map<string, EventProp | null>();
+
+/**
+ * `on*` prop 이름을 이벤트 타입과 단계로 변환합니다. (예: onClickCapture → { type: "click", capture: true })
+ * `onGotPointerCapture`처럼 이름 자체가 Capture로 끝나는 이벤트는 버블 단계로 취급합니다.
+ * `onDoubleClick`(dblclick)처럼 네이티브 이벤트의 이름이 다른 이벤트는 `NATIVE_EVENT_TYPES`를 따릅니다.
+ */
+export const parseEventProp = (key: string): EventProp | null => {
+  let parsed = eventProps.get(key);
+  if (parsed === undefined) {
+    const name = key.slice(2);
+    const capture = name.endsWith("Capture") && !name.slice(0, -7).endsWith("Pointer");
+    const eventName = capture ? name.slice(0, -7) : name;
+    parsed = isEventProp(key) ? { type: NATIVE_EVENT_TYPES[eventName] ?? eventName.toLowerCase(), capture } : null;
+    eventProps.set(key, parsed);
+  }
+  return parsed;
+};
+
+const hostInstances = new WeakMap<Node, HostEntry>();
+const delegationRoots = new WeakMap<HTMLElement, DelegationRoot>();
+
+/**
+ * DOM 요소와 호스트 인스턴스를 연결합니다.
+ * 이벤트가 발생하면 이 연결을 통해 대상 요소의 인스턴스를 찾고, 인스턴스 트리를 거슬러 올라가며 핸들러를 실행합니다.
+ */
+export const attachHostInstance = (dom: HTMLElement, instance: Instance): void => {
+  const root = context.root.container;
+  if (root) hostInstances.set(dom, { instance, root });
+};
+
+/**
+ * 이벤트 대상에서 루트까지 이어지는 호스트 인스턴스 목록을 대상부터 순서대로 반환합니다.
+ * DOM이 아닌 인스턴스 트리를 따라가므로 포탈 안에서 발생한 이벤트도 트리상의 부모에게 전파됩니다.
+ */
+const getDispatchPath = (root: HTMLElement, target: EventTarget | null): Instance[] => {
+  let node = target as Node | null;
+  let entry: HostEntry | undefined;
+  while (node && !(entry = hostInstances.get(node))) {
+    node = node.parentNode;
+  }
+  if (!entry || entry.root !== root) return [];
+
+  const path: Instance[] = [];
+  for (let instance: Instance | null = entry.instance; instance; instance = instance.parent) {
+    if (instance.kind === NodeTypes.HOST) path.push(instance);
+  }
+  return path;
+};
+
+/**
+ * 입력할 때마다 값이 바뀌는 텍스트 입력 요소인지 확인합니다.
+ */
+const isTextInput = (target: EventTarget | null): boolean => {
+  if (target instanceof HTMLTextAreaElement) return true;
+  return target instanceof HTMLInputElement && !["checkbox", "radio", "file"].includes(target.type);
+};
+
+/**
+ * 텍스트 입력 요소에서 input 이벤트로 onChange를 실행했을 때의 값입니다.
+ */
+const changedValues = new WeakMap<EventTarget, string>();
+const handlerTypes = new WeakMap<Event, string[]>();
+
+/**
+ * 네이티브 이벤트가 실행할 핸들러의 이벤트 타입을 반환합니다.
+ * 텍스트 입력 요소의 `onChange`는 포커스를 잃을 때가 아니라 입력할 때마다 실행하므로 input 이벤트에 연결하고,
+ * 뒤이어 발생하는 네이티브 change 이벤트는 그 사이 값이 바뀌지 않았다면 같은 핸들러를 다시 실행하지 않습니다.
+ * 캡처와 버블 단계에서 같은 결과를 쓰도록 이벤트마다 한 번만 계산합니다.
+ */
+const getHandlerTypes = (event: Event): string[] => {
+  let types = handlerTypes.get(event);
+  if (types) return types;
+
+  const target = event.target as HTMLInputElement | null;
+  types = [event.type];
+  if (target && isTextInput(target) && event.type === "input") {
+    changedValues.set(target, target.value);
+    types = ["input", "change"];
+  } else if (target && isTextInput(target) && event.type === "change") {
+    const changed = changedValues.get(target) !== target.value;
+    changedValues.delete(target);
+    types = changed ? ["change"] : [];
+  }
+  handlerTypes.set(event, types);
+  return types;
+};
+
+const findHandler = (props: Record<string, any>, type: string, capture: boolean) => {
+  const key = Object.keys(props).find((name) => {
+    const parsed = parseEventProp(name);
+    return parsed !== null && parsed.type === type && parsed.capture === capture;
+  });
+  return key && typeof props[key] === "function" ? props[key] : null;
+};
+
+/**
+ * 인스턴스 목록의 핸들러를 순서대로 실행합니다.
+ * 핸들러가 `stopPropagation`을 호출하면 네이티브 이벤트의 `cancelBubble`이 설정되므로 이후 핸들러는 실행하지 않습니다.
+ */
+const runHandlers = (event: Event, instances: Instance[], capture: boolean): void => {
+  const types = getHandlerTypes(event);
+  for (const instance of instances) {
+    for (const type of types) {
+      if (event.cancelBubble) return;
+      const handler = findHandler(instance.node.props, type, capture);
+      if (!handler) continue;
+
+      Object.defineProperty(event, "currentTarget", { configurable: true, get: () => instance.dom });
+      try {
+        handler.call(instance.dom, event);
+      } finally {
+        delete (event as any).currentTarget;
+      }
+    }
+  }
+};
+
+/**
+ * 사용자의 입력으로 값이 바뀔 수 있는 이벤트입니다. 이 이벤트가 끝나면 controlled 요소의 값을 props에 맞춥니다.
+ */
+const CONTROLLED_EVENTS = ["input", "change", "click"];
+
+/**
+ * 이벤트 대상이 controlled 요소라면 핸들러가 발생시킨 업데이트를 바로 렌더링한 뒤 값을 props에 맞춥니다.
+ * 핸들러가 상태를 바꾸지 않았다면 사용자의 입력이 되돌아가고, 바꿨다면 새 props가 그대로 유지됩니다.
+ * 라디오 버튼을 선택하면 같은 그룹의 다른 버튼이 해제되므로 그 버튼들도 함께 맞춥니다.
+ */
+const restoreControlledTarget = (root: HTMLElement, target: EventTarget | null): void => {
+  if (!(target instanceof HTMLElement)) return;
+  const props = hostInstances.get(target)?.instance.node.props;
+  if (!props || !isControlled(target, props)) return;
+  flushSync();
+
+  const targets: HTMLElement[] = [target];
+  if (target instanceof HTMLInputElement && target.type === "radio" && target.name) {
+    targets.push(...root.querySelectorAll<HTMLElement>(`input[type="radio"][name="${CSS.escape(target.name)}"]`));
+  }
+  targets.forEach((dom) => {
+    const entry = hostInstances.get(dom);
+    if (entry?.root === root && isControlled(dom, entry.instance.node.props)) {
+      restoreControlledState(dom, entry.instance.node.props);
+    }
+  });
+};
+
+const dispatchedEvents = { capture: new WeakSet<Event>(), bubble: new WeakSet<Event>() };
+
+/**
+ * 컨테이너에서 수신한 네이티브 이벤트를 `on*` prop 핸들러에게 전달합니다.
+ *
+ * 캡처 리스너는 루트에서 대상 방향으로 `on*Capture` 핸들러를 실행하고, 버블 리스너는 대상에서 루트 방향으로 `on*` 핸들러를 실행합니다.
+ * 버블링하지 않는 이벤트(mouseenter, load 등)는 버블 리스너에 도달하지 않으므로 캡처 단계가 끝난 뒤 대상의 핸들러만 실행합니다.
+ * 핸들러에서 발생한 업데이트는 이벤트의 종류에 따라 우선순위가 정해집니다.
+ */
+const dispatchEvent = (root: HTMLElement, event: Event, capture: boolean): void => {
+  // 포탈 컨테이너가 루트 안에 있으면 같은 이벤트를 두 컨테이너에서 받으므로 한 번만 처리합니다.
+  const dispatched = capture ? dispatchedEvents.capture : dispatchedEvents.bubble;
+  if (dispatched.has(event)) return;
+
+  const path = getDispatchPath(root, event.target);
+  if (path.length === 0) return;
+  dispatched.add(event);
+
+  const lane = CONTINUOUS_EVENTS.has(event.type) ? Lanes.CONTINUOUS : Lanes.SYNC;
+  runWithUpdateLane(lane, () => {
+    if (!capture) {
+      runHandlers(event, path, false);
+      return;
+    }
+
+    runHandlers(event, [...path].reverse(), true);
+    if (!event.bubbles && path[0].dom === event.target) {
+      runHandlers(event, [path[0]], false);
+    }
+  });
+  if (!capture && CONTROLLED_EVENTS.includes(event.type)) restoreControlledTarget(root, event.target);
+};
+
+const getDelegationRoot = (root: HTMLElement): DelegationRoot => {
+  let delegation = delegationRoots.get(root);
+  if (!delegation) {
+    delegation = { types: new Set(), containers: new Map([[root, 1]]), listeners: new Map() };
+    delegationRoots.set(root, delegation);
+  }
+  return delegation;
+};
+
+const listen = (root: HTMLElement, delegation: DelegationRoot, container: HTMLElement, type: string): void => {
+  const passive = PASSIVE_EVENTS.has(type);
+  const onCapture = (event: Event) => dispatchEvent(root, event, true);
+  const onBubble = (event: Event) => dispatchEvent(root, event, false);
+
+  container.addEventListener(type, onCapture, { capture: true, passive });
+  container.addEventListener(type, onBubble, { passive });
+
+  const removers = delegation.listeners.get(container) ?? [];
+  removers.push(() => {
+    container.removeEventListener(type, onCapture, { capture: true });
+    container.removeEventListener(type, onBubble);
+  });
+  delegation.listeners.set(container, removers);
+};
+
+const unlistenAll = (delegation: DelegationRoot, container: HTMLElement): void => {
+  delegation.listeners.get(container)?.forEach((remove) => remove());
+  delegation.listeners.delete(container);
+};
+
+/**
+ * 현재 루트에 이벤트 타입의 위임 리스너를 등록합니다.
+ * 타입마다 컨테이너당 한 번만 등록되므로 요소의 수나 리렌더링 횟수와 관계없이 리스너 수가 일정합니다.
+ */
+export const listenToEvent = (type: string): void => {
+  const root = context.root.container;
+  if (!root) return;
+
+  const delegation = getDelegationRoot(root);
+  if (delegation.types.has(type)) return;
+
+  delegation.types.add(type);
+  delegation.containers.forEach((_, container) => listen(root, delegation, container, type));
+  // 텍스트 입력 요소의 onChange는 input 이벤트에서 실행합니다.
+  if (type === "change") listenToEvent("input");
+};
+
+/**
+ * controlled 요소의 값을 되돌릴 수 있도록 값을 바꾸는 이벤트를 수신합니다.
+ */
+export const listenToControlledEvents = (): void => CONTROLLED_EVENTS.forEach(listenToEvent);
+
+/**
+ * 포탈 컨테이너에서도 현재 루트의 이벤트를 수신하도록 등록합니다.
+ */
+export const listenToPortalContainer = (container: HTMLElement): void => {
+  const root = context.root.container;
+  if (!root) return;
+
+  const delegation = getDelegationRoot(root);
+  const count = delegation.containers.get(container) ?? 0;
+  delegation.containers.set(container, count + 1);
+  if (count === 0) {
+    delegation.types.forEach((type) => listen(root, delegation, container, type));
+  }
+};
+
+/**
+ * 포탈이 언마운트되면 컨테이너의 참조 수를 줄이고, 더 이상 사용하지 않으면 리스너를 제거합니다.
+ */
+export const unlistenToPortalContainer = (container: HTMLElement): void => {
+  const root = context.root.container;
+  const delegation = root ? delegationRoots.get(root) : undefined;
+  if (!delegation) return;
+
+  const count = (delegation.containers.get(container) ?? 0) - 1;
+  if (count > 0) {
+    delegation.containers.set(container, count);
+    return;
+  }
+  delegation.containers.delete(container);
+  unlistenAll(delegation, container);
+};
+
+/**
+ * 루트에 등록된 모든 위임 리스너를 제거합니다.
+ */
+export const releaseEvents = (root: HTMLElement): void => {
+  const delegation = delegationRoots.get(root);
+  if (!delegation) return;
+
+  delegation.listeners.forEach((_, container) => unlistenAll(delegation, container));
+  delegationRoots.delete(root);
+};
@@ -1,42 +1,403 @@
-import { shallowEquals, withEnqueue } from "../utils";
+import { shallowEquals } from "../utils";
 import { context } from "./context";
-import { EffectHook } from "./types";
+import { EffectHook, EffectQueue, HookUpdate, ReducerHook } from "./types";
 import { enqueueRender } from "./render";
-import { HookTypes } from "./constants";
+import { HookTypes, Lane, Lanes } from "./constants";
+import { isSubsetOfLanes, requestUpdateLane } from "./lanes";
+import { captureEffectError } from "./boundary";
+import { isHydrating } from "./hydration";
+
+const isEffectHook = (hook: unknown): hook is EffectHook =>
+  typeof hook === "object" &&
+  hook !== null &&
+  ((hook as EffectHook).kind === HookTypes.EFFECT || (hook as EffectHook).kind === HookTypes.LAYOUT_EFFECT);
+
+const isReducerHook = (hook: unknown): hook is ReducerHook =>
+  typeof hook === "object" && hook !== null && (hook as ReducerHook).kind === HookTypes.REDUCER;
+
+/**
+ * 훅 목록에 남아 있는 이펙트 클린업 함수를 실행합니다.
+ */
+export const runHookCleanups = (hooks: unknown[] | undefined): void => {
+  hooks?.forEach((hook) => {
+    if (isEffectHook(hook) && hook.cleanup) {
+      const cleanup = hook.cleanup;
+      hook.cleanup = null;
+      cleanup();
+    }
+  });
+};
+
+/**
+ * 주어진 경로의 훅 상태를 떼어 내 반환합니다. 클린업 함수는 실행하지 않습니다.
+ * 언마운트를 렌더링 단계에 예약할 때, 같은 경로에 새로 마운트되는 컴포넌트가 이전 상태를 이어받지 않게 합니다.
+ */
+export const detachHooks = (path: string): unknown[] | undefined => {
+  preserveHooks(path);
+  const hooks = context.hooks.state.get(path);
+  context.hooks.state.delete(path);
+  context.hooks.cursor.delete(path);
+  return hooks;
+};
+
+/**
+ * 주어진 경로의 훅 상태를 제거하고, 남아 있는 이펙트 클린업 함수를 실행합니다.
+ */
+export const cleanupHooks = (path: string): void => {
+  runHookCleanups(detachHooks(path));
+};
+
+/**
+ * 진행 중인 렌더링이 주어진 경로의 훅 목록을 처음 바꾸기 전에, 작업을 시작하기 전의 훅 목록을 복사해 둡니다.
+ * 렌더링이 다시 실행하거나 떼어 내는 컴포넌트만 복사하므로, 비용은 루트 전체가 아닌 이번 렌더링이 건드린 컴포넌트의 수에 비례합니다.
+ */
+export const preserveHooks = (path: string): void => {
+  const { work } = context.root;
+  if (!work || work.hooks.has(path)) return;
+  const hooks = context.hooks.state.get(path);
+  work.hooks.set(path, hooks && [...hooks]);
+};
+
+/**
+ * 버려진 렌더링이 바꾼 훅 목록을 `preserveHooks`로 복사해 둔 상태로 되돌립니다.
+ * 버려진 렌더링에서 처음 마운트되던 컴포넌트는 이펙트를 실행한 적이 없으므로 클린업 없이 제거합니다.
+ */
+export const restoreHooks = (preserved: Map<string, unknown[] | undefined>): void => {
+  preserved.forEach((hooks, path) => {
+    if (hooks) {
+      context.hooks.state.set(path, hooks);
+      return;
+    }
+    context.hooks.state.delete(path);
+    context.hooks.cursor.delete(path);
+  });
+};
+
+/**
+ * 주어진 경로 아래에 있는 컴포넌트들의 훅 목록을 복사해 둡니다.
+ * 렌더링을 되돌려야 할 때 `restoreDescendantHooks`로 이 시점의 상태를 복원합니다.
+ */
+export const snapshotDescendantHooks = (path: string): Map<string, unknown[]> => {
+  const prefix = `${path}.`;
+  const snapshot = new Map<string, unknown[]>();
+  context.hooks.state.forEach((hooks, childPath) => {
+    if (childPath.startsWith(prefix)) snapshot.set(childPath, [...hooks]);
+  });
+  return snapshot;
+};
+
+/**
+ * 주어진 경로 아래의 훅 상태를 `snapshotDescendantHooks`로 복사해 둔 시점으로 되돌립니다.
+ * 그 뒤에 새로 생긴 컴포넌트의 훅은 정리합니다.
+ */
+export const restoreDescendantHooks = (path: string, snapshot: Map<string, unknown[]>): void => {
+  const prefix = `${path}.`;
+  [...context.hooks.state.keys()].forEach((childPath) => {
+    if (childPath.startsWith(prefix) && !snapshot.has(childPath)) {
+      cleanupHooks(childPath);
+    }
+  });
+  snapshot.forEach((hooks, childPath) => context.hooks.state.set(childPath, hooks));
+};
+
+/**
+ * 루트에 남아 있는 모든 훅 상태를 제거하고 이펙트 클린업 함수를 실행합니다.
+ */
+export const cleanupAllHooks = () => {
+  [...context.hooks.state.keys()].forEach(cleanupHooks);
+};
+
+/**
+ * 큐에 쌓인 이펙트를 등록 순서대로 실행합니다.
+ * 다시 실행할 이펙트의 이전 클린업 함수를 모든 컴포넌트에서 먼저 호출한 뒤, 새 이펙트를 실행합니다.
+ * 이펙트에서 던져진 에러는 가장 가까운 상위 ErrorBoundary로 전달합니다.
+ */
+const runEffectQueue = (queue: EffectQueue): void => {
+  while (queue.length > 0) {
+    const entries = queue.splice(0).flatMap(({ path, cursor }) => {
+      const hook = context.hooks.state.get(path)?.[cursor];
+      return isEffectHook(hook) ? [{ path, hook }] : [];
+    });
+
+    entries.forEach(({ hook }) => {
+      if (!hook.cleanup) return;
+      const cleanup = hook.cleanup;
+      hook.cleanup = null;
+      cleanup();
+    });
+
+    entries.forEach(({ path, hook }) => {
+      try {
+        const cleanup = hook.effect();
+        hook.cleanup = typeof cleanup === "function" ? cleanup : null;
+      } catch (error) {
+        if (!captureEffectError(path, error)) throw error;
+      }
+    });
+  }
+};
+
+/**
+ * 렌더링 중 예약된 이펙트를 실행합니다.
+ * 렌더링이 끝난 뒤 마이크로태스크로 비동기 실행됩니다.
+ */
+export const flushEffects = (): void => {
+  runEffectQueue(context.effects.queue);
+};
 
 /**
- * 사용되지 않는 컴포넌트의 훅 상태와 이펙트 클린업 함수를 정리합니다.
+ * 렌더링 중 예약된 레이아웃 이펙트를 실행합니다.
+ * DOM 변경이 끝난 직후, 브라우저가 화면을 그리기 전에 동기적으로 실행됩니다.
  */
-export const cleanupUnusedHooks = () => {
-  // 여기를 구현하세요.
+export const flushLayoutEffects = (): void => {
+  runEffectQueue(context.effects.layoutQueue);
 };
 
+/**
+ * 대기 중인 업데이트 중 이번 렌더링의 우선순위에 속한 것만 적용해 렌더링할 상태를 계산합니다.
+ * 건너뛴 업데이트는 그 우선순위를 렌더링할 때 적용하며, 적용 순서가 바뀌지 않도록 건너뛴 업데이트 뒤의 업데이트도 함께 남겨 둡니다.
+ * 처리한 업데이트는 렌더링이 커밋될 때 큐에서 제거하므로, 렌더링이 버려지면 다음 렌더링에서 다시 처리합니다.
+ */
+const processUpdateQueue = <S, A>(hook: ReducerHook<S, A>): S => {
+  const { queue } = hook;
+  if (queue.length === 0) return hook.state;
+
+  const renderLanes = context.root.work?.lanes;
+  let state = hook.baseState;
+  let baseState = hook.baseState;
+  const remaining: HookUpdate<A>[] = [];
+
+  queue.forEach((update) => {
+    if (renderLanes !== undefined && !isSubsetOfLanes(renderLanes, update.lane)) {
+      if (remaining.length === 0) baseState = state;
+      remaining.push(update);
+      return;
+    }
+    // 앞에서 건너뛴 업데이트를 다시 적용할 때는 이 업데이트도 우선순위와 관계없이 다시 적용합니다.
+    if (remaining.length > 0) remaining.push({ action: update.action, lane: Lanes.NONE });
+    state = hook.reducer(state, update.action);
+  });
+  if (remaining.length === 0) baseState = state;
+
+  // 렌더링하는 동안 들어온 업데이트는 다음 렌더링에서 처리하도록 큐에 남겨 둡니다.
+  const processed = queue.length;
+  context.effects.mutationQueue.push(() => {
+    hook.state = state;
+    hook.baseState = baseState;
+    hook.queue = [...remaining, ...queue.slice(processed)];
+  });
+  return state;
+};
+
+/**
+ * 리듀서로 컴포넌트의 상태를 관리하기 위한 훅입니다.
+ * @param reducer - 현재 상태와 액션을 받아 다음 상태를 반환하는 함수
+ * @param initialArg - 초기 상태 값. `init`이 주어지면 `init`의 인자로 전달됩니다.
+ * @param init - 초기 상태를 지연 계산하는 함수 (선택)
+ * @returns [현재 상태, 리렌더링 사이에도 참조가 유지되는 dispatch 함수]
+ */
+export function useReducer<S, A>(reducer: (state: S, action: A) => S, initialArg: S): [S, (action: A) => void];
+export function useReducer<S, A, I>(
+  reducer: (state: S, action: A) => S,
+  initialArg: I,
+  init: (initialArg: I) => S,
+): [S, (action: A) => void];
+export function useReducer<S, A, I>(
+  reducer: (state: S, action: A) => S,
+  initialArg: S | I,
+  init?: (initialArg: I) => S,
+): [S, (action: A) => void] {
+  const owner = context;
+  const path = owner.hooks.currentPath;
+  const cursor = owner.hooks.currentCursor;
+  const hooks = owner.hooks.currentHooks;
+  const prevHook = hooks[cursor];
+
+  let hook: ReducerHook<S, A>;
+  if (isReducerHook(prevHook)) {
+    hook = prevHook;
+  } else {
+    const initialState = init ? init(initialArg as I) : (initialArg as S);
+    hook = {
+      kind: HookTypes.REDUCER,
+      state: initialState,
+      baseState: initialState,
+      queue: [],
+      reducer,
+      dispatch: (action: A) => {
+        // 언마운트되었거나 다른 훅으로 교체된 경우의 업데이트는 무시합니다.
+        if (owner.hooks.state.get(path)?.[cursor] !== hook) return;
+        // 대기 중인 업데이트가 없는데 리듀서가 같은 상태를 반환하면 렌더링을 예약하지 않습니다.
+        // 리듀서가 에러를 던지면 렌더링에서 다시 실행해 가장 가까운 ErrorBoundary가 에러를 처리하게 합니다.
+        if (hook.queue.length === 0) {
+          try {
+            if (Object.is(hook.reducer(hook.state, action), hook.state)) return;
+          } catch {
+            // 아래에서 업데이트를 큐에 넣고 렌더링을 예약합니다.
+          }
+        }
+
+        // 업데이트는 발생한 우선순위와 함께 큐에 쌓아 두고, 그 우선순위를 렌더링할 때 적용합니다.
+        const lane = requestUpdateLane();
+        hook.queue.push({ action, lane });
+        enqueueRender(owner, path, lane);
+      },
+    };
+    hooks[cursor] = hook;
+  }
+
+  // dispatch와 렌더링이 항상 최신 렌더링의 리듀서를 사용하도록 갱신합니다.
+  hook.reducer = reducer;
+
+  owner.hooks.cursor.set(path, cursor + 1);
+  return [processUpdateQueue(hook), hook.dispatch];
+}
+
+const basicStateReducer = <T>(state: T, action: T | ((prev: T) => T)): T =>
+  typeof action === "function" ? (action as (prev: T) => T)(state) : action;
+
+const resolveInitialState = <T>(initialValue: T | (() => T)): T =>
+  typeof initialValue === "function" ? (initialValue as () => T)() : initialValue;
+
 /**
  * 컴포넌트의 상태를 관리하기 위한 훅입니다.
+ * 값 또는 업데이트 함수를 액션으로 받는 리듀서를 사용하는 `useReducer`의 특수한 형태입니다.
  * @param initialValue - 초기 상태 값 또는 초기 상태를 반환하는 함수
  * @returns [현재 상태, 상태를 업데이트하는 함수]
  */
 export const useState = <T>(initialValue: T | (() => T)): [T, (nextValue: T | ((prev: T) => T)) => void] => {
-  // 여기를 구현하세요.
-  // 1. 현재 컴포넌트의 훅 커서와 상태 배열을 가져옵니다.
-  // 2. 첫 렌더링이라면 초기값으로 상태를 설정합니다.
-  // 3. 상태 변경 함수(setter)를 생성합니다.
-  //    - 새 값이 이전 값과 같으면(Object.is) 재렌더링을 건너뜁니다.
-  //    - 값이 다르면 상태를 업데이트하고 재렌더링을 예약(enqueueRender)합니다.
-  // 4. 훅 커서를 증가시키고 [상태, setter]를 반환합니다.
-  const setState = (nextValue: T | ((prev: T) => T)) => {};
-  return [initialValue as T, setState];
+  return useReducer<T, T | ((prev: T) => T), T | (() => T)>(basicStateReducer, initialValue, resolveInitialState);
+};
+
+/**
+ * useEffect와 useLayoutEffect가 공유하는 구현입니다.
+ * 의존성이 바뀌었거나 첫 렌더링이면 해당 종류의 큐에 이펙트를 예약합니다.
+ */
+const useEffectHook = (
+  kind: EffectHook["kind"],
+  queue: EffectQueue,
+  effect: () => (() => void) | void,
+  deps?: unknown[],
+): void => {
+  const path = context.hooks.currentPath;
+  const cursor = context.hooks.currentCursor;
+  const hooks = context.hooks.currentHooks;
+  const prevHook = hooks[cursor];
+
+  const prev = isEffectHook(prevHook) && prevHook.kind === kind ? prevHook : null;
+  const shouldRun = !prev || deps === undefined || prev.deps === null || !shallowEquals(prev.deps, deps);
+
+  const hook: EffectHook = {
+    kind,
+    deps: deps ?? null,
+    cleanup: prev?.cleanup ?? null,
+    effect,
+  };
+  hooks[cursor] = hook;
+
+  if (shouldRun && !queue.some((entry) => entry.path === path && entry.cursor === cursor)) {
+    queue.push({ path, cursor });
+  }
+
+  context.hooks.cursor.set(path, cursor + 1);
 };
 
 /**
  * 컴포넌트의 사이드 이펙트를 처리하기 위한 훅입니다.
+ * 커밋이 끝난 뒤 마이크로태스크로 실행되며, 이펙트 안에서 발생한 업데이트는 모두 모아 다음 렌더링에서 한 번에 반영합니다.
  * @param effect - 실행할 이펙트 함수. 클린업 함수를 반환할 수 있습니다.
  * @param deps - 의존성 배열. 이 값들이 변경될 때만 이펙트가 다시 실행됩니다.
  */
 export const useEffect = (effect: () => (() => void) | void, deps?: unknown[]): void => {
-  // 여기를 구현하세요.
-  // 1. 이전 훅의 의존성 배열과 현재 의존성 배열을 비교(shallowEquals)합니다.
-  // 2. 의존성이 변경되었거나 첫 렌더링일 경우, 이펙트 실행을 예약합니다.
-  // 3. 이펙트 실행 전, 이전 클린업 함수가 있다면 먼저 실행합니다.
-  // 4. 예약된 이펙트는 렌더링이 끝난 후 비동기로 실행됩니다.
+  useEffectHook(HookTypes.EFFECT, context.effects.queue, effect, deps);
+};
+
+/**
+ * DOM 변경 직후, 브라우저가 화면을 그리기 전에 동기적으로 실행되는 이펙트 훅입니다.
+ * 레이아웃 측정이나 스크롤 복원처럼 깜빡임 없이 DOM을 읽고 써야 할 때 사용합니다.
+ * 클린업 순서는 useEffect와 같습니다.
+ * 이펙트 안에서 발생한 업데이트는 useEffect가 실행되기 전, 브라우저가 화면을 그리기 전에 동기적으로 렌더링합니다.
+ * @param effect - 실행할 이펙트 함수. 클린업 함수를 반환할 수 있습니다.
+ * @param deps - 의존성 배열. 이 값들이 변경될 때만 이펙트가 다시 실행됩니다.
+ */
+export const useLayoutEffect = (effect: () => (() => void) | void, deps?: unknown[]): void => {
+  useEffectHook(HookTypes.LAYOUT_EFFECT, context.effects.layoutQueue, effect, deps);
+};
+
+/**
+ * 외부 스토어를 구독하고 현재 값을 읽는 훅입니다.
+ *
+ * 컴포넌트마다 스토어를 구독하고 언마운트될 때 구독을 해제합니다. 스토어가 바뀌면 `getSnapshot`의 결과를 `Object.is`로 비교해
+ * 바뀐 경우에만 이 컴포넌트를 가장 높은 우선순위로 다시 렌더링합니다.
+ * 단, `startTransition` 안에서 바뀐 스토어는 전환으로 다시 렌더링하며, 전환이 커밋되기 전의 급한 렌더링에서는 이전에 커밋한 값을 보여 줍니다.
+ * 나누어 렌더링하는 사이에 스토어가 바뀌면 커밋하기 전에 이를 감지하고 한 번에 다시 렌더링하므로,
+ * 한 번의 렌더링에서 컴포넌트들이 서로 다른 시점의 값을 보여 주지 않습니다.
+ * `getSnapshot`은 스토어가 바뀌지 않았다면 같은 값을 반환해야 합니다.
+ *
+ * @param subscribe - 스토어가 바뀔 때 호출할 콜백을 등록하고, 구독 해제 함수를 반환하는 함수
+ * @param getSnapshot - 스토어의 현재 값을 반환하는 함수
+ * @param getServerSnapshot - 서버 렌더링과 하이드레이션에서 사용할 값을 반환하는 함수
+ * @returns 스토어의 현재 값
+ */
+export const useSyncExternalStore = <T>(
+  subscribe: (onStoreChange: () => void) => () => void,
+  getSnapshot: () => T,
+  getServerSnapshot?: () => T,
+): T => {
+  const owner = context;
+  const path = owner.hooks.currentPath;
+
+  // 서버 렌더링과 하이드레이션에서는 서버 마크업과 같은 값을 렌더링하고, 하이드레이션이 끝난 뒤 클라이언트의 값으로 다시 렌더링합니다.
+  const isServer = !owner.root.container;
+  if (isServer && !getServerSnapshot) {
+    throw new Error("서버 렌더링에서 useSyncExternalStore를 사용하려면 getServerSnapshot을 전달해야 합니다.");
+  }
+  const readSnapshot = (isServer || isHydrating()) && getServerSnapshot ? getServerSnapshot : getSnapshot;
+
+  const [store] = useState(() => ({ value: readSnapshot(), getSnapshot, hasPendingTransition: false }));
+  // 전환으로 바뀐 값은 전환 렌더링에서만 읽고, 그 전의 급한 렌더링에서는 마지막으로 커밋한 값을 그대로 사용합니다.
+  const isHeld = store.hasPendingTransition && !isSubsetOfLanes(owner.root.work?.lanes ?? Lanes.NONE, Lanes.TRANSITION);
+  const value = isHeld ? store.value : readSnapshot();
+  if (!isHeld) owner.root.work?.storeReads.push({ path, getSnapshot, value });
+
+  const checkForUpdate = (lane: Lane) => {
+    if (Object.is(store.value, store.getSnapshot())) return;
+    store.hasPendingTransition = lane === Lanes.TRANSITION;
+    enqueueRender(owner, path, lane);
+  };
+
+  // 렌더링한 뒤 커밋되기 전에 스토어가 바뀌었다면 바로 다시 렌더링합니다.
+  // 이전 값을 보여 준 렌더링이라면 전환 렌더링이 이미 예약되어 있으므로 확인하지 않습니다.
+  useLayoutEffect(() => {
+    store.value = value;
+    store.getSnapshot = getSnapshot;
+    if (isHeld) return;
+    store.hasPendingTransition = false;
+    checkForUpdate(Lanes.SYNC);
+  }, [subscribe, value, getSnapshot, isHeld]);
+
+  // 구독하기 전에 스토어가 바뀌었을 수 있으므로 구독할 때도 한 번 확인합니다.
+  useEffect(() => {
+    checkForUpdate(Lanes.SYNC);
+    return subscribe(() => checkForUpdate(requestUpdateLane() === Lanes.TRANSITION ? Lanes.TRANSITION : Lanes.SYNC));
+  }, [subscribe]);
+
+  return value;
+};
+
+/**
+ * 컴포넌트 인스턴스마다 고유한 id를 생성하는 훅입니다.
+ *
+ * id는 컴포넌트의 경로와 훅의 순서로 만들어지므로 다시 렌더링되어도 바뀌지 않고,
+ * 서버 렌더링과 하이드레이션에서도 같은 값이 됩니다.
+ * `label`의 `htmlFor`나 `aria-*` 속성처럼 요소끼리 연결할 때 사용하며, 목록의 key로 사용해서는 안 됩니다.
+ * CSS 선택자로 사용하려면 `CSS.escape`로 감싸야 합니다.
+ *
+ * @returns `:r`로 시작하고 `:`로 끝나는 고유한 id
+ */
+export const useId = (): string => {
+  const { currentPath, currentCursor } = context.hooks;
+  // 경로에 들어가는 key는 이미 인코딩되어 있으므로 공백 없이 id로 사용할 수 있습니다.
+  const [id] = useState(() => `:r${currentPath}-${currentCursor}:`);
+  return id;
 };
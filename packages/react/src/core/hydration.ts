@@ -0,0 +1,219 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { getAttributeEntries } from "./attributes";
+import { setDomProps } from "./dom";
+import { Namespaces } from "./constants";
+
+/**
+ * 하이드레이션 중인 부모 DOM과, 다음에 인스턴스가 차지할 차례인 자식 노드입니다.
+ * null 프레임은 서버 마크업과 연결하지 않고 새로 만드는 하위 트리(불일치로 교체된 요소, 포탈 등)를 나타냅니다.
+ */
+interface HydrationFrame {
+  parent: Node;
+  next: Node | null;
+  /** 태그가 달라 건너뛴 서버 노드입니다. 범위를 빠져나올 때 제거합니다. */
+  skipped: Node[];
+}
+
+export interface HydrationMark {
+  depth: number;
+  next: Node | null;
+  skipped: number;
+}
+
+const frames: (HydrationFrame | null)[] = [];
+let reportError: (error: Error) => void = () => {};
+
+const getCurrentFrame = (): HydrationFrame | null => frames[frames.length - 1] ?? null;
+
+const isWhitespaceText = (node: Node) => node.nodeType === Node.TEXT_NODE && !node.nodeValue?.trim();
+
+const isSignificantNode = (node: Node) => node.nodeType !== Node.COMMENT_NODE && !isWhitespaceText(node);
+
+const describeNode = (node: Node): string =>
+  node.nodeType === Node.ELEMENT_NODE ? `<${(node as Element).tagName.toLowerCase()}>` : JSON.stringify(node.nodeValue);
+
+/**
+ * 다음에 차지할 후보 노드를 찾습니다.
+ * 인접한 텍스트 사이의 `<!-- -->` 표식은 항상 건너뛰고, 요소를 찾을 때는 공백뿐인 텍스트도 건너뜁니다.
+ */
+const findCandidate = (frame: HydrationFrame, skipWhitespace: boolean): Node | null => {
+  let node = frame.next;
+  while (node && (node.nodeType === Node.COMMENT_NODE || (skipWhitespace && isWhitespaceText(node)))) {
+    node = node.nextSibling;
+  }
+  return node;
+};
+
+const createFrame = (parent: Node): HydrationFrame => ({ parent, next: parent.firstChild, skipped: [] });
+
+/**
+ * 서버가 만든 노드 중 아무 인스턴스도 차지하지 않은 나머지를 제거합니다.
+ */
+const removeUnclaimed = (frame: HydrationFrame): void => {
+  frame.skipped.forEach((node) => frame.parent.removeChild(node));
+  frame.skipped = [];
+
+  let node = frame.next;
+  while (node) {
+    const next: Node | null = node.nextSibling;
+    if (isSignificantNode(node)) {
+      reportError(
+        new Error(`하이드레이션 불일치: 서버에서 렌더링된 ${describeNode(node)} 노드가 클라이언트에 없습니다.`),
+      );
+    }
+    frame.parent.removeChild(node);
+    node = next;
+  }
+  frame.next = null;
+};
+
+/**
+ * 컨테이너에 있는 서버 마크업을 차지하며 렌더링하도록 하이드레이션을 시작합니다.
+ *
+ * @param container - 서버에서 렌더링된 마크업이 들어 있는 컨테이너
+ * @param onRecoverableError - 불일치를 발견하고 클라이언트 값으로 복구했을 때 호출할 함수
+ */
+export const startHydration = (container: HTMLElement, onRecoverableError: (error: Error) => void): void => {
+  frames.length = 0;
+  frames.push(createFrame(container));
+  reportError = onRecoverableError;
+};
+
+/**
+ * 루트의 재조정이 끝난 뒤 남은 서버 노드를 제거하고 하이드레이션을 마칩니다.
+ * 하이드레이션 중이 아니라면 아무 일도 하지 않습니다.
+ */
+export const finishHydration = (): void => {
+  const root = frames[0];
+  if (root) removeUnclaimed(root);
+  frames.length = 0;
+  reportError = () => {};
+};
+
+/**
+ * 지금 마운트하는 노드가 서버 마크업을 차지해야 하는지 확인합니다.
+ */
+export const isHydrating = (): boolean => getCurrentFrame() !== null;
+
+/**
+ * 텍스트 노드 하나를 차지합니다. 내용이 다르면 클라이언트 값으로 고칩니다.
+ * 차지할 텍스트 노드가 없으면 null을 반환하며, 호출한 쪽에서 새 노드를 만듭니다.
+ */
+export const claimTextNode = (text: string): Text | null => {
+  const frame = getCurrentFrame();
+  // 빈 문자열은 서버 마크업에 아무것도 남기지 않습니다.
+  if (!frame || text === "") return null;
+
+  const candidate = findCandidate(frame, false);
+  if (!candidate || candidate.nodeType !== Node.TEXT_NODE) {
+    reportError(new Error(`하이드레이션 불일치: 텍스트 ${JSON.stringify(text)}에 해당하는 서버 노드가 없습니다.`));
+    return null;
+  }
+
+  frame.next = candidate.nextSibling;
+  if (candidate.nodeValue !== text) {
+    reportError(
+      new Error(
+        `하이드레이션 불일치: 서버 텍스트 ${JSON.stringify(candidate.nodeValue)}가 클라이언트 텍스트 ${JSON.stringify(text)}와 다릅니다.`,
+      ),
+    );
+    candidate.nodeValue = text;
+  }
+  return candidate as Text;
+};
+
+/**
+ * 주어진 태그의 요소 하나를 차지합니다.
+ * 태그가 다른 요소가 놓여 있다면 그 요소를 건너뛰고 null을 반환하며, 호출한 쪽에서 새 요소를 만듭니다.
+ */
+export const claimElement = (tag: string): HTMLElement | null => {
+  const frame = getCurrentFrame();
+  if (!frame) return null;
+
+  const candidate = findCandidate(frame, true);
+  if (candidate?.nodeType === Node.ELEMENT_NODE && (candidate as Element).tagName.toLowerCase() === tag.toLowerCase()) {
+    frame.next = candidate.nextSibling;
+    return candidate as HTMLElement;
+  }
+
+  reportError(
+    new Error(
+      `하이드레이션 불일치: <${tag}> 요소 자리에 ${candidate ? describeNode(candidate) : "아무 노드도"} 있습니다.`,
+    ),
+  );
+  if (candidate?.nodeType === Node.ELEMENT_NODE) {
+    frame.next = candidate.nextSibling;
+    frame.skipped.push(candidate);
+  }
+  return null;
+};
+
+/**
+ * 차지한 요소의 속성을 props와 비교해 불일치를 보고하고, 이벤트 핸들러와 DOM 프로퍼티를 연결합니다.
+ * 서버에만 있던 속성은 제거하고, 나머지는 클라이언트 props로 덮어써 복구합니다.
+ * `dangerouslySetInnerHTML`의 내용은 브라우저가 다시 직렬화하면 원문과 달라질 수 있으므로 비교하지 않고 서버가 만든 노드를 그대로 사용합니다.
+ */
+export const hydrateDomProps = (dom: HTMLElement, props: Record<string, any>): void => {
+  const namespace = dom.namespaceURI ?? Namespaces.HTML;
+  const expected = new Map(getAttributeEntries(dom.tagName.toLowerCase(), props, namespace));
+  const mismatches: string[] = [];
+
+  Array.from(dom.attributes).forEach(({ name, value }) => {
+    // 서버는 select의 value를 option의 selected 속성으로 표현하며, 클라이언트는 마운트한 뒤 같은 option을 선택합니다.
+    if (name === "selected" && dom.localName === "option" && !("selected" in props)) return;
+    if (!expected.has(name)) {
+      mismatches.push(`${name}: 서버 ${JSON.stringify(value)}, 클라이언트 없음`);
+      dom.removeAttribute(name);
+    } else if (expected.get(name) !== value) {
+      mismatches.push(`${name}: 서버 ${JSON.stringify(value)}, 클라이언트 ${JSON.stringify(expected.get(name))}`);
+    }
+  });
+  expected.forEach((value, name) => {
+    if (!dom.hasAttribute(name)) mismatches.push(`${name}: 서버 없음, 클라이언트 ${JSON.stringify(value)}`);
+  });
+
+  if (mismatches.length > 0) {
+    const tag = dom.tagName.toLowerCase();
+    reportError(new Error(`하이드레이션 불일치: <${tag}> 요소의 속성이 다릅니다.\n  ${mismatches.join("\n  ")}`));
+  }
+  setDomProps(dom, { ...props, dangerouslySetInnerHTML: undefined });
+};
+
+/**
+ * 요소의 자식을 재조정하기 전에 호출합니다.
+ * dom이 주어지면 그 자식 노드를 차지하고, null이면 하위 트리를 새로 만듭니다.
+ * 하이드레이션 중이 아니라면 아무 일도 하지 않습니다.
+ */
+export const enterHydrationScope = (dom: Node | null): void => {
+  if (frames.length === 0) return;
+  frames.push(dom && isHydrating() ? createFrame(dom) : null);
+};
+
+/**
+ * `enterHydrationScope`로 들어간 범위를 빠져나오며 차지하지 않은 서버 노드를 제거합니다.
+ */
+export const exitHydrationScope = (): void => {
+  if (frames.length <= 1) return;
+  const frame = frames.pop();
+  if (frame) removeUnclaimed(frame);
+};
+
+/**
+ * 현재 하이드레이션 위치를 기록합니다. ErrorBoundary가 fallback을 같은 위치부터 다시 하이드레이션할 때 사용합니다.
+ */
+export const markHydration = (): HydrationMark => {
+  const frame = getCurrentFrame();
+  return { depth: frames.length, next: frame?.next ?? null, skipped: frame?.skipped.length ?? 0 };
+};
+
+/**
+ * `markHydration`으로 기록한 위치로 되돌립니다.
+ */
+export const rewindHydration = (mark: HydrationMark): void => {
+  if (frames.length === 0) return;
+  frames.length = mark.depth;
+  const frame = getCurrentFrame();
+  if (!frame) return;
+  frame.next = mark.next;
+  frame.skipped.length = mark.skipped;
+};
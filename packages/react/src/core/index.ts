@@ -1,5 +1,14 @@
 export * from "./types";
 export { Fragment } from "./constants";
 export { createElement } from "./elements";
-export { useState, useEffect } from "./hooks";
-export { setup } from "./setup";
+export { useState, useReducer, useEffect, useLayoutEffect, useSyncExternalStore, useId } from "./hooks";
+export { createContext, useContext } from "./provider";
+export { use } from "./use";
+export { startTransition, useDeferredValue, useTransition } from "./transition";
+export { ErrorBoundary } from "./boundary";
+export { Suspense } from "./suspense";
+export { lazy } from "./lazy";
+export { createPortal } from "./portal";
+export { setRef } from "./refs";
+export { hydrate, setup, unmountRoot, updateRoot } from "./setup";
+export { flushSync, unstable_batchedUpdates } from "./render";
@@ -0,0 +1,52 @@
+import { Lane, Lanes } from "./constants";
+import { RootContext } from "./types";
+
+let currentUpdateLane: Lane = Lanes.NONE;
+
+/**
+ * 지금 발생한 업데이트에 부여할 우선순위를 반환합니다.
+ * 우선순위를 지정한 작업(`runWithUpdateLane`) 밖에서 발생한 업데이트는 DEFAULT로 처리합니다.
+ */
+export const requestUpdateLane = (): Lane => currentUpdateLane || Lanes.DEFAULT;
+
+/**
+ * 작업 안에서 발생하는 업데이트가 주어진 우선순위를 갖도록 실행합니다.
+ */
+export const runWithUpdateLane = <T>(lane: Lane, task: () => T): T => {
+  const prev = currentUpdateLane;
+  currentUpdateLane = lane;
+  try {
+    return task();
+  } finally {
+    currentUpdateLane = prev;
+  }
+};
+
+/**
+ * `lanes`가 `subset`의 우선순위를 모두 포함하는지 확인합니다.
+ */
+export const isSubsetOfLanes = (lanes: Lane, subset: Lane): boolean => (lanes & subset) === subset;
+
+/**
+ * 대기 중인 우선순위 중 다음 렌더링에서 처리할 우선순위를 고릅니다.
+ * 급한 업데이트는 우선순위가 달라도 함께 렌더링하고, 전환 업데이트는 급한 업데이트가 남아 있지 않을 때 따로 렌더링합니다.
+ */
+export const getNextLanes = (lanes: Lane): Lane => lanes & ~Lanes.TRANSITION || lanes;
+
+/**
+ * 여러 우선순위 중 가장 높은 우선순위를 반환합니다.
+ */
+export const getHighestPriorityLane = (lanes: Lane): Lane => lanes & -lanes;
+
+/**
+ * `lanes`에 `base`보다 우선순위가 높은 업데이트가 있는지 확인합니다.
+ */
+export const hasHigherPriority = (lanes: Lane, base: Lane): boolean =>
+  lanes !== Lanes.NONE && (base === Lanes.NONE || getHighestPriorityLane(lanes) < getHighestPriorityLane(base));
+
+/**
+ * 루트에 주어진 경로의 컴포넌트가 주어진 우선순위로 다시 렌더링되어야 한다고 기록합니다.
+ */
+export const markRootDirty = (root: RootContext, path: string, lanes: Lane): void => {
+  root.dirty.set(path, (root.dirty.get(path) ?? Lanes.NONE) | lanes);
+};
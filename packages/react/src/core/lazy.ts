@@ -0,0 +1,45 @@
+import { FunctionComponent } from "./types";
+
+type LazyResult<P extends object> =
+  | { status: "pending"; promise: Promise<void> }
+  | { status: "resolved"; component: FunctionComponent<P> }
+  | { status: "rejected"; error: unknown };
+
+/**
+ * 처음 렌더링될 때 `load`로 불러오는 컴포넌트를 생성합니다.
+ * 불러오는 동안에는 promise를 던져 가장 가까운 Suspense 경계가 fallback을 보여 주게 하고,
+ * 불러오기에 실패하면 에러를 던져 가장 가까운 ErrorBoundary에 전달합니다.
+ *
+ * @param load - `default`로 컴포넌트를 내보내는 모듈을 불러오는 함수 (예: `() => import("./Page")`)
+ * @returns 불러온 컴포넌트를 렌더링하는 컴포넌트
+ */
+export const lazy = <P extends object>(load: () => Promise<{ default: FunctionComponent<P> }>) => {
+  let result: LazyResult<P> | null = null;
+
+  const LazyComponent: FunctionComponent<P> = (props) => {
+    if (!result) {
+      const promise = load().then(
+        (module) => {
+          if (typeof module?.default !== "function") {
+            result = { status: "rejected", error: new Error("lazy로 불러온 모듈에 default 컴포넌트가 없습니다.") };
+            return;
+          }
+          result = { status: "resolved", component: module.default };
+        },
+        (error) => {
+          result = { status: "rejected", error };
+        },
+      );
+      result = { status: "pending", promise };
+    }
+
+    if (result.status === "pending") throw result.promise;
+    if (result.status === "rejected") throw result.error;
+    return result.component(props);
+  };
+
+  // 경로 토큰이 바뀌어 다시 마운트되지 않도록 불러온 뒤에도 이름을 유지합니다.
+  LazyComponent.displayName = "Lazy";
+
+  return LazyComponent;
+};
@@ -0,0 +1,20 @@
+import { Portal } from "./constants";
+import { createElement } from "./elements";
+import { VNode } from "./types";
+
+/**
+ * 자식을 부모 DOM이 아닌 다른 DOM 컨테이너에 렌더링하는 VNode를 생성합니다.
+ * 모달이나 토스트처럼 레이아웃을 벗어나야 하는 UI를 `document.body` 등에 그릴 때 사용합니다.
+ * DOM 위치만 달라질 뿐 훅 상태와 컨텍스트는 트리상의 부모를 그대로 따릅니다.
+ *
+ * @param children - 포탈 안에 렌더링할 자식
+ * @param container - 자식이 배치될 DOM 컨테이너
+ * @param key - 형제 사이에서 포탈을 식별할 key (선택)
+ * @returns 포탈 VNode
+ */
+export const createPortal = (children: unknown, container: HTMLElement, key: string | null = null): VNode => {
+  if (!container) {
+    throw new Error("포탈을 렌더링할 컨테이너가 존재하지 않습니다.");
+  }
+  return createElement(Portal, { key, container }, children);
+};
@@ -0,0 +1,126 @@
+import { context } from "./context";
+import { HookTypes } from "./constants";
+import { getParentPath } from "./elements";
+import { markPathDirty } from "./render";
+import { ContextDependencies, ProviderHook, ProviderProps, ReactContext, VNode } from "./types";
+
+const isProviderHook = (hook: unknown): hook is ProviderHook =>
+  typeof hook === "object" && hook !== null && (hook as ProviderHook).kind === HookTypes.PROVIDER;
+
+/**
+ * 주어진 경로의 조상 중 가장 가까운 Provider가 제공하는 값을 찾습니다.
+ * Provider가 없으면 컨텍스트의 기본값을 반환합니다.
+ */
+const readContext = <T>(target: ReactContext<T>, path: string): T => {
+  for (let current = getParentPath(path); current !== null; current = getParentPath(current)) {
+    const provider = context.hooks.state.get(current)?.find((hook) => isProviderHook(hook) && hook.context === target);
+    if (provider) return (provider as ProviderHook<T>).value;
+  }
+  return target.defaultValue;
+};
+
+/**
+ * Provider 아래에서 주어진 컨텍스트를 읽는 컴포넌트를 모두 다시 렌더링하도록 표시합니다.
+ * 중간의 컴포넌트가 다시 렌더링되지 않더라도 바뀐 값을 읽는 컴포넌트까지는 업데이트가 전달됩니다.
+ */
+const markConsumersDirty = <T>(target: ReactContext<T>, path: string): void => {
+  const prefix = `${path}.`;
+  context.hooks.contextDependencies.forEach((dependencies, childPath) => {
+    if (childPath.startsWith(prefix) && dependencies.has(target as ReactContext<unknown>)) {
+      markPathDirty(childPath);
+    }
+  });
+};
+
+/**
+ * 렌더링 중인 컴포넌트가 컨텍스트 값을 읽었다고 기록합니다.
+ * 기록은 진행 중인 작업에 모아 두었다가 커밋할 때 컴포넌트의 의존성으로 반영하므로, 버려진 렌더링에서 읽은 값은 남지 않습니다.
+ * 커밋 단계가 없는 서버 렌더링에서는 기록하지 않습니다.
+ */
+const recordContextRead = <T>(target: ReactContext<T>, path: string, value: T): void => {
+  const { root, hooks, effects } = context;
+  if (!root.work) return;
+
+  let reads = root.work.contextReads.get(path);
+  if (!reads) {
+    const dependencies: ContextDependencies = new Map();
+    root.work.contextReads.set(path, dependencies);
+    effects.mutationQueue.push(() => hooks.contextDependencies.set(path, dependencies));
+    reads = dependencies;
+  }
+  reads.set(target as ReactContext<unknown>, value);
+};
+
+/**
+ * 컴포넌트를 다시 실행하기 전에 이번 렌더링에서 읽은 컨텍스트 기록을 비웁니다.
+ * 다시 실행한 컴포넌트가 읽은 컨텍스트만 의존성으로 커밋합니다.
+ */
+export const resetContextReads = (path: string): void => {
+  context.root.work?.contextReads.delete(path);
+};
+
+/**
+ * 언마운트된 컴포넌트의 컨텍스트 의존성을 제거합니다.
+ */
+export const releaseContextDependencies = (path: string): void => {
+  context.hooks.contextDependencies.delete(path);
+};
+
+/**
+ * 하위 트리에 값을 전달하는 컨텍스트 객체를 생성합니다.
+ * Provider는 자신의 경로에 값을 훅 상태로 저장하고, 하위 컴포넌트는 경로를 거슬러 올라가며 값을 찾습니다.
+ *
+ * @param defaultValue - Provider 없이 useContext를 호출했을 때 사용할 기본값
+ * @returns Provider 컴포넌트를 가진 컨텍스트 객체
+ */
+export const createContext = <T>(defaultValue: T): ReactContext<T> => {
+  const target: ReactContext<T> = {
+    defaultValue,
+    Provider: ({ value, children }: ProviderProps<T>) => {
+      const path = context.hooks.currentPath;
+      const cursor = context.hooks.currentCursor;
+      const hooks = context.hooks.currentHooks;
+
+      const prev = hooks[cursor];
+      if (isProviderHook(prev) && !Object.is(prev.value, value)) {
+        markConsumersDirty(target, path);
+      }
+
+      const hook: ProviderHook<T> = { kind: HookTypes.PROVIDER, context: target, value };
+      hooks[cursor] = hook;
+      context.hooks.cursor.set(path, cursor + 1);
+
+      return (children ?? null) as VNode | null;
+    },
+  };
+
+  target.Provider.displayName = "Provider";
+  return target;
+};
+
+/**
+ * 가장 가까운 상위 Provider가 제공하는 컨텍스트 값을 읽는 훅입니다.
+ * Provider의 값이 바뀌면 이를 사용하는 컴포넌트도 다시 렌더링됩니다.
+ * 읽은 컨텍스트는 훅 상태가 아닌 컴포넌트의 컨텍스트 의존성으로 기록하므로, 조건문이나 반복문 안에서도 호출할 수 있습니다.
+ *
+ * @param target - createContext로 생성한 컨텍스트 객체
+ * @returns 현재 컨텍스트 값
+ */
+export const useContext = <T>(target: ReactContext<T>): T => {
+  const path = context.hooks.currentPath;
+  const value = readContext(target, path);
+  recordContextRead(target, path, value);
+  return value;
+};
+
+/**
+ * 현재 컴포넌트가 이전 렌더링에서 읽은 컨텍스트 값 중 바뀐 것이 있는지 확인합니다.
+ * memo처럼 렌더링을 건너뛰는 컴포넌트가 컨텍스트 변경은 놓치지 않도록 하는 데 사용됩니다.
+ */
+export const hasContextChanged = (): boolean => {
+  const path = context.hooks.currentPath;
+  const dependencies = context.hooks.contextDependencies.get(path);
+  if (!dependencies) return false;
+
+  return [...dependencies].some(([target, value]) => !Object.is(value, readContext(target, path)));
+};
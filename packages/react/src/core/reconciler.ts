@@ -1,38 +1,495 @@
 import { context } from "./context";
-import { Fragment, NodeTypes, TEXT_ELEMENT } from "./constants";
+import { Fragment, NodeTypes, Portal, TEXT_ELEMENT } from "./constants";
 import { Instance, VNode } from "./types";
 import {
-  getFirstDom,
-  getFirstDomFromChildren,
-  insertInstance,
+  createDomElement,
+  getDomNodes,
+  hideInstance,
   removeInstance,
   setDomProps,
+  unhideInstance,
   updateDomProps,
 } from "./dom";
-import { createChildPath } from "./elements";
-import { isEmptyValue } from "../utils";
+import { createChildPath, createElement, normalizeChildren, normalizeNode } from "./elements";
+import { detachHooks, preserveHooks, restoreDescendantHooks, runHookCleanups, snapshotDescendantHooks } from "./hooks";
+import { appendComponentFrame, captureRenderError, isErrorBoundary } from "./boundary";
+import { releaseContextDependencies, resetContextReads } from "./provider";
+import { isSuspenseBoundary, isThenable, suspendBoundary, SUSPENSE_FALLBACK_KEY } from "./suspense";
+import { enqueueRef, setRef } from "./refs";
+import { attachHostInstance, listenToPortalContainer, unlistenToPortalContainer } from "./events";
+import {
+  claimElement,
+  claimTextNode,
+  enterHydrationScope,
+  exitHydrationScope,
+  hydrateDomProps,
+  markHydration,
+  rewindHydration,
+} from "./hydration";
+import { markRootDirty } from "./lanes";
+import { updateSelectValue } from "./controlled";
+import { getInnerHTML } from "./attributes";
+import { getLongestIncreasingSubsequence } from "../utils";
+
+const getNodeKind = (node: VNode) => {
+  if (node.type === TEXT_ELEMENT) return NodeTypes.TEXT;
+  if (node.type === Fragment) return NodeTypes.FRAGMENT;
+  if (node.type === Portal) return NodeTypes.PORTAL;
+  if (typeof node.type === "function") return NodeTypes.COMPONENT;
+  return NodeTypes.HOST;
+};
 
 /**
- * 이전 인스턴스와 새로운 VNode를 비교하여 DOM을 업데이트하는 재조정 과정을 수행합니다.
+ * 자식 인스턴스들의 DOM 노드가 부모 DOM 안에서 올바른 순서로 놓이도록 배치합니다.
+ *
+ * 현재 DOM 위치를 기준으로 최장 증가 부분 수열(LIS)에 속하는 노드는 상대 순서가 이미 맞으므로 그대로 두고,
+ * 나머지 노드만 뒤에서부터 anchor 앞으로 옮깁니다. 이렇게 하면 key 기반 재정렬 시 `insertBefore` 호출이 최소화됩니다.
+ */
+export const placeChildren = (parentDom: HTMLElement, children: (Instance | null)[]): void => {
+  const nodes = children.flatMap(getDomNodes);
+  if (nodes.length === 0) return;
+
+  const currentIndex = new Map<Node, number>();
+  parentDom.childNodes.forEach((node, index) => currentIndex.set(node, index));
+
+  const stable = getLongestIncreasingSubsequence(nodes.map((node) => currentIndex.get(node) ?? -1));
+  let anchor: HTMLElement | Text | null = null;
+
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const node = nodes[i];
+    if (!stable.has(i)) {
+      parentDom.insertBefore(node, anchor);
+    }
+    anchor = node;
+  }
+};
+
+/**
+ * 커밋 단계에서 실행할 DOM 변경 작업을 예약합니다.
+ * 렌더링 단계에서는 화면에 붙어 있는 DOM을 바꾸지 않으므로, 작업이 중단되어도 화면은 이전 상태로 남습니다.
+ */
+const commitMutation = (mutation: () => void): void => {
+  context.effects.mutationQueue.push(mutation);
+};
+
+/**
+ * 예약된 이펙트와 ref, DOM 변경 작업의 현재 위치를 기록하고, 그 위치로 되돌리는 함수를 반환합니다.
+ */
+const markQueues = () => {
+  const { queue, layoutQueue, refQueue, mutationQueue } = context.effects;
+  const queues = [queue, layoutQueue, refQueue, mutationQueue] as unknown[][];
+  const lengths = queues.map((target) => target.length);
+  return () => queues.forEach((target, index) => (target.length = lengths[index]));
+};
+
+/**
+ * 인스턴스 하위 트리의 훅 상태를 떼어 내고, 언마운트할 때 실행할 정리 작업(이펙트 클린업, ref 해제)을 모읍니다.
+ */
+const detachInstance = (instance: Instance | null, cleanups: Array<() => void> = []): Array<() => void> => {
+  if (!instance) return cleanups;
+  instance.children.forEach((child) => detachInstance(child, cleanups));
+  if (instance.kind === NodeTypes.COMPONENT) {
+    const { path } = instance;
+    const hooks = detachHooks(path);
+    cleanups.push(() => {
+      releaseContextDependencies(path);
+      runHookCleanups(hooks);
+    });
+  }
+  if (instance.kind === NodeTypes.HOST) {
+    const { ref } = instance.node.props;
+    cleanups.push(() => setRef(ref, null));
+  }
+  if (instance.kind === NodeTypes.PORTAL) {
+    const { container } = instance.node.props;
+    cleanups.push(() => unlistenToPortalContainer(container));
+  }
+  return cleanups;
+};
+
+/**
+ * 인스턴스 하위 트리의 훅을 정리하고 ref 연결을 끊은 뒤 DOM에서 제거합니다.
+ */
+export const unmountInstance = (parentDom: HTMLElement, instance: Instance): void => {
+  const cleanups = detachInstance(instance);
+  removeInstance(parentDom, instance);
+  cleanups.forEach((cleanup) => cleanup());
+};
+
+/**
+ * 렌더링 단계에서 인스턴스의 언마운트를 예약합니다.
+ * 훅 상태는 바로 떼어 내 같은 경로에 새로 마운트되는 컴포넌트가 이전 상태를 이어받지 않게 하고,
+ * DOM 제거와 정리 작업은 커밋 단계에서 실행합니다.
+ */
+const scheduleUnmount = (parentDom: HTMLElement, instance: Instance): void => {
+  const cleanups = detachInstance(instance);
+  commitMutation(() => {
+    removeInstance(parentDom, instance);
+    cleanups.forEach((cleanup) => cleanup());
+  });
+};
+
+/**
+ * 이전 렌더링의 인스턴스를 다시 렌더링하지 않고 새 부모 아래에 그대로 둡니다.
+ */
+const adoptInstance = (instance: Instance | null, parent: Instance | null): void => {
+  if (instance) commitMutation(() => (instance.parent = parent));
+};
+
+/**
+ * 이번 렌더링에서 주어진 경로의 컴포넌트에 업데이트가 예약되어 다시 실행해야 하는지 확인합니다.
+ */
+const isDirty = (path: string): boolean => context.root.work?.dirty.has(path) ?? true;
+
+/**
+ * 주어진 경로의 하위 트리에 다시 실행해야 하는 컴포넌트가 있는지 확인합니다.
+ */
+const hasDirtyDescendants = (path: string): boolean => context.root.work?.dirtyAncestors.has(path) ?? true;
+
+/**
+ * 현재 렌더링 중인 컴포넌트에 이번 렌더링에서 처리할 업데이트가 예약되어 있는지 확인합니다.
+ * memo처럼 렌더링을 건너뛰는 컴포넌트가 자신의 상태 업데이트는 놓치지 않도록 하는 데 사용됩니다.
+ */
+export const hasScheduledUpdate = (): boolean => isDirty(context.hooks.currentPath);
+
+/**
+ * 경계 아래에서 이번 렌더링에 다시 실행하려던 경로를 루트에 다시 예약해, 경계를 다시 시도할 때 함께 다시 실행하게 합니다.
+ */
+const deferDirtyDescendants = (path: string): void => {
+  const { root } = context;
+  const prefix = `${path}.`;
+  root.work?.dirty.forEach((lanes, dirtyPath) => {
+    if (dirtyPath.startsWith(prefix)) markRootDirty(root, dirtyPath, lanes);
+  });
+};
+
+/**
+ * 함수 컴포넌트를 실행하고 반환된 VNode를 정규화합니다.
+ * 실행 중에는 컴포넌트 경로를 스택에 올려 훅이 자신의 상태를 찾을 수 있게 합니다.
+ */
+export const renderComponent = (node: VNode, path: string): VNode | null => {
+  const { hooks } = context;
+  // 컴포넌트는 실행되는 동안 자신의 훅 목록을 바꾸므로, 렌더링을 버릴 때 되돌릴 수 있도록 먼저 복사해 둡니다.
+  preserveHooks(path);
+  hooks.componentStack.push(path);
+  hooks.cursor.set(path, 0);
+  resetContextReads(path);
+
+  try {
+    const Component = node.type as React.ComponentType;
+    return normalizeNode(Component(node.props) as VNode);
+  } finally {
+    hooks.componentStack.pop();
+  }
+};
+
+/**
+ * 렌더링 단계의 재조정 과정입니다. 단위 작업(컴포넌트와 호스트 요소)마다 한 번씩 양보하며, 끝나면 결과를 반환합니다.
+ */
+type Work<T> = Generator<void, T, void>;
+
+/**
+ * 부모 인스턴스의 이전 자식 인스턴스들과 새 자식 VNode들을 경로 기준으로 매칭하여 재조정합니다.
+ * 매칭되지 않은 이전 자식은 언마운트합니다.
+ */
+function* reconcileChildren(parentDom: HTMLElement, parent: Instance, nextNodes: VNode[]): Work<(Instance | null)[]> {
+  const prevByPath = new Map<string, Instance>();
+  parent.children.forEach((child) => {
+    if (child) prevByPath.set(child.path, child);
+  });
+
+  const nextChildren: (Instance | null)[] = [];
+  for (let index = 0; index < nextNodes.length; index++) {
+    const child = nextNodes[index];
+    const childPath = createChildPath(parent.path, child.key, index, child.type, nextNodes);
+    const prev = prevByPath.get(childPath) ?? null;
+    prevByPath.delete(childPath);
+    nextChildren.push(yield* reconcile(parentDom, prev, child, childPath, parent));
+  }
+
+  prevByPath.forEach((child) => scheduleUnmount(parentDom, child));
+
+  return nextChildren;
+}
+
+/**
+ * Suspense 경계의 자식을 재조정합니다.
+ *
+ * 자식이 promise를 던지면 진행 중이던 하위 트리의 작업(예약된 이펙트와 ref, DOM 변경, 훅 상태)을 되돌리고 fallback을 마운트합니다.
+ * 이미 화면에 있던 자식은 언마운트하지 않고 숨겨 두므로 훅 상태가 유지되며, 처음 마운트하던 자식은 버립니다.
+ * promise가 끝나면 경계가 다시 렌더링되어 자식을 다시 시도하고, 성공하면 fallback을 언마운트하고 자식을 드러냅니다.
+ */
+function* reconcileSuspense(
+  parentDom: HTMLElement,
+  instance: Instance,
+  rendered: VNode | null,
+): Work<(Instance | null)[]> {
+  const { path } = instance;
+  const prevChildren = instance.children;
+  const fallbackNode = createElement(Fragment, { key: SUSPENSE_FALLBACK_KEY }, instance.node.props.fallback);
+  const fallbackPath = createChildPath(path, SUSPENSE_FALLBACK_KEY, 0, Fragment, [fallbackNode]);
+  const prevFallback = prevChildren.find((child) => child?.path === fallbackPath) ?? null;
+  const prevContent = prevChildren.filter((child) => child && child.path !== fallbackPath);
+
+  const rewindQueues = markQueues();
+  const hydrationMark = markHydration();
+  const hooksSnapshot = snapshotDescendantHooks(path);
+
+  try {
+    instance.children = prevContent;
+    const children = yield* reconcileChildren(parentDom, instance, rendered ? [rendered] : []);
+    if (prevFallback) {
+      scheduleUnmount(parentDom, prevFallback);
+      commitMutation(() => children.forEach(unhideInstance));
+    }
+    return children;
+  } catch (error) {
+    if (!isThenable(error)) throw error;
+
+    rewindQueues();
+    rewindHydration(hydrationMark);
+    restoreDescendantHooks(path, hooksSnapshot);
+    deferDirtyDescendants(path);
+    prevContent.forEach((child) => adoptInstance(child, instance));
+    commitMutation(() => prevContent.forEach(hideInstance));
+    suspendBoundary(path, error);
+
+    const fallback = yield* reconcile(parentDom, prevFallback, fallbackNode, fallbackPath, instance);
+    return [...prevContent, fallback];
+  }
+}
+
+/**
+ * 컴포넌트가 렌더링한 결과를 자식으로 재조정합니다.
+ *
+ * ErrorBoundary라면 하위 트리에서 던져진 에러를 잡아, 진행 중이던 하위 트리의 작업(예약된 이펙트와 ref, DOM 변경, 훅 상태)을
+ * 되돌린 뒤 에러 상태로 경계를 다시 렌더링하여 fallback을 마운트합니다.
+ */
+function* reconcileRendered(
+  parentDom: HTMLElement,
+  instance: Instance,
+  rendered: VNode | null,
+): Work<(Instance | null)[]> {
+  if (isSuspenseBoundary(instance.node.type)) {
+    return yield* reconcileSuspense(parentDom, instance, rendered);
+  }
+  if (!isErrorBoundary(instance.node.type)) {
+    return yield* reconcileChildren(parentDom, instance, rendered ? [rendered] : []);
+  }
+
+  const { path } = instance;
+  const prevChildren = instance.children;
+
+  const rewindQueues = markQueues();
+  const hydrationMark = markHydration();
+  const hooksSnapshot = snapshotDescendantHooks(path);
+
+  try {
+    return yield* reconcileChildren(parentDom, instance, rendered ? [rendered] : []);
+  } catch (error) {
+    // 기다리는 promise는 에러가 아니므로 Suspense 경계까지 그대로 전파합니다.
+    if (isThenable(error) || !captureRenderError(path, error)) throw error;
+
+    rewindQueues();
+    // 하이드레이션 중이었다면 fallback이 같은 위치의 서버 마크업부터 다시 차지하게 합니다.
+    rewindHydration(hydrationMark);
+    restoreDescendantHooks(path, hooksSnapshot);
+    prevChildren.forEach((child) => {
+      if (child) scheduleUnmount(parentDom, child);
+    });
+    instance.children = [];
+
+    const fallback = renderComponent(instance.node, path);
+    return yield* reconcileChildren(parentDom, instance, fallback ? [fallback] : []);
+  }
+}
+
+const getChildNodes = (node: VNode | null): VNode[] => (node ? normalizeChildren(node.props.children ?? []) : []);
+
+/**
+ * 호스트 요소의 자식 VNode 목록을 반환합니다.
+ * `dangerouslySetInnerHTML`을 사용한 요소의 내용은 DOM 속성으로 채우므로 자식을 재조정하지 않습니다.
+ */
+const getHostChildNodes = (node: VNode): VNode[] => (getInnerHTML(node.props) === null ? getChildNodes(node) : []);
+
+/**
+ * VNode로부터 새로운 인스턴스를 생성합니다. (mount)
+ * 생성된 DOM은 아직 문서에 붙어 있지 않으므로 바로 속성을 설정하고, 부모의 배치 단계(placeChildren)에서 문서에 삽입됩니다.
+ * 하이드레이션 중이라면 DOM을 새로 만드는 대신 서버에서 렌더링된 노드를 차지합니다.
+ */
+function* mount(parentDom: HTMLElement, node: VNode, path: string, parent: Instance | null): Work<Instance> {
+  const kind = getNodeKind(node);
+  const instance: Instance = { kind, dom: null, node, children: [], key: node.key, path, parent };
+
+  switch (kind) {
+    case NodeTypes.TEXT: {
+      instance.dom = claimTextNode(node.props.nodeValue) ?? document.createTextNode(node.props.nodeValue);
+      break;
+    }
+    case NodeTypes.HOST: {
+      const tag = node.type as string;
+      const childNodes = getHostChildNodes(node);
+      const claimed = claimElement(tag);
+      const dom = claimed ?? createDomElement(tag, parentDom);
+      attachHostInstance(dom, instance);
+      if (claimed) {
+        hydrateDomProps(claimed, node.props);
+      } else {
+        setDomProps(dom, node.props);
+      }
+      enqueueRef(node.props.ref, dom);
+      instance.dom = dom;
+      // textarea의 자식 텍스트는 서버가 value를 표현한 것이고, dangerouslySetInnerHTML의 내용은 자식이 아니므로 차지하지 않습니다.
+      const hasServerChildren = tag !== "textarea" && getInnerHTML(node.props) === null;
+      enterHydrationScope(claimed && hasServerChildren ? claimed : null);
+      instance.children = yield* reconcileChildren(dom, instance, childNodes);
+      exitHydrationScope();
+      placeChildren(dom, instance.children);
+      // select의 값은 옵션이 배치된 뒤에야 선택할 수 있습니다.
+      if (tag === "select") updateSelectValue(dom as HTMLSelectElement, node.props, true);
+      break;
+    }
+    case NodeTypes.FRAGMENT: {
+      instance.children = yield* reconcileChildren(parentDom, instance, getChildNodes(node));
+      break;
+    }
+    case NodeTypes.PORTAL: {
+      // 포탈의 자식은 부모 DOM 대신 지정된 컨테이너에 배치합니다.
+      // 경로는 트리상의 부모를 따르므로 훅 상태와 컨텍스트는 그대로 유지됩니다.
+      // 서버 렌더링에는 포탈이 없으므로 하이드레이션 중에도 새로 만듭니다.
+      const container = node.props.container as HTMLElement;
+      commitMutation(() => listenToPortalContainer(container));
+      enterHydrationScope(null);
+      const children = yield* reconcileChildren(container, instance, getChildNodes(node));
+      exitHydrationScope();
+      instance.children = children;
+      commitMutation(() => placeChildren(container, children));
+      break;
+    }
+    case NodeTypes.COMPONENT: {
+      instance.children = yield* reconcileRendered(parentDom, instance, renderComponent(node, path));
+      break;
+    }
+  }
+
+  return instance;
+}
+
+/**
+ * 같은 타입과 key를 가진 기존 인스턴스를 새 VNode로 갱신한 새 인스턴스를 만듭니다. (update)
+ * 기존 인스턴스는 커밋되기 전까지 화면을 나타내므로 그대로 두고, 바뀐 DOM 속성은 커밋 단계에 반영합니다.
+ */
+function* update(parentDom: HTMLElement, current: Instance, node: VNode, parent: Instance | null): Work<Instance> {
+  const prevNode = current.node;
+  // 이전과 같은 VNode라면 props가 그대로이므로, 하위 트리에 업데이트가 예약된 컴포넌트가 없는 한 이전 결과를 그대로 재사용합니다.
+  if (prevNode === node && !isDirty(current.path) && !hasDirtyDescendants(current.path)) {
+    adoptInstance(current, parent);
+    return current;
+  }
+
+  const instance: Instance = { ...current, node, parent };
+
+  switch (instance.kind) {
+    case NodeTypes.TEXT: {
+      const dom = instance.dom;
+      if (prevNode.props.nodeValue !== node.props.nodeValue && dom) {
+        commitMutation(() => (dom.nodeValue = node.props.nodeValue));
+      }
+      break;
+    }
+    case NodeTypes.HOST: {
+      const dom = instance.dom as HTMLElement;
+      const childNodes = getHostChildNodes(node);
+      commitMutation(() => {
+        attachHostInstance(dom, instance);
+        updateDomProps(dom, prevNode.props, node.props);
+      });
+      if (prevNode.props.ref !== node.props.ref) {
+        commitMutation(() => setRef(prevNode.props.ref, null));
+        enqueueRef(node.props.ref, dom);
+      }
+      const children = yield* reconcileChildren(dom, instance, childNodes);
+      instance.children = children;
+      commitMutation(() => {
+        placeChildren(dom, children);
+        if (dom.localName === "select") updateSelectValue(dom as HTMLSelectElement, node.props, false);
+      });
+      break;
+    }
+    case NodeTypes.FRAGMENT: {
+      instance.children = yield* reconcileChildren(parentDom, instance, getChildNodes(node));
+      break;
+    }
+    case NodeTypes.PORTAL: {
+      // 컨테이너가 바뀌었다면 placeChildren이 기존 DOM 노드를 새 컨테이너로 옮깁니다.
+      const container = node.props.container as HTMLElement;
+      const prevContainer = prevNode.props.container as HTMLElement;
+      if (prevContainer !== container) {
+        commitMutation(() => {
+          unlistenToPortalContainer(prevContainer);
+          listenToPortalContainer(container);
+        });
+      }
+      const children = yield* reconcileChildren(container, instance, getChildNodes(node));
+      instance.children = children;
+      commitMutation(() => placeChildren(container, children));
+      break;
+    }
+    case NodeTypes.COMPONENT: {
+      // props가 그대로이고 업데이트도 예약되지 않은 컴포넌트는 다시 실행하지 않고, 이전 렌더링 결과를 따라 내려가 하위의 업데이트만 반영합니다.
+      // 경계는 하위 트리의 에러와 기다림을 처리해야 하므로 항상 다시 실행합니다.
+      const { type } = node;
+      const skip = prevNode === node && !isDirty(instance.path) && !isErrorBoundary(type) && !isSuspenseBoundary(type);
+      const rendered = skip ? (current.children[0]?.node ?? null) : renderComponent(node, instance.path);
+      instance.children = yield* reconcileRendered(parentDom, instance, rendered);
+      break;
+    }
+  }
+
+  return instance;
+}
+
+/**
+ * 이전 인스턴스와 새로운 VNode를 비교하여 새 인스턴스 트리를 만드는 재조정 과정을 수행합니다.
+ * DOM 변경은 `context.effects.mutationQueue`에 모아 두었다가 트리 전체의 렌더링이 끝난 뒤 한 번에 커밋합니다.
+ * 컴포넌트와 호스트 요소마다 한 번씩 양보하므로, 호출한 쪽은 단위 작업 사이에서 렌더링을 멈추거나 버릴 수 있습니다.
  *
  * @param parentDom - 부모 DOM 요소
  * @param instance - 이전 렌더링의 인스턴스
  * @param node - 새로운 VNode
  * @param path - 현재 노드의 고유 경로
+ * @param parent - 부모 인스턴스. 루트라면 null입니다.
  * @returns 업데이트되거나 새로 생성된 인스턴스
  */
-export const reconcile = (
+export function* reconcile(
   parentDom: HTMLElement,
   instance: Instance | null,
   node: VNode | null,
   path: string,
-): Instance | null => {
-  // 여기를 구현하세요.
-  // 1. 새 노드가 null이면 기존 인스턴스를 제거합니다. (unmount)
-  // 2. 기존 인스턴스가 없으면 새 노드를 마운트합니다. (mount)
-  // 3. 타입이나 키가 다르면 기존 인스턴스를 제거하고 새로 마운트합니다.
-  // 4. 타입과 키가 같으면 인스턴스를 업데이트합니다. (update)
-  //    - DOM 요소: updateDomProps로 속성 업데이트 후 자식 재조정
-  //    - 컴포넌트: 컴포넌트 함수 재실행 후 자식 재조정
-  return null;
-};
+  parent: Instance | null = null,
+): Work<Instance | null> {
+  if (!node) {
+    if (instance) scheduleUnmount(parentDom, instance);
+    return null;
+  }
+
+  // 텍스트, Fragment, 포탈은 가벼우므로 컴포넌트와 호스트 요소만 단위 작업으로 셉니다.
+  if (typeof node.type !== "symbol") yield;
+
+  try {
+    if (!instance) {
+      return yield* mount(parentDom, node, path, parent);
+    }
+
+    if (instance.node.type !== node.type || instance.key !== node.key || instance.path !== path) {
+      scheduleUnmount(parentDom, instance);
+      return yield* mount(parentDom, node, path, parent);
+    }
+
+    return yield* update(parentDom, instance, node, parent);
+  } catch (error) {
+    // 에러가 빠져나가는 컴포넌트를 기록해 ErrorBoundary가 컴포넌트 스택을 보고할 수 있게 합니다.
+    if (typeof node.type === "function") appendComponentFrame(error, node.type);
+    throw error;
+  }
+}
@@ -0,0 +1,33 @@
+import { context } from "./context";
+import { Ref } from "./types";
+
+/**
+ * ref에 값을 연결합니다.
+ * 객체 ref는 `current`에 값을 대입하고, 콜백 ref는 값을 인자로 호출합니다.
+ */
+export const setRef = <T>(ref: Ref<T>, value: T | null): void => {
+  if (typeof ref === "function") {
+    ref(value);
+  } else if (ref) {
+    ref.current = value;
+  }
+};
+
+/**
+ * 커밋 이후에 연결할 ref를 예약합니다.
+ */
+export const enqueueRef = <T>(ref: Ref<T>, value: T): void => {
+  if (ref) context.effects.refQueue.push({ ref: ref as Ref<unknown>, value });
+};
+
+/**
+ * 예약된 ref를 모두 연결합니다.
+ * DOM 변경이 끝난 뒤, 레이아웃 이펙트보다 먼저 실행되어 이펙트 안에서 ref를 사용할 수 있게 합니다.
+ */
+export const commitRefs = (): void => {
+  const { refQueue } = context.effects;
+  while (refQueue.length > 0) {
+    const { ref, value } = refQueue.shift()!;
+    setRef(ref, value);
+  }
+};
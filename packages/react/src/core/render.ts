@@ -1,21 +1,306 @@
-import { context } from "./context";
-import { getDomNodes, insertInstance } from "./dom";
-import { reconcile } from "./reconciler";
-import { cleanupUnusedHooks } from "./hooks";
-import { withEnqueue } from "../utils";
+import { context, runWithContext } from "./context";
+import { BLOCKING_LANES, Lane, Lanes } from "./constants";
+import { Context, Instance, RenderWork } from "./types";
+import { placeChildren, reconcile } from "./reconciler";
+import { flushEffects, flushLayoutEffects, restoreHooks } from "./hooks";
+import { commitRefs } from "./refs";
+import { finishHydration } from "./hydration";
+import { isThenable } from "./suspense";
+import { getParentPath } from "./elements";
+import { getNextLanes, hasHigherPriority, markRootDirty, requestUpdateLane, runWithUpdateLane } from "./lanes";
+import { runSlicedTask, shouldYield, withEnqueue } from "../utils";
 
 /**
- * 루트 컴포넌트의 렌더링을 수행하는 함수입니다.
- * `enqueueRender`에 의해 스케줄링되어 호출됩니다.
+ * 루트마다 독립적으로 한 번만 예약되는 작업을 생성합니다.
+ * 예약된 작업은 해당 루트의 컨텍스트가 활성화된 상태에서 실행됩니다.
+ */
+const createRootScheduler = (task: () => void) => {
+  const schedulers = new WeakMap<Context, () => void>();
+
+  return (target: Context = context): void => {
+    let schedule = schedulers.get(target);
+    if (!schedule) {
+      schedule = withEnqueue(() => runWithContext(target, task));
+      schedulers.set(target, schedule);
+    }
+    schedule();
+  };
+};
+
+/**
+ * 업데이트가 예약된 루트입니다. `flushSync`가 동기적으로 렌더링할 루트를 찾는 데 사용합니다.
+ */
+const scheduledRoots = new Set<Context>();
+
+/**
+ * 렌더링 작업을 진행하거나 커밋하는 중인지 나타냅니다. 이 동안에는 `flushSync`가 렌더링을 새로 시작하지 않습니다.
+ */
+let isWorking = false;
+
+/**
+ * 렌더링이 끝난 뒤 예약된 이펙트를 마이크로태스크로 실행합니다.
+ * 그 사이에 다음 렌더링이 시작되었다면 이전 커밋의 이펙트는 렌더링을 시작할 때 이미 실행되었고,
+ * 큐에 남은 이펙트는 아직 커밋되지 않은 렌더링의 것이므로 건너뜁니다.
+ */
+export const enqueueEffects = createRootScheduler(() => {
+  if (!context.root.work) flushEffects();
+});
+
+/**
+ * 작업에서 주어진 경로의 컴포넌트를 다시 실행하도록 표시합니다.
+ * 조상 경로도 함께 기록해, 재조정이 바뀌지 않은 하위 트리를 건너뛰면서도 이 경로까지는 내려오게 합니다.
+ */
+const addDirtyPath = (work: RenderWork, path: string, lanes: Lane): void => {
+  work.dirty.set(path, (work.dirty.get(path) ?? Lanes.NONE) | lanes);
+  for (let current = getParentPath(path); current !== null; current = getParentPath(current)) {
+    if (work.dirtyAncestors.has(current)) break;
+    work.dirtyAncestors.add(current);
+  }
+};
+
+/**
+ * 진행 중인 렌더링에서 주어진 경로의 컴포넌트를 다시 실행하도록 표시합니다.
+ * 아직 재조정하지 않은 경로에만 효과가 있으며, 진행 중인 렌더링이 없다면 아무 일도 하지 않습니다.
+ */
+export const markPathDirty = (path: string): void => {
+  const { work } = context.root;
+  if (work) addDirtyPath(work, path, work.lanes);
+};
+
+/**
+ * 진행 중인 렌더링 작업을 버립니다.
+ * 렌더링 단계에서는 화면을 바꾸지 않으므로, 훅 상태와 예약된 작업만 작업을 시작하기 전으로 되돌리면 됩니다.
+ * 작업이 다시 실행하려던 경로는 다음 렌더링에서 다시 실행하도록 남겨 둡니다.
+ */
+export const abortRender = (): void => {
+  const { root, hooks, effects } = context;
+  const { work } = root;
+  if (!work) return;
+
+  root.work = null;
+  work.dirty.forEach((lanes, path) => markRootDirty(root, path, lanes));
+  restoreHooks(work.hooks);
+  hooks.componentStack.length = 0;
+  effects.queue.length = 0;
+  effects.layoutQueue.length = 0;
+  effects.refQueue.length = 0;
+  effects.mutationQueue.length = 0;
+};
+
+/**
+ * 루트의 렌더링 작업을 시작합니다. 실제 재조정은 `performWork`가 단위 작업씩 진행합니다.
+ * 렌더링할 우선순위의 업데이트가 예약된 경로를 작업으로 옮겨, 그 경로가 속한 하위 트리만 다시 렌더링하게 합니다.
+ * 다른 우선순위의 업데이트만 남은 경로는 그 우선순위를 렌더링할 때까지 루트에 남겨 둡니다.
+ */
+const startWork = (lanes: Lane): RenderWork => {
+  const { root, hooks } = context;
+  hooks.componentStack.length = 0;
+
+  const work: RenderWork = {
+    lanes,
+    steps: reconcile(root.container!, root.instance, root.node, "0"),
+    hooks: new Map(),
+    dirty: new Map(),
+    dirtyAncestors: new Set(),
+    captured: new Map(),
+    contextReads: new Map(),
+    storeReads: [],
+  };
+  root.dirty.forEach((pathLanes, path) => {
+    if (!(pathLanes & lanes)) return;
+    addDirtyPath(work, path, pathLanes & lanes);
+    if (pathLanes & ~lanes) root.dirty.set(path, pathLanes & ~lanes);
+    else root.dirty.delete(path);
+  });
+  root.work = work;
+  return work;
+};
+
+/**
+ * 완성된 인스턴스 트리를 화면에 반영합니다.
+ * 렌더링 중에 모아 둔 DOM 변경을 한 번에 실행한 뒤 ref를 연결하고 이펙트를 실행하거나 예약합니다.
+ */
+const commitWork = (instance: Instance | null): void => {
+  const { root, effects } = context;
+  root.work = null;
+
+  effects.mutationQueue.splice(0).forEach((mutation) => mutation());
+  root.instance = instance;
+  finishHydration();
+  placeChildren(root.container!, [instance]);
+
+  commitRefs();
+  runWithUpdateLane(Lanes.SYNC, flushLayoutEffects);
+  enqueueEffects();
+
+  // 레이아웃 이펙트에서 발생한 업데이트는 useEffect가 실행되기 전, 브라우저가 화면을 그리기 전에 바로 렌더링합니다.
+  if (root.pendingLanes & Lanes.SYNC) {
+    const lanes = getNextLanes(root.pendingLanes);
+    root.pendingLanes &= ~lanes;
+    performWork(startWork(lanes), false);
+    return;
+  }
+  // 렌더링하는 동안 들어온 업데이트는 커밋한 뒤에 이어서 렌더링합니다.
+  if (root.pendingLanes !== Lanes.NONE) scheduleRootWork();
+};
+
+/**
+ * 나누어 렌더링하는 사이에 바뀐 외부 스토어를 읽은 컴포넌트의 경로를 반환합니다.
+ * 한 번에 렌더링한 작업은 중간에 스토어가 바뀔 수 없으므로 확인하지 않습니다.
+ */
+const getTornStoreReads = (work: RenderWork): string[] =>
+  work.lanes & BLOCKING_LANES
+    ? []
+    : work.storeReads.filter(({ getSnapshot, value }) => !Object.is(getSnapshot(), value)).map(({ path }) => path);
+
+/**
+ * 바뀐 스토어를 읽은 컴포넌트를 다시 실행하도록 표시하고, 작업을 버린 뒤 한 번에 렌더링하는 작업으로 다시 시작합니다.
+ * 한 번에 렌더링하면 그 사이에 스토어가 바뀌지 않으므로 화면 전체가 같은 시점의 값을 보여 줍니다.
+ */
+const restartWorkForStores = (work: RenderWork, tornPaths: string[]): RenderWork => {
+  const { root } = context;
+  abortRender();
+  tornPaths.forEach((path) => markRootDirty(root, path, Lanes.SYNC));
+
+  const lanes = getNextLanes(root.pendingLanes | work.lanes | Lanes.SYNC);
+  root.pendingLanes = (root.pendingLanes | work.lanes) & ~lanes;
+  return startWork(lanes);
+};
+
+/**
+ * 렌더링 작업을 진행하고, 끝까지 진행했다면 커밋합니다.
+ * `canYield`가 true이면 주어진 시간을 다 썼을 때 멈추고 true를 반환합니다.
+ */
+const performWork = (work: RenderWork, canYield: boolean): boolean => {
+  const prevWorking = isWorking;
+  isWorking = true;
+  try {
+    let step: IteratorResult<void, Instance | null>;
+    try {
+      do {
+        step = work.steps.next();
+      } while (!step.done && !(canYield && shouldYield()));
+    } catch (error) {
+      abortRender();
+      if (isThenable(error)) {
+        throw new Error("데이터를 기다리는 컴포넌트는 Suspense 경계 안에서 렌더링해야 합니다.");
+      }
+      throw error;
+    }
+
+    if (!step.done) return true;
+    const tornPaths = getTornStoreReads(work);
+    if (tornPaths.length > 0) {
+      performWork(restartWorkForStores(work, tornPaths), false);
+      return false;
+    }
+    commitWork(step.value);
+    return false;
+  } finally {
+    isWorking = prevWorking;
+  }
+};
+
+/**
+ * 루트 컴포넌트를 처음부터 끝까지 한 번에 렌더링하고 커밋합니다.
+ * 첫 렌더링이나 하이드레이션처럼 결과가 바로 필요할 때 사용하며, 진행 중이던 작업은 버리고 새로 시작합니다.
  */
 export const render = (): void => {
-  // 여기를 구현하세요.
-  // 1. 훅 컨텍스트를 초기화합니다.
-  // 2. reconcile 함수를 호출하여 루트 노드를 재조정합니다.
-  // 3. 사용되지 않은 훅들을 정리(cleanupUnusedHooks)합니다.
+  const { root } = context;
+  // 언마운트된 루트에 남아 있던 예약은 무시합니다.
+  if (!root.container || !root.node) return;
+
+  abortRender();
+  flushEffects();
+  const lanes = root.pendingLanes | Lanes.SYNC;
+  root.pendingLanes = Lanes.NONE;
+  performWork(startWork(lanes), false);
+};
+
+/**
+ * 예약된 업데이트를 렌더링합니다.
+ *
+ * SYNC, DEFAULT 업데이트는 한 번에 렌더링하고, 그 밖의 업데이트는 작업을 나누어 렌더링하면서 구간마다 브라우저에 양보합니다.
+ * 전환(TRANSITION) 업데이트는 급한 업데이트가 모두 렌더링된 뒤에 따로 렌더링합니다.
+ * 진행 중인 작업보다 급한 업데이트가 들어오면 진행 중인 작업을 버리고 함께 다시 렌더링합니다.
+ * 렌더링을 시작하기 전에는 이전 커밋에서 예약된 이펙트를 먼저 실행합니다.
+ */
+const performRootWork = (): void => {
+  const target = context;
+  const { root } = target;
+  scheduledRoots.delete(target);
+  if (!root.container || !root.node) return;
+
+  if (root.work) {
+    if (!hasHigherPriority(root.pendingLanes, root.work.lanes)) return;
+    root.pendingLanes |= root.work.lanes;
+    abortRender();
+  }
+
+  flushEffects();
+  if (root.pendingLanes === Lanes.NONE) return;
+
+  const lanes = getNextLanes(root.pendingLanes);
+  root.pendingLanes &= ~lanes;
+  const work = startWork(lanes);
+
+  if (lanes & BLOCKING_LANES) {
+    performWork(work, false);
+    return;
+  }
+  // 양보한 사이에 버려졌거나 다른 작업으로 교체된 작업은 이어서 진행하지 않습니다.
+  runSlicedTask(() => runWithContext(target, () => root.work === work && performWork(work, true)));
+};
+
+const scheduleRootWork = createRootScheduler(performRootWork);
+
+/**
+ * 컴포넌트의 렌더링을 마이크로태스크로 예약합니다. 같은 루트에 여러 번 예약해도 한 번만 렌더링합니다.
+ * 루트마다 별도로 예약되므로 한 루트의 업데이트가 다른 루트를 다시 렌더링하지 않습니다.
+ * 렌더링은 루트부터 시작하지만, 업데이트가 예약된 컴포넌트와 그 하위 트리만 다시 실행하고 나머지는 이전 결과를 재사용합니다.
+ *
+ * @param target - 렌더링할 루트의 컨텍스트
+ * @param path - 다시 렌더링할 컴포넌트의 경로
+ * @param lane - 업데이트의 우선순위. 지정하지 않으면 업데이트가 발생한 상황(이벤트 핸들러 등)에 따라 정해집니다.
+ */
+export const enqueueRender = (target: Context, path: string, lane: Lane = requestUpdateLane()): void => {
+  markRootDirty(target.root, path, lane);
+  target.root.pendingLanes |= lane;
+  scheduledRoots.add(target);
+  scheduleRootWork(target);
+};
+
+/**
+ * 콜백 안에서 발생한 업데이트를 마이크로태스크를 기다리지 않고 바로 렌더링하고 커밋합니다.
+ * 상태를 바꾼 직후 바뀐 DOM에 포커스를 옮기거나 크기를 재야 할 때 사용합니다.
+ *
+ * 콜백 안의 업데이트는 가장 높은 우선순위(SYNC)로 처리되며, 이미 예약되어 있던 SYNC 업데이트도 함께 렌더링합니다.
+ * 렌더링하기 전에 이전 커밋의 useEffect를 먼저 실행하고, 반환되기 전에 커밋한 렌더링의 레이아웃 이펙트까지 실행합니다.
+ * 이번 커밋의 useEffect는 평소처럼 마이크로태스크로 실행됩니다.
+ * 렌더링 중이거나 레이아웃 이펙트 안에서 호출하면 바로 렌더링하지 않고, 진행 중인 커밋이 끝난 뒤에 이어서 렌더링합니다.
+ *
+ * @param callback - 업데이트를 발생시키는 함수
+ * @returns 콜백의 반환값
+ */
+export const flushSync = <T>(callback?: () => T): T | undefined => {
+  const result = callback ? runWithUpdateLane(Lanes.SYNC, callback) : undefined;
+  if (isWorking) return result;
+
+  scheduledRoots.forEach((target) => {
+    scheduledRoots.delete(target);
+    if (target.root.pendingLanes & Lanes.SYNC) runWithContext(target, performRootWork);
+  });
+  return result;
 };
 
 /**
- * `render` 함수를 마이크로태스크 큐에 추가하여 중복 실행을 방지합니다.
+ * 콜백 안에서 발생한 업데이트를 한 번의 렌더링으로 모읍니다.
+ *
+ * 업데이트는 이벤트 핸들러, 타이머, promise 콜백 등 어디서 발생하든 마이크로태스크까지 모았다가 한 번에 렌더링하므로
+ * 이 함수로 감싸지 않아도 자동으로 일괄 처리됩니다. 일괄 처리를 명시적으로 요구하는 라이브러리와의 호환을 위해 제공합니다.
+ *
+ * @param callback - 업데이트를 발생시키는 함수
+ * @param arg - 콜백에 전달할 인자
+ * @returns 콜백의 반환값
  */
-export const enqueueRender = withEnqueue(render);
+export const unstable_batchedUpdates = <A, R>(callback: (arg: A) => R, arg?: A): R => callback(arg as A);
@@ -1,19 +1,127 @@
-import { context } from "./context";
-import { VNode } from "./types";
-import { removeInstance } from "./dom";
-import { cleanupUnusedHooks } from "./hooks";
-import { render } from "./render";
+import { context, getRootContext, releaseRootContext, runWithContext } from "./context";
+import { HydrationOptions, VNode } from "./types";
+import { cleanupAllHooks } from "./hooks";
+import { unmountInstance } from "./reconciler";
+import { abortRender, render } from "./render";
+import { releaseEvents } from "./events";
+import { finishHydration, startHydration } from "./hydration";
+import { isEmptyValue } from "../utils";
+
+/**
+ * 현재 루트의 이펙트 클린업과 ref 해제를 모두 실행하고 DOM과 훅 상태를 비웁니다.
+ */
+const teardown = (container: HTMLElement): void => {
+  abortRender();
+  if (context.root.instance) {
+    unmountInstance(container, context.root.instance);
+  }
+  cleanupAllHooks();
+  container.replaceChildren();
+  releaseEvents(container);
+
+  context.hooks.clear();
+  context.effects.queue.length = 0;
+  context.effects.layoutQueue.length = 0;
+  context.effects.refQueue.length = 0;
+  context.effects.mutationQueue.length = 0;
+};
 
 /**
  * Mini-React 애플리케이션의 루트를 설정하고 첫 렌더링을 시작합니다.
+ * 컨테이너마다 독립된 컨텍스트를 사용하므로 여러 루트를 동시에 렌더링할 수 있습니다.
  *
  * @param rootNode - 렌더링할 최상위 VNode
  * @param container - VNode가 렌더링될 DOM 컨테이너
  */
 export const setup = (rootNode: VNode | null, container: HTMLElement): void => {
-  // 여기를 구현하세요.
-  // 1. 컨테이너 유효성을 검사합니다.
-  // 2. 이전 렌더링 내용을 정리하고 컨테이너를 비웁니다.
-  // 3. 루트 컨텍스트와 훅 컨텍스트를 리셋합니다.
-  // 4. 첫 렌더링을 실행합니다.
+  if (!container) {
+    throw new Error("렌더링할 컨테이너가 존재하지 않습니다.");
+  }
+  if (isEmptyValue(rootNode)) {
+    throw new Error("null 루트 엘리먼트는 렌더링할 수 없습니다.");
+  }
+
+  runWithContext(getRootContext(container), () => {
+    teardown(container);
+    context.root.reset({ container, node: rootNode as VNode });
+    render();
+  });
+};
+
+/**
+ * 컨테이너에 렌더링된 루트를 새 VNode로 다시 렌더링합니다.
+ * 루트 컨텍스트를 그대로 두고 커밋된 트리와 재조정하므로, 같은 위치에 같은 타입으로 남은 컴포넌트는 상태를 유지합니다.
+ * 아직 렌더링된 적이 없는 컨테이너라면 `setup`과 같이 처음부터 렌더링합니다.
+ *
+ * @param rootNode - 렌더링할 최상위 VNode
+ * @param container - 루트가 렌더링된 DOM 컨테이너
+ */
+export const updateRoot = (rootNode: VNode | null, container: HTMLElement): void => {
+  if (!container) {
+    throw new Error("렌더링할 컨테이너가 존재하지 않습니다.");
+  }
+  if (isEmptyValue(rootNode)) {
+    throw new Error("null 루트 엘리먼트는 렌더링할 수 없습니다.");
+  }
+
+  runWithContext(getRootContext(container), () => {
+    if (!context.root.container) {
+      setup(rootNode, container);
+      return;
+    }
+    context.root.node = rootNode as VNode;
+    render();
+  });
+};
+
+// 불일치는 복구되므로 개발 중에만 알립니다.
+const reportRecoverableError = (error: Error): void => {
+  if (import.meta.env?.DEV) console.error(error);
+};
+
+/**
+ * 서버에서 렌더링된 마크업이 들어 있는 컨테이너에 루트를 연결합니다.
+ * DOM을 새로 만들지 않고 기존 노드를 인스턴스로 차지하며, 이벤트 핸들러를 연결하고 이펙트를 실행합니다.
+ * 텍스트나 속성이 클라이언트 렌더링 결과와 다르면 보고한 뒤 클라이언트 값으로 고칩니다.
+ *
+ * @param rootNode - 서버에서 렌더링한 것과 같은 최상위 VNode
+ * @param container - 서버 마크업이 들어 있는 DOM 컨테이너
+ * @param options - 불일치 보고 방식을 지정하는 옵션
+ */
+export const hydrate = (rootNode: VNode | null, container: HTMLElement, options: HydrationOptions = {}): void => {
+  if (!container) {
+    throw new Error("하이드레이션할 컨테이너가 존재하지 않습니다.");
+  }
+  if (isEmptyValue(rootNode)) {
+    throw new Error("null 루트 엘리먼트는 렌더링할 수 없습니다.");
+  }
+
+  runWithContext(getRootContext(container), () => {
+    if (context.root.instance) {
+      throw new Error("이미 렌더링된 컨테이너는 하이드레이션할 수 없습니다.");
+    }
+    context.root.reset({ container, node: rootNode as VNode });
+    startHydration(container, options.onRecoverableError ?? reportRecoverableError);
+    try {
+      render();
+    } finally {
+      finishHydration();
+    }
+  });
+};
+
+/**
+ * 컨테이너에 렌더링된 루트를 해제합니다.
+ * 모든 이펙트 클린업을 실행하고 컨테이너를 비운 뒤, 루트 컨텍스트의 연결을 끊습니다.
+ *
+ * @param container - 루트가 렌더링된 DOM 컨테이너
+ */
+export const unmountRoot = (container: HTMLElement): void => {
+  runWithContext(getRootContext(container), () => {
+    teardown(container);
+    context.root.container = null;
+    context.root.node = null;
+    context.root.instance = null;
+  });
+  releaseRootContext(container);
 };
@@ -0,0 +1,67 @@
+import { context } from "./context";
+import { HookTypes } from "./constants";
+import { enqueueRender } from "./render";
+import { SuspenseHook, SuspenseProps, VNode } from "./types";
+
+// fallback은 key가 있는 Fragment로 감싸 자식과 경로가 겹치지 않게 합니다.
+export const SUSPENSE_FALLBACK_KEY = "suspense-fallback";
+
+/**
+ * 렌더링 중 던져진 값이 아직 끝나지 않은 비동기 작업(thenable)인지 확인합니다.
+ * 컴포넌트는 필요한 데이터가 준비되지 않았을 때 promise를 던져 가장 가까운 Suspense 경계에 렌더링을 미룹니다.
+ */
+export const isThenable = (value: unknown): value is PromiseLike<unknown> =>
+  (typeof value === "object" || typeof value === "function") &&
+  value !== null &&
+  typeof (value as PromiseLike<unknown>).then === "function";
+
+const isSuspenseHook = (hook: unknown): hook is SuspenseHook =>
+  typeof hook === "object" && hook !== null && (hook as SuspenseHook).kind === HookTypes.SUSPENSE;
+
+/**
+ * 경계가 주어진 promise를 기다리게 합니다. promise가 끝나면 경계를 다시 렌더링해 자식을 다시 시도합니다.
+ * 더 최근에 기다리기 시작한 promise가 있거나 경계가 언마운트되었다면 다시 렌더링하지 않습니다.
+ */
+export const suspendBoundary = (path: string, promise: PromiseLike<unknown>): void => {
+  const hook = context.hooks.state.get(path)?.find(isSuspenseHook);
+  if (!hook || hook.pending === promise) return;
+
+  hook.pending = promise;
+  const retry = () => {
+    if (hook.pending !== promise) return;
+    hook.pending = null;
+    hook.retry();
+  };
+  promise.then(retry, retry);
+};
+
+/**
+ * 하위 트리가 기다리는 동안 fallback을 보여 주는 경계입니다.
+ * 자식이 promise를 던지면 fallback을 대신 렌더링하고, promise가 끝나면 자식을 다시 렌더링합니다.
+ * 이미 화면에 있던 자식은 언마운트하지 않고 숨겨 두므로 기다리는 동안에도 훅 상태가 유지됩니다.
+ * 스트리밍 서버 렌더링에서는 경계마다 fallback을 먼저 보내고, 준비된 자식 마크업을 나중에 이어서 보냅니다.
+ */
+export const Suspense = ({ children }: SuspenseProps): VNode | null => {
+  const owner = context;
+  const path = owner.hooks.currentPath;
+  const cursor = owner.hooks.currentCursor;
+  const hooks = owner.hooks.currentHooks;
+
+  if (!isSuspenseHook(hooks[cursor])) {
+    const hook: SuspenseHook = {
+      kind: HookTypes.SUSPENSE,
+      pending: null,
+      retry: () => {
+        // 언마운트된 경계의 재시도는 무시합니다.
+        if (owner.hooks.state.get(path)?.[cursor] !== hook) return;
+        enqueueRender(owner, path);
+      },
+    };
+    hooks[cursor] = hook;
+  }
+
+  owner.hooks.cursor.set(path, cursor + 1);
+  return (children ?? null) as VNode | null;
+};
+
+export const isSuspenseBoundary = (type: unknown): boolean => type === Suspense;
@@ -0,0 +1,62 @@
+import { context } from "./context";
+import { Lanes } from "./constants";
+import { useEffect, useState } from "./hooks";
+import { isSubsetOfLanes, runWithUpdateLane } from "./lanes";
+
+/**
+ * 콜백 안에서 발생한 업데이트를 급하지 않은 전환(transition)으로 표시합니다.
+ * 전환 업데이트는 급한 업데이트가 모두 렌더링된 뒤에 작업을 나누어 렌더링하며, 그 사이에 입력처럼 급한 업데이트가 들어오면
+ * 진행 중이던 렌더링을 버리고 급한 업데이트를 먼저 반영합니다. 전환이 커밋되기 전까지 화면에는 이전 UI가 그대로 남아 있습니다.
+ * 콜백은 바로 실행되므로, 비동기 작업이 끝난 뒤에 발생한 업데이트는 전환으로 표시되지 않습니다.
+ *
+ * @param callback - 전환으로 처리할 업데이트를 발생시키는 함수
+ */
+export const startTransition = (callback: () => void): void => {
+  runWithUpdateLane(Lanes.TRANSITION, callback);
+};
+
+/**
+ * 전환이 진행 중인지 알 수 있는 `startTransition`을 제공하는 훅입니다.
+ * 전환을 시작하면 먼저 `isPending`이 true인 상태로 급하게 렌더링하고, 전환 업데이트가 커밋될 때 함께 false로 돌아갑니다.
+ *
+ * @returns [전환이 진행 중인지 여부, 리렌더링 사이에도 참조가 유지되는 startTransition 함수]
+ */
+export const useTransition = (): [boolean, (callback: () => void) => void] => {
+  const [isPending, setPending] = useState(false);
+  const [start] = useState(() => (callback: () => void) => {
+    setPending(true);
+    startTransition(() => {
+      setPending(false);
+      callback();
+    });
+  });
+
+  return [isPending, start];
+};
+
+/**
+ * 지금 전환 업데이트만 렌더링하고 있는지 확인합니다.
+ */
+const isTransitionRender = (): boolean => {
+  const lanes = context.root.work?.lanes ?? Lanes.NONE;
+  return lanes !== Lanes.NONE && isSubsetOfLanes(Lanes.TRANSITION, lanes);
+};
+
+/**
+ * 값의 변경을 늦춰 반영하는 훅입니다.
+ * 급한 렌더링에서는 이전 값을 그대로 반환하고, 커밋한 뒤 새 값으로 다시 렌더링하는 전환을 예약합니다.
+ * 새 값으로 렌더링하는 동안 입력이 들어오면 그 렌더링은 버려지므로, 무거운 목록이 늦게 따라와도 입력은 막히지 않습니다.
+ * 건너뛴 렌더링의 이점을 얻으려면 늦춘 값을 받는 컴포넌트를 memo로 감싸야 합니다.
+ *
+ * @param value - 늦춰 반영할 값
+ * @returns 급한 렌더링에서는 이전 값, 전환 렌더링에서는 최신 값
+ */
+export const useDeferredValue = <T>(value: T): T => {
+  const [deferred, setDeferred] = useState(value);
+
+  useEffect(() => {
+    startTransition(() => setDeferred(value));
+  }, [value]);
+
+  return Object.is(deferred, value) || isTransitionRender() ? value : deferred;
+};
@@ -1,4 +1,4 @@
-import type { HookType, NodeType } from "./constants";
+import type { HookType, Lane, NodeType } from "./constants";
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 type Props = Record<string, any> & { children?: VNode[] };
@@ -21,19 +21,145 @@ export interface Instance {
   children: (Instance | null)[];
   key: string | null;
   path: string;
+  parent: Instance | null;
+}
+
+export interface HookUpdate<A> {
+  action: A;
+  lane: Lane;
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export interface ReducerHook<S = any, A = any> {
+  kind: HookType["REDUCER"];
+  /** 마지막으로 커밋된 상태입니다. */
+  state: S;
+  /** 큐에 남은 업데이트를 적용하기 시작할 상태입니다. */
+  baseState: S;
+  /** 아직 커밋되지 않은 업데이트입니다. */
+  queue: HookUpdate<A>[];
+  reducer: (state: S, action: A) => S;
+  dispatch: (action: A) => void;
 }
 
 export interface EffectHook {
-  kind: HookType["EFFECT"];
+  kind: HookType["EFFECT"] | HookType["LAYOUT_EFFECT"];
   deps: unknown[] | null;
   cleanup: (() => void) | null;
   effect: () => (() => void) | void;
 }
 
+export interface RefObject<T> {
+  current: T;
+}
+
+export type RefCallback<T> = (instance: T | null) => void;
+
+export type Ref<T> = RefObject<T | null> | RefCallback<T> | null | undefined;
+
+export interface ProviderProps<T> {
+  value: T;
+  children?: VNode[];
+}
+
+/**
+ * `createContext`로 생성되는 컨텍스트 객체입니다.
+ * 런타임 컨텍스트(`Context`)와 구분하기 위해 `ReactContext`라는 이름을 사용합니다.
+ */
+export interface ReactContext<T> {
+  Provider: FunctionComponent<ProviderProps<T>>;
+  defaultValue: T;
+  displayName?: string;
+}
+
+export interface ProviderHook<T = unknown> {
+  kind: HookType["PROVIDER"];
+  context: ReactContext<T>;
+  value: T;
+}
+
+export interface ErrorInfo {
+  componentStack: string;
+}
+
+export interface FallbackProps {
+  error: unknown;
+  componentStack: string;
+  resetErrorBoundary: () => void;
+}
+
+export interface ErrorBoundaryProps {
+  fallback: VNode | null | ((props: FallbackProps) => VNode | null);
+  onError?: (error: unknown, info: ErrorInfo) => void;
+  onReset?: () => void;
+  resetKeys?: unknown[];
+  children?: VNode[];
+}
+
+export interface SuspenseProps {
+  fallback?: VNode | null;
+  children?: VNode[];
+}
+
+export interface SuspenseHook {
+  kind: HookType["SUSPENSE"];
+  /** 경계가 기다리고 있는 promise입니다. 끝나면 경계를 다시 렌더링합니다. */
+  pending: PromiseLike<unknown> | null;
+  retry: () => void;
+}
+
+export interface BoundaryHook {
+  kind: HookType["BOUNDARY"];
+  captured: (ErrorInfo & { error: unknown }) | null;
+  resetKeys: unknown[];
+  /** resetKeys가 바뀌어 초기화했지만 아직 커밋되지 않아 onReset을 호출하지 않았는지 여부입니다. */
+  resetPending: boolean;
+  onReset?: () => void;
+  reset: () => void;
+}
+
+export interface HydrationOptions {
+  /** 서버 마크업과의 불일치를 발견하고 클라이언트 렌더링 결과로 복구했을 때 호출됩니다. */
+  onRecoverableError?: (error: Error) => void;
+}
+
+/**
+ * 진행 중인 렌더링 작업입니다.
+ * 작업이 끝나 커밋되기 전까지는 화면의 DOM과 커밋된 인스턴스 트리를 바꾸지 않으므로, 중단하면 훅 상태만 되돌리면 됩니다.
+ */
+export interface RenderWork {
+  lanes: Lane;
+  /** 단위 작업마다 양보하며 새 인스턴스 트리를 만드는 재조정 과정입니다. */
+  steps: Generator<void, Instance | null, void>;
+  /** 이번 렌더링이 바꾼 컴포넌트의, 작업을 시작할 때의 훅 목록입니다. 없던 컴포넌트는 undefined이며, 작업을 중단하면 이 상태로 되돌립니다. */
+  hooks: Map<string, State[] | undefined>;
+  /** 이번 렌더링에서 다시 실행할 컴포넌트의 경로와, 그 컴포넌트에서 이번에 처리할 업데이트의 우선순위입니다. */
+  dirty: Map<string, Lane>;
+  /** 다시 실행할 컴포넌트를 하위 트리에 가진 경로입니다. 이 경로가 아닌 하위 트리는 다시 렌더링하지 않습니다. */
+  dirtyAncestors: Set<string>;
+  /** 이번 렌더링에서 에러를 잡거나 초기화한 ErrorBoundary의 경로와 에러 상태입니다. 커밋할 때 경계의 훅에 반영합니다. */
+  captured: Map<string, BoundaryHook["captured"]>;
+  /** 이번 렌더링에서 컴포넌트가 읽은 컨텍스트와 그 값입니다. 커밋할 때 컴포넌트의 컨텍스트 의존성으로 반영합니다. */
+  contextReads: Map<string, ContextDependencies>;
+  /** 이번 렌더링에서 컴포넌트가 읽은 외부 스토어의 값입니다. 커밋하기 전에 값이 그대로인지 확인합니다. */
+  storeReads: StoreRead[];
+}
+
+export interface StoreRead {
+  path: string;
+  getSnapshot: () => unknown;
+  value: unknown;
+}
+
 export interface RootContext {
   container: HTMLElement | null;
   node: VNode | null;
   instance: Instance | null;
+  /** 예약되었지만 아직 렌더링을 시작하지 않은 업데이트의 우선순위입니다. */
+  pendingLanes: Lane;
+  /** 업데이트가 예약된 컴포넌트의 경로와, 아직 렌더링하지 않은 업데이트의 우선순위입니다. */
+  dirty: Map<string, Lane>;
+  work: RenderWork | null;
 
   reset(options: { container: HTMLElement; node: VNode }): void;
 }
@@ -41,10 +167,16 @@ export interface RootContext {
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 type State = any;
 
+/**
+ * 컴포넌트가 렌더링 중에 읽은 컨텍스트와 그 값입니다.
+ */
+export type ContextDependencies = Map<ReactContext<unknown>, unknown>;
+
 export interface HooksContext {
   state: Map<string, State[]>;
+  /** 컴포넌트가 마지막으로 커밋된 렌더링에서 읽은 컨텍스트와 그 값입니다. 훅과 달리 자리를 차지하지 않습니다. */
+  contextDependencies: Map<string, ContextDependencies>;
   cursor: Map<string, number>;
-  visited: Set<string>;
   componentStack: string[];
 
   clear(): void;
@@ -54,8 +186,13 @@ export interface HooksContext {
   readonly currentHooks: State[];
 }
 
+export type EffectQueue = Array<{ path: string; cursor: number }>;
+
 export interface EffectsContext {
-  queue: Array<{ path: string; cursor: number }>;
+  queue: EffectQueue;
+  layoutQueue: EffectQueue;
+  refQueue: Array<{ ref: Ref<unknown>; value: unknown }>;
+  mutationQueue: Array<() => void>;
 }
 
 export interface Context {
@@ -69,6 +206,7 @@ declare global {
   namespace React {
     interface ComponentType<P extends Props = Props> {
       (props: P): VNode | null;
+      displayName?: string;
     }
   }
 }
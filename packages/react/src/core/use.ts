@@ -0,0 +1,47 @@
+import { useContext } from "./provider";
+import { isThenable } from "./suspense";
+import { ReactContext } from "./types";
+
+type PromiseResult<T> =
+  | { status: "pending" }
+  | { status: "fulfilled"; value: T }
+  | { status: "rejected"; reason: unknown };
+
+/**
+ * promise마다 진행 상태와 결과를 기록합니다.
+ * 같은 promise를 다시 읽으면 기록된 결과를 사용하므로, 렌더링 밖에서 만든 promise를 넘겨야 캐시가 유지됩니다.
+ */
+const promiseResults = new WeakMap<PromiseLike<unknown>, PromiseResult<unknown>>();
+
+const readPromise = <T>(promise: PromiseLike<T>): T => {
+  let result = promiseResults.get(promise) as PromiseResult<T> | undefined;
+  if (!result) {
+    result = { status: "pending" };
+    promiseResults.set(promise, result);
+    promise.then(
+      (value) => promiseResults.set(promise, { status: "fulfilled", value }),
+      (reason) => promiseResults.set(promise, { status: "rejected", reason }),
+    );
+  }
+
+  if (result.status === "fulfilled") return result.value;
+  if (result.status === "rejected") throw result.reason;
+  throw promise;
+};
+
+/**
+ * 렌더링 중에 promise나 컨텍스트의 값을 읽습니다.
+ *
+ * promise가 아직 끝나지 않았다면 promise를 던져 가장 가까운 Suspense 경계가 fallback을 보여 주게 하고,
+ * 거부되었다면 거부 사유를 던져 가장 가까운 ErrorBoundary에 전달합니다. 결과는 promise마다 캐시됩니다.
+ * promise와 컨텍스트 모두 훅 상태를 사용하지 않으므로 조건문이나 반복문 안에서도 호출할 수 있습니다.
+ *
+ * @param usable - 읽을 promise 또는 createContext로 생성한 컨텍스트 객체
+ * @returns promise가 이행된 값 또는 현재 컨텍스트 값
+ */
+export const use = <T>(usable: PromiseLike<T> | ReactContext<T>): T => {
+  if (isThenable(usable)) {
+    return readPromise(usable as PromiseLike<T>);
+  }
+  return useContext(usable as ReactContext<T>);
+};
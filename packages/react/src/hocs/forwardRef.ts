@@ -0,0 +1,18 @@
+import { type FunctionComponent, type Ref, type VNode } from "../core";
+
+/**
+ * 부모가 전달한 `ref` prop을 두 번째 인자로 넘겨주는 고차 컴포넌트(HOC)입니다.
+ * 함수 컴포넌트가 내부의 DOM 요소나 `useImperativeHandle`로 만든 핸들을 부모에게 노출할 때 사용합니다.
+ *
+ * @param render - props와 ref를 받아 VNode를 반환하는 렌더 함수
+ * @returns ref prop을 받을 수 있는 새로운 컴포넌트
+ */
+export function forwardRef<T, P extends object = object>(render: (props: P, ref: Ref<T>) => VNode | null) {
+  const ForwardRefComponent: FunctionComponent<P & { ref?: Ref<T> }> = ({ ref, ...props }) => {
+    return render(props as unknown as P, ref ?? null);
+  };
+
+  ForwardRefComponent.displayName = `ForwardRef(${render.name || "Anonymous"})`;
+
+  return ForwardRefComponent;
+}
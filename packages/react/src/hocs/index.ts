@@ -1,2 +1,3 @@
 export * from "./deepMemo";
+export * from "./forwardRef";
 export * from "./memo";
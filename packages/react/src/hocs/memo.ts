@@ -1,5 +1,7 @@
 import { useRef } from "../hooks";
 import { type FunctionComponent, type VNode } from "../core";
+import { hasContextChanged } from "../core/provider";
+import { hasScheduledUpdate } from "../core/reconciler";
 import { shallowEquals } from "../utils";
 
 /**
@@ -12,10 +14,17 @@ import { shallowEquals } from "../utils";
  */
 export function memo<P extends object>(Component: FunctionComponent<P>, equals = shallowEquals) {
   const MemoizedComponent: FunctionComponent<P> = (props) => {
-    // 여기를 구현하세요.
-    // useRef를 사용하여 이전 props와 렌더링 결과를 저장해야 합니다.
-    // equals 함수로 이전 props와 현재 props를 비교하여 렌더링 여부를 결정합니다.
-    return Component(props);
+    const memoRef = useRef<{ props: P; rendered: VNode | null } | null>(null);
+
+    // props가 같더라도 컴포넌트가 스스로 상태를 바꿨거나 읽은 컨텍스트 값이 바뀌었다면 다시 렌더링합니다.
+    const canBailOut = !hasScheduledUpdate() && !hasContextChanged();
+    if (memoRef.current !== null && equals(memoRef.current.props, props) && canBailOut) {
+      return memoRef.current.rendered;
+    }
+
+    const rendered = Component(props);
+    memoRef.current = { props, rendered };
+    return rendered;
   };
 
   MemoizedComponent.displayName = `Memo(${Component.displayName || Component.name})`;
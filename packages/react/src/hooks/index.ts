@@ -1,5 +1,6 @@
 export * from "./useAutoCallback";
 export * from "./useCallback";
 export * from "./useDeepMemo";
+export * from "./useImperativeHandle";
 export * from "./useMemo";
 export * from "./useRef";
@@ -0,0 +1,20 @@
+import { setRef, useLayoutEffect, type Ref } from "../core";
+import { DependencyList } from "./types";
+
+/**
+ * `forwardRef`로 전달받은 ref에 DOM 요소 대신 직접 만든 핸들 객체를 연결합니다.
+ * 레이아웃 이펙트 단계에서 연결되고, 언마운트되거나 의존성이 바뀌면 이전 핸들의 연결을 끊습니다.
+ *
+ * @param ref - 핸들을 연결할 ref
+ * @param create - 노출할 핸들을 생성하는 함수
+ * @param deps - 의존성 배열. 생략하면 매 렌더링마다 핸들을 다시 만듭니다.
+ */
+export const useImperativeHandle = <T, R extends T>(ref: Ref<T>, create: () => R, deps?: DependencyList): void => {
+  useLayoutEffect(
+    () => {
+      setRef(ref, create());
+      return () => setRef(ref, null);
+    },
+    deps ? [...deps, ref] : undefined,
+  );
+};
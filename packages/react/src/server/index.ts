@@ -0,0 +1,23 @@
+import { type VNode } from "../core";
+import { renderToMarkup } from "./render";
+
+/**
+ * VNode 트리를 HTML 문자열로 렌더링합니다.
+ * 클라이언트에서 하이드레이션할 수 있도록 인접한 텍스트 노드 사이에 `<!-- -->` 표식을 넣습니다.
+ *
+ * @param root - 렌더링할 최상위 VNode
+ * @returns 직렬화된 HTML 문자열
+ */
+export const renderToString = (root: VNode): string => renderToMarkup(root, false);
+
+/**
+ * VNode 트리를 하이드레이션 표식 없이 정적인 HTML 문자열로 렌더링합니다.
+ * 이메일 템플릿이나 정적 페이지처럼 클라이언트에서 다시 연결하지 않는 마크업에 사용합니다.
+ *
+ * @param root - 렌더링할 최상위 VNode
+ * @returns 직렬화된 HTML 문자열
+ */
+export const renderToStaticMarkup = (root: VNode): string => renderToMarkup(root, true);
+
+export { renderToPipeableStream, renderToReadableStream } from "./stream";
+export type { PipeableDestination, ReadableStreamOptions, StreamOptions } from "./stream";
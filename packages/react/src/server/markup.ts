@@ -0,0 +1,56 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { getAttributeEntries } from "../core/attributes";
+
+/**
+ * 닫는 태그 없이 직렬화하는 빈 요소입니다.
+ */
+export const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+]);
+
+const VALID_TAG_NAME = /^[a-zA-Z][a-zA-Z0-9:._-]*$/;
+
+const HTML_ESCAPES: Record<string, string> = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#x27;",
+};
+
+/**
+ * 텍스트와 속성 값에 포함된 HTML 특수 문자를 이스케이프합니다.
+ */
+export const escapeHtml = (value: unknown): string => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * 태그 이름이 마크업에 그대로 넣어도 안전한 형식인지 확인합니다.
+ */
+export const assertValidTagName = (tag: string): void => {
+  if (!VALID_TAG_NAME.test(tag)) {
+    throw new Error(`유효하지 않은 태그 이름입니다: ${tag}`);
+  }
+};
+
+/**
+ * 호스트 요소의 props를 ` name="value"` 형식의 속성 문자열로 직렬화합니다.
+ * 이벤트 핸들러, ref, key 같은 런타임 전용 prop은 출력하지 않습니다.
+ * SVG와 MathML 요소의 속성 이름은 대소문자를 유지합니다.
+ */
+export const serializeAttributes = (tag: string, props: Record<string, any>, namespace?: string): string =>
+  getAttributeEntries(tag, props, namespace)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
@@ -0,0 +1,261 @@
+import { createRootContext, runWithContext } from "../core/context";
+import { Fragment, Namespaces, Portal, TEXT_ELEMENT } from "../core/constants";
+import { getChildNamespace, getInnerHTML, getNamespace } from "../core/attributes";
+import { createChildPath, createElement, normalizeChildren } from "../core/elements";
+import { appendComponentFrame, captureRenderError, isErrorBoundary } from "../core/boundary";
+import { isSuspenseBoundary, isThenable, SUSPENSE_FALLBACK_KEY } from "../core/suspense";
+import { renderComponent } from "../core/reconciler";
+import { Context, VNode } from "../core/types";
+import { getSelectedValues } from "../core/controlled";
+import { isEmptyValue } from "../utils";
+import { assertValidTagName, escapeHtml, serializeAttributes, VOID_ELEMENTS } from "./markup";
+
+/**
+ * 데이터를 기다리느라 fallback으로 대신 출력한 Suspense 경계입니다.
+ */
+export interface SuspendedBoundary {
+  node: VNode;
+  path: string;
+  promise: PromiseLike<unknown>;
+}
+
+/**
+ * 경계를 나중에 이어서 렌더링하도록 넘겨받고, fallback 자리를 가리킬 id를 반환합니다.
+ */
+export type SuspendHandler = (boundary: SuspendedBoundary) => string;
+
+interface RenderState {
+  output: string[];
+  /** true이면 하이드레이션용 표식(인접한 텍스트 사이의 주석, Suspense 경계 주석)을 출력하지 않습니다. */
+  staticMarkup: boolean;
+  lastWasText: boolean;
+  /** 지금 직렬화하는 위치의 자식이 놓일 네임스페이스입니다. */
+  namespace: string;
+  /** 지금 직렬화하는 select에서 선택할 옵션 값입니다. select 밖이거나 값이 없다면 null입니다. */
+  selectedValues: Set<string> | null;
+  /** null이면 기다리는 경계의 fallback을 그대로 출력하고, 자식은 클라이언트가 렌더링하게 둡니다. */
+  suspend: SuspendHandler | null;
+}
+
+const createRenderState = (staticMarkup: boolean, suspend: SuspendHandler | null): RenderState => ({
+  output: [],
+  staticMarkup,
+  lastWasText: false,
+  namespace: Namespaces.HTML,
+  selectedValues: null,
+  suspend,
+});
+
+const getChildNodes = (node: VNode): VNode[] => normalizeChildren(node.props.children ?? []);
+
+const renderChildren = (nodes: VNode[], parentPath: string, state: RenderState): void => {
+  nodes.forEach((child, index) => {
+    renderNode(child, createChildPath(parentPath, child.key, index, child.type, nodes), state);
+  });
+};
+
+/**
+ * 컴포넌트를 실행하고 결과를 직렬화합니다.
+ * ErrorBoundary라면 하위 트리에서 던져진 에러를 잡아 지금까지 출력한 마크업을 되돌린 뒤 fallback을 직렬화합니다.
+ */
+const renderComponentNode = (node: VNode, path: string, state: RenderState): void => {
+  const renderRendered = (rendered: VNode | null) => {
+    if (rendered) renderChildren([rendered], path, state);
+  };
+
+  if (!isErrorBoundary(node.type)) {
+    renderRendered(renderComponent(node, path));
+    return;
+  }
+
+  const mark = state.output.length;
+  const { lastWasText, namespace, selectedValues } = state;
+  try {
+    renderRendered(renderComponent(node, path));
+  } catch (error) {
+    // 기다리는 promise는 에러가 아니므로 Suspense 경계까지 그대로 전파합니다.
+    if (isThenable(error) || !captureRenderError(path, error)) throw error;
+    state.output.length = mark;
+    state.lastWasText = lastWasText;
+    state.namespace = namespace;
+    state.selectedValues = selectedValues;
+    renderRendered(renderComponent(node, path));
+  }
+};
+
+const pushMarker = (state: RenderState, marker: string): void => {
+  if (!state.staticMarkup) state.output.push(`<!--${marker}-->`);
+  state.lastWasText = false;
+};
+
+/**
+ * Suspense 경계를 직렬화합니다.
+ * 자식이 promise를 던지면 지금까지 출력한 자식 마크업을 되돌리고 fallback을 출력합니다.
+ * 스트리밍 중이라면 fallback 앞에 자리 표시용 template을 두고, 경계를 나중에 이어서 렌더링하도록 넘깁니다.
+ */
+const renderSuspenseNode = (node: VNode, path: string, state: RenderState): void => {
+  const mark = state.output.length;
+  const { lastWasText, namespace, selectedValues } = state;
+  try {
+    pushMarker(state, "$");
+    renderComponentNode(node, path, state);
+    pushMarker(state, "/$");
+  } catch (error) {
+    if (!isThenable(error)) throw error;
+    state.output.length = mark;
+    state.lastWasText = lastWasText;
+    state.namespace = namespace;
+    state.selectedValues = selectedValues;
+
+    if (state.suspend) {
+      const id = state.suspend({ node, path, promise: error });
+      pushMarker(state, "$?");
+      state.output.push(`<template id="${id}"></template>`);
+    } else {
+      pushMarker(state, "$!");
+    }
+    renderChildren([createElement(Fragment, { key: SUSPENSE_FALLBACK_KEY }, node.props.fallback)], path, state);
+    pushMarker(state, "/$");
+  }
+};
+
+/**
+ * option의 값을 반환합니다. value가 없다면 브라우저처럼 자식 텍스트를 값으로 사용합니다.
+ */
+const getOptionValue = (node: VNode): string => {
+  if (!isEmptyValue(node.props.value)) return String(node.props.value);
+  return getChildNodes(node)
+    .map((child) => (child.type === TEXT_ELEMENT ? child.props.nodeValue : ""))
+    .join("");
+};
+
+/**
+ * 서버 마크업에는 select의 value를 표현할 속성이 없으므로, 선택할 option에 `selected` 속성을 붙입니다.
+ */
+const getHostProps = (node: VNode, state: RenderState): VNode["props"] => {
+  const { props } = node;
+  if (node.type !== "option" || !state.selectedValues?.has(getOptionValue(node))) return props;
+  return { ...props, selected: true };
+};
+
+const renderHostNode = (node: VNode, path: string, state: RenderState): void => {
+  const tag = node.type as string;
+  assertValidTagName(tag);
+
+  const props = getHostProps(node, state);
+  const parentNamespace = state.namespace;
+  const namespace = getNamespace(tag, parentNamespace);
+  state.lastWasText = false;
+
+  if (VOID_ELEMENTS.has(tag)) {
+    state.output.push(`<${tag}${serializeAttributes(tag, props, namespace)}/>`);
+    return;
+  }
+
+  const innerHTML = getInnerHTML(props);
+  state.output.push(`<${tag}${serializeAttributes(tag, props, namespace)}>`);
+  if (tag === "textarea") {
+    const value = props.value ?? props.defaultValue;
+    if (!isEmptyValue(value)) state.output.push(escapeHtml(value));
+  } else if (innerHTML !== null) {
+    // 이스케이프하지 않고 그대로 출력합니다. 안전한 HTML인지는 호출하는 쪽이 보장해야 합니다.
+    state.output.push(innerHTML);
+  } else {
+    const parentSelectedValues = state.selectedValues;
+    state.namespace = getChildNamespace(tag, namespace);
+    if (tag === "select") state.selectedValues = getSelectedValues(props, true);
+    renderChildren(getChildNodes(node), path, state);
+    state.namespace = parentNamespace;
+    state.selectedValues = parentSelectedValues;
+  }
+  state.output.push(`</${tag}>`);
+  state.lastWasText = false;
+};
+
+/**
+ * VNode 하나를 마크업으로 직렬화합니다.
+ * 경로는 클라이언트 재조정과 같은 규칙으로 만들어 훅 상태와 컨텍스트가 같은 방식으로 식별되게 합니다.
+ */
+const renderNode = (node: VNode, path: string, state: RenderState): void => {
+  if (node.type === TEXT_ELEMENT) {
+    // 브라우저가 인접한 텍스트를 하나의 노드로 합치지 않도록 사이에 빈 주석을 넣습니다.
+    if (!state.staticMarkup && state.lastWasText) state.output.push("<!-- -->");
+    state.output.push(escapeHtml(node.props.nodeValue));
+    state.lastWasText = true;
+    return;
+  }
+
+  if (node.type === Fragment) {
+    renderChildren(getChildNodes(node), path, state);
+    return;
+  }
+
+  if (node.type === Portal) {
+    throw new Error("서버 렌더링에서는 포탈을 사용할 수 없습니다.");
+  }
+
+  if (typeof node.type === "function") {
+    try {
+      if (isSuspenseBoundary(node.type)) {
+        renderSuspenseNode(node, path, state);
+      } else {
+        renderComponentNode(node, path, state);
+      }
+    } catch (error) {
+      appendComponentFrame(error, node.type);
+      throw error;
+    }
+    return;
+  }
+
+  renderHostNode(node, path, state);
+};
+
+const renderRoot = (rootNode: VNode, rootContext: Context, state: RenderState): string => {
+  if (isEmptyValue(rootNode)) {
+    throw new Error("null 루트 엘리먼트는 렌더링할 수 없습니다.");
+  }
+
+  try {
+    runWithContext(rootContext, () => renderNode(rootNode, "0", state));
+  } catch (error) {
+    if (isThenable(error)) {
+      throw new Error("데이터를 기다리는 컴포넌트는 Suspense 경계 안에서 렌더링해야 합니다.");
+    }
+    throw error;
+  }
+  return state.output.join("");
+};
+
+/**
+ * 독립된 런타임 컨텍스트에서 루트 VNode를 직렬화합니다.
+ * 컴포넌트와 훅의 초기화 로직은 실행되지만, 이펙트와 ref는 DOM이 없으므로 실행되지 않습니다.
+ * 데이터를 기다리는 Suspense 경계는 기다리지 않고 fallback으로 출력합니다.
+ */
+export const renderToMarkup = (rootNode: VNode, staticMarkup: boolean): string =>
+  renderRoot(rootNode, createRootContext(), createRenderState(staticMarkup, null));
+
+/**
+ * 스트리밍의 첫 응답이 될 셸(shell)을 직렬화합니다.
+ * 데이터를 기다리는 Suspense 경계는 fallback으로 출력하고 `suspend`로 넘깁니다.
+ *
+ * @param rootNode - 렌더링할 최상위 VNode
+ * @param rootContext - 경계를 이어서 렌더링할 때도 사용할 런타임 컨텍스트
+ * @param suspend - 기다리는 경계를 넘겨받을 함수
+ */
+export const renderShell = (rootNode: VNode, rootContext: Context, suspend: SuspendHandler): string =>
+  renderRoot(rootNode, rootContext, createRenderState(false, suspend));
+
+/**
+ * 기다리던 Suspense 경계의 자식을 셸과 같은 컨텍스트와 경로로 이어서 직렬화합니다.
+ * 자식이 다시 promise를 던지면 그대로 전파되며, 안쪽 경계가 기다리는 경우에는 `suspend`로 넘깁니다.
+ */
+export const renderSuspendedBoundary = (
+  boundary: SuspendedBoundary,
+  rootContext: Context,
+  suspend: SuspendHandler,
+): string => {
+  const state = createRenderState(false, suspend);
+  runWithContext(rootContext, () => renderComponentNode(boundary.node, boundary.path, state));
+  return state.output.join("");
+};
@@ -0,0 +1,228 @@
+import { createRootContext } from "../core/context";
+import { isThenable } from "../core/suspense";
+import { VNode } from "../core/types";
+import { enqueue } from "../utils";
+import { renderShell, renderSuspendedBoundary, SuspendedBoundary, SuspendHandler } from "./render";
+
+export interface StreamOptions {
+  /** 셸(기다리지 않아도 되는 부분과 fallback)을 보낼 준비가 되었을 때 호출됩니다. */
+  onShellReady?: () => void;
+  /** 셸을 렌더링하다 에러가 발생해 아무것도 보낼 수 없을 때 호출됩니다. */
+  onShellError?: (error: unknown) => void;
+  /** 기다리던 경계까지 모두 렌더링했을 때 호출됩니다. */
+  onAllReady?: () => void;
+  /** 렌더링 중 발생한 에러마다 호출됩니다. 경계의 에러라면 해당 경계는 fallback으로 남습니다. */
+  onError?: (error: unknown) => void;
+}
+
+interface Destination {
+  write(chunk: string): void;
+  close(): void;
+}
+
+interface StreamRequest {
+  start(destination: Destination): void;
+  abort(reason?: unknown): void;
+}
+
+/**
+ * 경계의 fallback을 숨겨 둔 세그먼트 내용으로 교체하는 인라인 스크립트입니다.
+ * template 뒤에서 짝이 맞는 `<!--/$-->`까지의 fallback 노드를 지우고, 경계 표식을 완료 상태(`$`)로 바꿉니다.
+ */
+const COMPLETE_BOUNDARY_SCRIPT =
+  "$RC=function(b,s){var t=document.getElementById(b),c=document.getElementById(s);if(!t||!c)return;" +
+  "var p=t.parentNode,m=t.previousSibling,n=t.nextSibling,d=0;" +
+  'while(n){if(n.nodeType===8){if(n.data==="/$"){if(d===0)break;d--}else if(n.data[0]==="$")d++}' +
+  "var x=n.nextSibling;p.removeChild(n);n=x}" +
+  "while(c.firstChild)p.insertBefore(c.firstChild,n);p.removeChild(t);c.parentNode.removeChild(c);" +
+  'if(m&&m.nodeType===8)m.data="$"};';
+
+/**
+ * 스트리밍 렌더링 요청을 생성하고 셸을 바로 렌더링합니다.
+ * 셸과 완성된 경계의 마크업은 목적지가 연결될 때까지 모아 두었다가 순서대로 내보냅니다.
+ */
+const createStreamRequest = (root: VNode, options: StreamOptions): StreamRequest => {
+  const rootContext = createRootContext();
+  const chunks: string[] = [];
+  let destination: Destination | null = null;
+  let pendingBoundaries = 0;
+  let nextBoundaryId = 0;
+  let scriptSent = false;
+  let shellReady = false;
+  let closed = false;
+  let aborted = false;
+
+  const flush = (): void => {
+    if (!destination || closed) return;
+    chunks.splice(0).forEach((chunk) => destination!.write(chunk));
+    if (shellReady && pendingBoundaries === 0) {
+      closed = true;
+      destination.close();
+    }
+  };
+
+  const completeBoundary = (id: string, html: string): void => {
+    const segmentId = id.replace("B:", "S:");
+    chunks.push(`<div hidden id="${segmentId}">${html}</div>`);
+    chunks.push(`<script>${scriptSent ? "" : COMPLETE_BOUNDARY_SCRIPT}$RC("${id}","${segmentId}")</script>`);
+    scriptSent = true;
+  };
+
+  const waitForBoundary = (id: string, boundary: SuspendedBoundary): void => {
+    const retry = () => {
+      if (aborted) return;
+      try {
+        completeBoundary(id, renderSuspendedBoundary(boundary, rootContext, suspend));
+      } catch (error) {
+        if (isThenable(error)) {
+          waitForBoundary(id, { ...boundary, promise: error });
+          return;
+        }
+        options.onError?.(error);
+      }
+
+      pendingBoundaries--;
+      if (pendingBoundaries === 0) options.onAllReady?.();
+      flush();
+    };
+    boundary.promise.then(retry, retry);
+  };
+
+  const suspend: SuspendHandler = (boundary) => {
+    const id = `B:${nextBoundaryId++}`;
+    pendingBoundaries++;
+    waitForBoundary(id, boundary);
+    return id;
+  };
+
+  try {
+    chunks.push(renderShell(root, rootContext, suspend));
+  } catch (error) {
+    closed = true;
+    enqueue(() => {
+      options.onError?.(error);
+      options.onShellError?.(error);
+    });
+    return { start: () => {}, abort: () => {} };
+  }
+
+  // 호출한 쪽이 반환된 요청을 받은 뒤에 알리도록 마이크로태스크로 미룹니다.
+  enqueue(() => {
+    shellReady = true;
+    options.onShellReady?.();
+    if (pendingBoundaries === 0) options.onAllReady?.();
+    flush();
+  });
+
+  return {
+    start: (target) => {
+      destination = target;
+      flush();
+    },
+    abort: (reason) => {
+      if (aborted || closed) return;
+      aborted = true;
+      // 기다리던 경계는 fallback으로 남기고 지금까지의 마크업만 보낸 뒤 스트림을 닫습니다.
+      options.onError?.(reason ?? new Error("스트리밍 렌더링이 중단되었습니다."));
+      pendingBoundaries = 0;
+      shellReady = true;
+      flush();
+    },
+  };
+};
+
+export interface PipeableDestination {
+  write(chunk: string): unknown;
+  end(): unknown;
+}
+
+/**
+ * VNode 트리를 Node.js Writable 같은 목적지로 스트리밍합니다.
+ * 보통 `onShellReady`에서 `pipe`를 호출해 셸을 바로 보내고, 기다리던 경계는 준비되는 대로 이어서 보냅니다.
+ *
+ * @param root - 렌더링할 최상위 VNode
+ * @param options - 진행 상황을 알릴 콜백
+ * @returns 목적지를 연결하는 `pipe`와 렌더링을 중단하는 `abort`
+ */
+export const renderToPipeableStream = (root: VNode, options: StreamOptions = {}) => {
+  const request = createStreamRequest(root, options);
+
+  return {
+    pipe: <T extends PipeableDestination>(destination: T): T => {
+      request.start({ write: (chunk) => destination.write(chunk), close: () => destination.end() });
+      return destination;
+    },
+    abort: (reason?: unknown) => request.abort(reason),
+  };
+};
+
+export interface ReadableStreamOptions extends Omit<StreamOptions, "onShellReady" | "onShellError"> {
+  /** 중단되면 기다리던 경계를 fallback으로 남긴 채 스트림을 닫습니다. */
+  signal?: AbortSignal;
+}
+
+/**
+ * VNode 트리를 웹 표준 ReadableStream으로 스트리밍합니다.
+ * 셸이 준비되면 스트림으로 resolve되고, 셸 렌더링에 실패하면 reject됩니다.
+ * 반환된 스트림의 `allReady`는 기다리던 경계까지 모두 보냈을 때 resolve됩니다.
+ *
+ * @param root - 렌더링할 최상위 VNode
+ * @param options - 진행 상황을 알릴 콜백과 중단 신호
+ */
+export const renderToReadableStream = (
+  root: VNode,
+  options: ReadableStreamOptions = {},
+): Promise<ReadableStream<Uint8Array> & { allReady: Promise<void> }> =>
+  new Promise((resolve, reject) => {
+    const encoder = new TextEncoder();
+    let resolveAllReady: () => void = () => {};
+    let rejectAllReady: (error: unknown) => void = () => {};
+    const allReady = new Promise<void>((resolveReady, rejectReady) => {
+      resolveAllReady = resolveReady;
+      rejectAllReady = rejectReady;
+    });
+    // 셸 에러는 반환된 promise로 전달되므로 allReady의 거부는 따로 처리하지 않아도 되게 합니다.
+    allReady.catch(() => {});
+
+    const request = createStreamRequest(root, {
+      ...options,
+      onShellReady: () => resolve(stream),
+      onShellError: (error) => {
+        rejectAllReady(error);
+        reject(error);
+      },
+      onAllReady: () => {
+        options.onAllReady?.();
+        resolveAllReady();
+      },
+    });
+
+    // 읽는 쪽이 취소한 스트림에는 더 이상 쓸 수 없으므로 남은 출력은 버립니다.
+    let cancelled = false;
+    const stream = Object.assign(
+      new ReadableStream<Uint8Array>({
+        start: (controller) => {
+          request.start({
+            write: (chunk) => {
+              if (!cancelled) controller.enqueue(encoder.encode(chunk));
+            },
+            close: () => {
+              if (!cancelled) controller.close();
+            },
+          });
+        },
+        cancel: (reason) => {
+          cancelled = true;
+          request.abort(reason);
+        },
+      }),
+      { allReady },
+    );
+
+    const { signal } = options;
+    if (signal?.aborted) {
+      request.abort(signal.reason);
+    } else {
+      signal?.addEventListener("abort", () => request.abort(signal.reason), { once: true });
+    }
+  });
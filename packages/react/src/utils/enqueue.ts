@@ -5,7 +5,11 @@ import type { AnyFunction } from "../types";
  * 브라우저의 `queueMicrotask` 또는 `Promise.resolve().then()`을 사용합니다.
  */
 export const enqueue = (callback: () => void) => {
-  // 여기를 구현하세요.
+  if (typeof queueMicrotask === "function") {
+    queueMicrotask(callback);
+  } else {
+    Promise.resolve().then(callback);
+  }
 };
 
 /**
@@ -13,7 +17,86 @@ export const enqueue = (callback: () => void) => {
  * 렌더링이나 이펙트 실행과 같은 작업의 중복을 방지하는 데 사용됩니다.
  */
 export const withEnqueue = (fn: AnyFunction) => {
-  // 여기를 구현하세요.
-  // scheduled 플래그를 사용하여 fn이 한 번만 예약되도록 구현합니다.
-  return () => {};
+  let scheduled = false;
+
+  return () => {
+    if (scheduled) return;
+    scheduled = true;
+
+    enqueue(() => {
+      scheduled = false;
+      fn();
+    });
+  };
+};
+
+/**
+ * 한 번에 이어서 작업할 수 있는 시간(ms)입니다.
+ * 이 시간을 넘기면 남은 작업을 다음 태스크로 미루고 브라우저가 입력 처리와 페인트를 할 수 있게 제어를 돌려줍니다.
+ */
+const FRAME_BUDGET = 5;
+
+const getCurrentTime = () => (typeof performance === "object" ? performance.now() : Date.now());
+
+let deadline = 0;
+let hostTaskScheduled = false;
+let channel: MessageChannel | null = null;
+
+/**
+ * 나누어 실행하는 작업입니다. `shouldYield`가 true가 될 때까지 진행하고, 남은 작업이 있으면 true를 반환합니다.
+ */
+type SlicedTask = () => boolean;
+
+const taskQueue: SlicedTask[] = [];
+
+/**
+ * 현재 작업 구간에 주어진 시간을 다 썼는지 확인합니다.
+ */
+export const shouldYield = (): boolean => getCurrentTime() >= deadline;
+
+const flushTasks = () => {
+  hostTaskScheduled = false;
+  deadline = getCurrentTime() + FRAME_BUDGET;
+
+  try {
+    while (taskQueue.length > 0 && !shouldYield()) {
+      const task = taskQueue.shift()!;
+      if (task()) taskQueue.push(task);
+    }
+  } finally {
+    // 작업이 에러를 던져도 남은 작업은 계속 진행합니다.
+    if (taskQueue.length > 0) requestHostTask();
+  }
+};
+
+/**
+ * 다음 매크로태스크에서 작업을 이어서 실행하도록 예약합니다.
+ * setTimeout은 중첩되면 최소 4ms씩 지연되므로 MessageChannel을 우선 사용합니다.
+ */
+const requestHostTask = () => {
+  if (hostTaskScheduled) return;
+  hostTaskScheduled = true;
+
+  if (typeof MessageChannel !== "function") {
+    setTimeout(flushTasks, 0);
+    return;
+  }
+  if (!channel) {
+    channel = new MessageChannel();
+    channel.port1.onmessage = flushTasks;
+  }
+  channel.port2.postMessage(null);
+};
+
+/**
+ * 작업을 시간 단위로 나누어 실행합니다.
+ * 첫 구간은 바로 실행하고, 주어진 시간 안에 끝나지 않은 작업은 다음 매크로태스크에서 이어서 실행합니다.
+ * 남은 작업이 여러 개라면 구간마다 번갈아 실행합니다.
+ */
+export const runSlicedTask = (task: SlicedTask): void => {
+  deadline = getCurrentTime() + FRAME_BUDGET;
+  if (!task()) return;
+
+  taskQueue.push(task);
+  requestHostTask();
 };
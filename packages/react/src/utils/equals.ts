@@ -1,11 +1,19 @@
+const isObject = (value: unknown): value is Record<string, unknown> => typeof value === "object" && value !== null;
+
 /**
  * 두 값의 얕은 동등성을 비교합니다.
  * 객체와 배열은 1단계 깊이까지만 비교합니다.
  */
 export const shallowEquals = (a: unknown, b: unknown): boolean => {
-  // 여기를 구현하세요.
-  // Object.is(), Array.isArray(), Object.keys() 등을 활용하여 1단계 깊이의 비교를 구현합니다.
-  return a === b;
+  if (Object.is(a, b)) return true;
+  if (!isObject(a) || !isObject(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
 };
 
 /**
@@ -13,7 +21,20 @@ export const shallowEquals = (a: unknown, b: unknown): boolean => {
  * 객체와 배열의 모든 중첩된 속성을 재귀적으로 비교합니다.
  */
 export const deepEquals = (a: unknown, b: unknown): boolean => {
-  // 여기를 구현하세요.
-  // 재귀적으로 deepEquals를 호출하여 중첩된 구조를 비교해야 합니다.
-  return a === b;
+  if (Object.is(a, b)) return true;
+  if (!isObject(a) || !isObject(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return a instanceof RegExp && b instanceof RegExp && a.toString() === b.toString();
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEquals(a[key], b[key]));
 };
@@ -1,3 +1,4 @@
 export * from "./equals";
 export * from "./enqueue";
 export * from "./validators";
+export * from "./sequence";
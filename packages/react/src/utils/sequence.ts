@@ -0,0 +1,36 @@
+/**
+ * 숫자 배열에서 최장 증가 부분 수열(LIS)을 이루는 위치(index)들을 반환합니다.
+ * 음수 값은 "비교 대상이 아님"을 의미하며 수열에 포함되지 않습니다.
+ *
+ * @param values - 비교할 숫자 배열
+ * @returns LIS에 속하는 원소의 index 집합
+ */
+export const getLongestIncreasingSubsequence = (values: number[]): Set<number> => {
+  // tails[k]: 길이가 k + 1인 증가 수열 중 마지막 값이 가장 작은 수열의 마지막 원소 index
+  const tails: number[] = [];
+  // prevIndex[i]: values[i]를 끝으로 하는 수열에서 바로 앞 원소의 index
+  const prevIndex = new Array<number>(values.length).fill(-1);
+
+  values.forEach((value, i) => {
+    if (value < 0) return;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+
+    if (low > 0) prevIndex[i] = tails[low - 1];
+    tails[low] = i;
+  });
+
+  const result = new Set<number>();
+  let cursor = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (cursor !== -1) {
+    result.add(cursor);
+    cursor = prevIndex[cursor];
+  }
+  return result;
+};